@@ -0,0 +1,180 @@
+const { LLMClient } = require('../llm/llm-client');
+const { ResponseSerializer } = require('../llm/response-serializer');
+const Anthropic = require('@anthropic-ai/sdk');
+const logger = require('../utils/logger');
+const { LLMError } = require('../llm/llm-errors');
+const { fromAnthropicUsage } = require('../llm/usage');
+const {
+  convertTools,
+  convertToolChoice,
+  convertMessages,
+  parseMessage,
+  responseFormatInstruction
+} = require('../utils/anthropic-converters');
+const { streamErrorEvent } = require('../llm/stream-events');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_MAX_TOKENS = 4096;
+const SUPPORTED_GENERATION_OPTIONS = ['temperature', 'top_p', 'top_k', 'max_tokens', 'stop', 'tool_choice'];
+
+class AnthropicClient extends LLMClient {
+  constructor(config) {
+    super(config);
+
+    this.addRetryableErrorPatterns([
+      'overloaded',
+    ]);
+  }
+
+  validateConfig() {
+    if (!this.config || !this.config.llmToken) {
+      throw new Error("AnthropicClient requires a valid configuration with an API token.");
+    }
+    this._client = new Anthropic({ apiKey: this.config.llmToken });
+  }
+
+  /**
+   * Anthropic signals overload with HTTP 529, which the base class doesn't know about
+   */
+  _isRetryableError(error) {
+    if ((error.status || error.code) === 529) {
+      return true;
+    }
+    return super._isRetryableError(error);
+  }
+
+  getSupportedGenerationOptions() {
+    return SUPPORTED_GENERATION_OPTIONS;
+  }
+
+  /**
+   * Anthropic's temperature goes from 0 to 1, not 0 to 2 like OpenAI's
+   */
+  validateGeneration(generation) {
+    const normalized = super.validateGeneration(generation);
+    if (normalized.temperature > 1) {
+      throw new LLMError('generation.temperature must be between 0 and 1 for Anthropic', {
+        status: 400, code: 'invalid_generation_option', retryable: false
+      });
+    }
+    return normalized;
+  }
+
+  _buildRequest(messages, tools, model, options = {}) {
+    const generation = options.generation || {};
+    const { system: conversationSystem, messages: anthropicMessages } = convertMessages(messages);
+    // No JSON mode on the Messages API: the format is asked for in the system prompt
+    const formatInstruction = responseFormatInstruction(options.responseFormat);
+    const system = [conversationSystem, formatInstruction].filter(Boolean).join('\n\n');
+    const request = {
+      model: model || this.config.llmModel || DEFAULT_MODEL,
+      max_tokens: generation.max_tokens || this.config.maxTokens || DEFAULT_MAX_TOKENS,
+      messages: anthropicMessages,
+    };
+    if (system) {
+      request.system = system;
+    }
+    if (generation.temperature !== undefined) request.temperature = generation.temperature;
+    if (generation.top_p !== undefined) request.top_p = generation.top_p;
+    if (generation.top_k !== undefined) request.top_k = generation.top_k;
+    if (generation.stop) request.stop_sequences = generation.stop;
+    const convertedTools = convertTools(tools);
+    if (convertedTools.length > 0) {
+      request.tools = convertedTools;
+      const toolChoice = convertToolChoice(generation.tool_choice);
+      if (toolChoice) {
+        request.tool_choice = toolChoice;
+      }
+    }
+    return request;
+  }
+
+  async _sendImplementation(messages, tools, model, options = {}) {
+    const request = this._buildRequest(messages, tools, model, options);
+    const response = await this._client.messages.create(request, ...this._sdkOptions(options));
+    const message = { ...parseMessage(response), provider_finish_reason: response.stop_reason };
+    const usage = fromAnthropicUsage(response.usage);
+    return this.serializeResponse(usage ? { ...message, usage } : message);
+  }
+
+  async _streamImplementation(messages, tools, model, options = {}) {
+    const request = this._buildRequest(messages, tools, model, options);
+    const stream = await this._client.messages.create({ ...request, stream: true }, ...this._sdkOptions(options));
+
+    // Tool calls are tracked by content block index, since input_json deltas
+    // only reference the index of the block they belong to
+    const events = this._streamEvents(request.model);
+    let stopReason = null;
+    // Input tokens come with message_start, output tokens with message_delta
+    let rawUsage = null;
+
+    return {
+      [Symbol.asyncIterator]: async function* () {
+        yield events.start();
+        try {
+          for await (const event of stream) {
+            switch (event.type) {
+              case 'message_start': {
+                rawUsage = { ...event.message?.usage };
+                break;
+              }
+              case 'content_block_start': {
+                const block = event.content_block;
+                if (block.type === 'tool_use') {
+                  yield events.toolCallStart(event.index, block.id, block.name);
+                } else if (block.type === 'text') {
+                  const delta = events.contentDelta(block.text);
+                  if (delta) yield delta;
+                }
+                break;
+              }
+              case 'content_block_delta': {
+                const delta = event.delta;
+                const streamed = delta.type === 'text_delta'
+                  ? events.contentDelta(delta.text)
+                  : delta.type === 'input_json_delta' ? events.toolCallDelta(event.index, delta.partial_json) : null;
+                if (streamed) yield streamed;
+                break;
+              }
+              case 'content_block_stop': {
+                const end = events.toolCallEnd(event.index);
+                if (end) yield end;
+                break;
+              }
+              case 'message_delta': {
+                if (event.delta?.stop_reason) {
+                  stopReason = event.delta.stop_reason;
+                }
+                if (event.usage) {
+                  rawUsage = { ...rawUsage, ...event.usage };
+                }
+                break;
+              }
+              case 'message_stop': {
+                yield* events.finishEvents(stopReason, fromAnthropicUsage(rawUsage));
+                return;
+              }
+              default:
+                break;
+            }
+          }
+          // Stream closed without message_stop
+          yield* events.finishEvents(stopReason, fromAnthropicUsage(rawUsage));
+        } catch (error) {
+          logger.error(`Error in Anthropic stream generator: ${error}`);
+          yield streamErrorEvent(error, this._isRetryableErrorWithCustom(error));
+        }
+      }.bind(this)
+    };
+  }
+
+  async _sttImplementation() {
+    throw new Error('STT not implemented for Anthropic');
+  }
+
+  serializeResponse(response) {
+    return ResponseSerializer.serializeMessage(response);
+  }
+}
+
+module.exports = { AnthropicClient };
@@ -0,0 +1,204 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { AnthropicClient } = require('./anthropic-client');
+const { LLMClient } = require('../llm/llm-client');
+const { convertMessages, convertTools } = require('../utils/anthropic-converters');
+
+function streamOf(events) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+describe('AnthropicClient', () => {
+  const config = { llmToken: 'test-token', llmModel: 'claude-test', enableRetry: false };
+  const mockCreate = jest.fn();
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new AnthropicClient(config);
+    client._client = { messages: { create: mockCreate } };
+  });
+
+  test('should extend LLMClient', () => {
+    expect(client).toBeInstanceOf(LLMClient);
+  });
+
+  test('requires an API token', () => {
+    expect(() => new AnthropicClient({})).toThrow('AnthropicClient requires a valid configuration with an API token.');
+  });
+
+  test('treats 529 overloaded as retryable', () => {
+    expect(client._isRetryableError({ status: 529 })).toBe(true);
+    expect(client._isRetryableError({ status: 400 })).toBe(false);
+  });
+
+  describe('converters', () => {
+    test('lifts system messages and converts tool round trips', () => {
+      const { system, messages } = convertMessages([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: 'Checking.',
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+            { id: 'call_2', type: 'function', function: { name: 'weather', arguments: '{"city":"Rome"}' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: 'sunny' },
+        { role: 'tool', tool_call_id: 'call_2', content: 'rainy' },
+      ]);
+
+      expect(system).toBe('Be brief.');
+      expect(messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Weather in Paris and Rome?' }] },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Checking.' },
+            { type: 'tool_use', id: 'call_1', name: 'weather', input: { city: 'Paris' } },
+            { type: 'tool_use', id: 'call_2', name: 'weather', input: { city: 'Rome' } },
+          ],
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' },
+            { type: 'tool_result', tool_use_id: 'call_2', content: 'rainy' },
+          ],
+        },
+      ]);
+    });
+
+    test('converts OpenAI tool definitions', () => {
+      const tools = convertTools([
+        { type: 'function', function: { name: 'weather', description: 'Get weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } },
+      ]);
+      expect(tools).toEqual([
+        { name: 'weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } },
+      ]);
+    });
+  });
+
+  describe('_sendImplementation', () => {
+    test('builds the request and parses tool_use blocks', async () => {
+      mockCreate.mockResolvedValue({
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Paris' } },
+        ],
+        stop_reason: 'tool_use',
+      });
+
+      const result = await client._sendImplementation(
+        [{ role: 'system', content: 'sys' }, { role: 'user', content: 'hi' }],
+        [{ type: 'function', function: { name: 'weather', parameters: { type: 'object' } } }]
+      );
+
+      expect(mockCreate).toHaveBeenCalledWith({
+        model: 'claude-test',
+        max_tokens: 4096,
+        system: 'sys',
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }],
+        tools: [{ name: 'weather', description: undefined, input_schema: { type: 'object' } }],
+      });
+      expect(result).toEqual({
+        role: 'assistant',
+        content: 'Let me check.',
+        tool_calls: [
+          { id: 'toolu_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+        ],
+        finish_reason: 'tool_calls',
+        provider_finish_reason: 'tool_use',
+      });
+    });
+  });
+
+  describe('generation options', () => {
+    test('translates them to the Messages API parameters', () => {
+      const request = client._buildRequest(
+        [{ role: 'user', content: 'hi' }],
+        [{ type: 'function', function: { name: 'weather', parameters: { type: 'object' } } }],
+        undefined,
+        { generation: { temperature: 0.5, top_k: 10, max_tokens: 512, stop: ['END'], tool_choice: { type: 'function', function: { name: 'weather' } } } }
+      );
+
+      expect(request).toMatchObject({
+        max_tokens: 512,
+        temperature: 0.5,
+        top_k: 10,
+        stop_sequences: ['END'],
+        tool_choice: { type: 'tool', name: 'weather' }
+      });
+      expect(client._buildRequest([], [], undefined, { generation: { tool_choice: 'required' } })).not.toHaveProperty('tool_choice');
+    });
+
+    test('asks for the response_format in the system prompt', () => {
+      const request = client._buildRequest([{ role: 'system', content: 'sys' }, { role: 'user', content: 'hi' }], [], undefined, {
+        responseFormat: { type: 'json_schema', json_schema: { name: 'x', schema: { type: 'object' } } }
+      });
+      expect(request.system).toBe('sys\n\nRespond only with a JSON value that matches this JSON schema, without any other text or markdown:\n{"type":"object"}');
+    });
+
+    test('rejects seed and temperatures above 1', () => {
+      expect(() => client.validateGeneration({ seed: 1 })).toThrow('Generation option seed is not supported by this provider');
+      expect(() => client.validateGeneration({ temperature: 1.5 })).toThrow('between 0 and 1 for Anthropic');
+      expect(client.validateGeneration({ tool_choice: 'none' })).toEqual({ tool_choice: 'none' });
+    });
+  });
+
+  describe('_streamImplementation', () => {
+    test('turns text and input_json deltas into stream events', async () => {
+      mockCreate.mockResolvedValue(streamOf([
+        { type: 'message_start', message: { usage: { input_tokens: 10, cache_read_input_tokens: 90, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 25 } },
+        { type: 'message_stop' },
+      ]));
+
+      const stream = await client._streamImplementation([{ role: 'user', content: 'hi' }], []);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+
+      expect(mockCreate.mock.calls[0][0].stream).toBe(true);
+      expect(chunks.map(chunk => chunk.type)).toEqual([
+        'start', 'content_delta', 'tool_call_start', 'tool_call_delta', 'tool_call_delta', 'tool_call_end', 'usage', 'finish'
+      ]);
+      expect(chunks[1]).toEqual({ type: 'content_delta', delta: 'Hi' });
+      expect(chunks[2]).toEqual({ type: 'tool_call_start', index: 1, id: 'toolu_1', name: 'weather' });
+      expect(chunks[chunks.length - 1]).toEqual({
+        type: 'finish',
+        finish_reason: 'tool_calls',
+        provider_finish_reason: 'tool_use',
+        final_content: 'Hi',
+        final_tool_calls: [
+          { id: 'toolu_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+        ],
+        usage: { prompt_tokens: 100, completion_tokens: 25, cached_tokens: 90, total_tokens: 125 },
+      });
+    });
+  });
+});
@@ -0,0 +1,3 @@
+const { AnthropicClient } = require('./anthropic-client');
+
+module.exports = { AnthropicClient };
\ No newline at end of file
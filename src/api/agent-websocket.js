@@ -0,0 +1,351 @@
+const http = require('http');
+const logger = require('../utils/logger');
+const { LLMError } = require('../llm/llm-errors');
+const { clientClosedError, withTimeout, normalizeTimeout } = require('../llm/cancellation');
+const { isErrorEvent } = require('../llm/stream-events');
+
+/**
+ * WebSocket transport of the agent. One socket carries several generations at
+ * once, each identified by an id chosen by the client.
+ *
+ * Client -> server:
+ * - { type: 'generate', id, messages, tools?, provider?, model?, generation?, response_format?, priority?, locale?, timeout? }
+ * - { type: 'tool_result', id, tool_call_id, content }: answers a tool call of the caller's tools
+ * - { type: 'interrupt', id }: stops the model, keeping what it already wrote
+ * - { type: 'cancel', id }: stops the generation and drops its answer
+ *
+ * Server -> client:
+ * - { type: 'event', id, event }: the stream events of the clients (see stream-events.js) and of the tool loop
+ * - { type: 'end', id, reason: 'completed'|'interrupted'|'cancelled'|'error' }
+ * - { type: 'error', id, error, details, status }: a message that was rejected
+ *
+ * A finish event with final_tool_calls leaves the generation waiting for one
+ * tool_result per call; the model is then called again on the same id.
+ */
+
+const DEFAULT_OPTIONS = {
+  path: '/agent/ws',
+  // Generations running at once on a socket
+  maxGenerations: 8,
+  // Ping interval (ms); sockets that didn't answer the previous ping are closed
+  heartbeatInterval: 30000,
+  // Largest message accepted (bytes)
+  maxPayload: 1024 * 1024
+};
+
+const OPEN = 1;
+
+function invalidMessage(message) {
+  return new LLMError(message, { status: 400, code: 'invalid_message', retryable: false });
+}
+
+/**
+ * Messages that continue the conversation once the caller ran its tools. The
+ * assistant message asking for them is already in `messages` when the server
+ * ran tools of the same turn.
+ */
+function continuation(finish, toolMessages) {
+  const produced = finish.messages || [];
+  const calls = finish.final_tool_calls;
+  const asked = produced.some(message => message.role === 'assistant'
+    && (message.tool_calls || []).some(toolCall => toolCall.id === calls[0].id));
+  const assistant = { role: 'assistant', content: finish.final_content || '', tool_calls: calls };
+  return [...produced, ...(asked ? [] : [assistant]), ...toolMessages];
+}
+
+class AgentSocketSession {
+  /**
+   * @param {WebSocket} socket
+   * @param {Object} req - Upgrade request, with req.principal when authenticated
+   * @param {Object} options
+   * @param {Function} options.streamEvents - async (req, body, signal) => AsyncIterable of stream events
+   * @param {Function} options.errorEvent - (error) => stream error event
+   * @param {Function} [options.admit] - async (req) => void, throws to reject a generation (rate limits)
+   * @param {number} [options.maxGenerations=8]
+   * @param {number} [options.requestTimeout] - Maximum of the `timeout` field
+   */
+  constructor(socket, req, options) {
+    this.socket = socket;
+    this.req = req;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.generations = new Map();
+
+    socket.on('message', data => this._onMessage(data));
+    socket.on('close', () => this._onClose());
+  }
+
+  send(frame) {
+    if (this.socket.readyState === OPEN) {
+      this.socket.send(JSON.stringify(frame));
+    }
+  }
+
+  _sendError(id, error) {
+    this.send({ type: 'error', id: id ?? null, error: error.message, details: error.code, status: error.status || 500 });
+  }
+
+  _onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return this._sendError(null, invalidMessage('Messages must be JSON objects'));
+    }
+    const id = message && typeof message === 'object' ? message.id : undefined;
+
+    try {
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw invalidMessage('Messages must be JSON objects');
+      }
+      if (typeof id !== 'string' || !id) {
+        throw invalidMessage('id must be a non-empty string');
+      }
+      switch (message.type) {
+        case 'generate':
+          return this._generate(message);
+        case 'tool_result':
+          return this._toolResult(message);
+        case 'interrupt':
+        case 'cancel':
+          return this._stop(message.type === 'interrupt' ? 'interrupted' : 'cancelled', id);
+        default:
+          throw invalidMessage(`Unknown message type ${message.type}`);
+      }
+    } catch (error) {
+      return this._sendError(id, error);
+    }
+  }
+
+  _find(id) {
+    const state = this.generations.get(id);
+    if (!state) {
+      throw new LLMError(`Generation ${id} not found`, { status: 404, code: 'generation_not_found', retryable: false });
+    }
+    return state;
+  }
+
+  _generate(message) {
+    // The rest of the message is the request body of /agent/message/stream
+    const { id, timeout, ...body } = message;
+    if (this.generations.has(id)) {
+      throw new LLMError(`Generation ${id} is already running`, { status: 409, code: 'generation_exists', retryable: false });
+    }
+    if (this.generations.size >= this.options.maxGenerations) {
+      throw new LLMError(`At most ${this.options.maxGenerations} generations can run on a socket`, {
+        status: 429,
+        code: 'too_many_generations',
+        retryable: true
+      });
+    }
+    if (!Array.isArray(body.messages)) {
+      throw invalidMessage('messages must be an array');
+    }
+
+    const controller = new AbortController();
+    const { signal, clear } = withTimeout(controller.signal, normalizeTimeout(timeout, this.options.requestTimeout));
+    const state = {
+      id,
+      body,
+      conversation: [...body.messages],
+      controller,
+      signal,
+      clearTimer: clear,
+      pending: null,
+      toolMessages: [],
+      content: '',
+      finish: null,
+      stopped: null,
+      ended: false
+    };
+    this.generations.set(id, state);
+
+    Promise.resolve(this.options.admit ? this.options.admit(this.req) : undefined)
+      .then(() => this._run(state))
+      .catch((error) => {
+        this._sendError(id, error);
+        this._end(state, null);
+      });
+  }
+
+  /**
+   * One model call (or tool loop); stops waiting for the caller's tool results when needed
+   */
+  async _run(state) {
+    state.content = '';
+    state.finish = null;
+    try {
+      const events = await this.options.streamEvents(this.req, { ...state.body, messages: state.conversation }, state.signal);
+      for await (const event of events) {
+        if (event && event.type === 'content_delta') {
+          state.content += event.delta;
+        }
+        if (event && event.type === 'finish') {
+          state.finish = event;
+        }
+        this.send({ type: 'event', id: state.id, event });
+        if (isErrorEvent(event)) {
+          return this._end(state, 'error');
+        }
+      }
+    } catch (error) {
+      if (state.stopped) {
+        return this._stopped(state);
+      }
+      this.send({ type: 'event', id: state.id, event: this.options.errorEvent(error) });
+      return this._end(state, 'error');
+    }
+
+    const toolCalls = (state.finish && state.finish.final_tool_calls) || [];
+    if (state.stopped || toolCalls.length === 0) {
+      return state.stopped ? this._stopped(state) : this._end(state, 'completed');
+    }
+    // Waits for the caller to run its tools
+    state.pending = new Map(toolCalls.map(toolCall => [toolCall.id, toolCall]));
+    state.toolMessages = [];
+    return undefined;
+  }
+
+  _toolResult(message) {
+    const state = this._find(message.id);
+    if (!state.pending) {
+      throw new LLMError(`Generation ${state.id} is not waiting for tool results`, { status: 409, code: 'no_pending_tool_calls', retryable: false });
+    }
+    const toolCall = state.pending.get(message.tool_call_id);
+    if (!toolCall) {
+      throw invalidMessage(`Unknown tool_call_id ${message.tool_call_id}`);
+    }
+
+    state.pending.delete(toolCall.id);
+    state.toolMessages.push({
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      name: toolCall.function?.name,
+      content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? null)
+    });
+    if (state.pending.size > 0) return;
+
+    state.pending = null;
+    state.conversation.push(...continuation(state.finish, state.toolMessages));
+    this._run(state).catch(error => logger.error(`WebSocket generation ${state.id} failed: ${error.message}`));
+  }
+
+  _stop(reason, id) {
+    const state = this._find(id);
+    state.stopped = reason;
+    if (state.pending) {
+      // Nothing running: the generation just ends
+      return this._stopped(state);
+    }
+    state.controller.abort(clientClosedError());
+    return undefined;
+  }
+
+  /**
+   * An interrupted generation ends with a finish event holding the partial answer
+   */
+  _stopped(state) {
+    if (state.stopped === 'interrupted' && !state.ended) {
+      this.send({
+        type: 'event',
+        id: state.id,
+        event: { type: 'finish', finish_reason: 'interrupted', provider_finish_reason: null, final_content: state.content, final_tool_calls: null }
+      });
+    }
+    this._end(state, state.stopped);
+  }
+
+  _end(state, reason) {
+    if (state.ended) return;
+    state.ended = true;
+    state.clearTimer();
+    this.generations.delete(state.id);
+    if (reason) {
+      this.send({ type: 'end', id: state.id, reason });
+    }
+  }
+
+  _onClose() {
+    for (const state of this.generations.values()) {
+      state.stopped = 'closed';
+      state.ended = true;
+      state.controller.abort(clientClosedError());
+    }
+    this.generations.clear();
+  }
+}
+
+/**
+ * Answers a refused upgrade with a plain HTTP error
+ */
+function rejectUpgrade(socket, error) {
+  const status = error.status || 500;
+  const body = JSON.stringify({ error: error.message, details: error.code });
+  const headers = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close'
+  ];
+  if (error.retryAfter) headers.push(`Retry-After: ${error.retryAfter}`);
+  if (status === 401) headers.push('WWW-Authenticate: Bearer');
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+}
+
+/**
+ * Serves the agent WebSocket endpoint on an HTTP server
+ *
+ * @param {http.Server} server
+ * @param {Object} options - AgentSocketSession options, plus:
+ * @param {string} [options.path='/agent/ws']
+ * @param {Function} [options.authorize] - async (req) => release?, authenticates the upgrade request; the
+ *   returned function is called when the socket closes
+ * @param {number} [options.heartbeatInterval=30000]
+ * @param {number} [options.maxPayload=1048576]
+ * @returns {WebSocketServer}
+ */
+function attachAgentWebSocket(server, options) {
+  // Loaded on demand: ws is an optional peer dependency
+  const { WebSocketServer } = require('ws');
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const wss = new WebSocketServer({ noServer: true, maxPayload: settings.maxPayload });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== settings.path) {
+      // Left to the other upgrade listeners, if any
+      if (server.listeners('upgrade').length === 1) socket.destroy();
+      return;
+    }
+
+    Promise.resolve(settings.authorize ? settings.authorize(req) : null)
+      .then((release) => {
+        wss.handleUpgrade(req, socket, head, (ws) => {
+          ws.isAlive = true;
+          ws.on('pong', () => { ws.isAlive = true; });
+          if (typeof release === 'function') ws.on('close', release);
+          new AgentSocketSession(ws, req, settings);
+          wss.emit('connection', ws, req);
+        });
+      })
+      .catch(error => rejectUpgrade(socket, error));
+  });
+
+  if (settings.heartbeatInterval > 0) {
+    const heartbeat = setInterval(() => {
+      for (const ws of wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, settings.heartbeatInterval);
+    if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+  }
+
+  return wss;
+}
+
+module.exports = { attachAgentWebSocket, AgentSocketSession };
@@ -0,0 +1,205 @@
+/* eslint-env jest */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { describe, test, expect } = require('@jest/globals');
+const { LLMError } = require('../llm/llm-errors');
+const { abortReason } = require('../llm/cancellation');
+const { AgentSocketSession, attachAgentWebSocket } = require('./agent-websocket');
+
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.readyState = 1;
+  socket.frames = [];
+  socket.send = (data) => { socket.frames.push(JSON.parse(data)); };
+  socket.receive = (message) => socket.emit('message', Buffer.from(JSON.stringify(message)));
+  return socket;
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const errorEvent = error => ({ type: 'error', error: error.message, details: error.code, status: error.status });
+
+// Streams the scripted turns one after another; each turn is a list of events
+function scripted(turns) {
+  const calls = [];
+  const streamEvents = async (req, body, signal) => {
+    calls.push(body);
+    const events = turns[calls.length - 1];
+    return (async function* () {
+      for (const event of events) {
+        if (event === 'hang') {
+          await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(abortReason(signal))));
+        }
+        yield event;
+      }
+    })();
+  };
+  return { calls, streamEvents };
+}
+
+describe('AgentSocketSession', () => {
+  test('multiplexes the stream events of several generations by id', async () => {
+    const socket = fakeSocket();
+    const { streamEvents } = scripted([
+      [{ type: 'content_delta', delta: 'Olá' }, { type: 'finish', finish_reason: 'stop', final_content: 'Olá' }],
+      [{ type: 'content_delta', delta: 'Hi' }, { type: 'finish', finish_reason: 'stop', final_content: 'Hi' }]
+    ]);
+    new AgentSocketSession(socket, {}, { streamEvents, errorEvent });
+
+    socket.receive({ type: 'generate', id: 'a', messages: [{ role: 'user', content: 'oi' }] });
+    socket.receive({ type: 'generate', id: 'b', messages: [{ role: 'user', content: 'hi' }] });
+    await flush();
+
+    const of = id => socket.frames.filter(frame => frame.id === id);
+    expect(of('a').map(frame => frame.event?.type || frame.type)).toEqual(['content_delta', 'finish', 'end']);
+    expect(of('b')[0]).toEqual({ type: 'event', id: 'b', event: { type: 'content_delta', delta: 'Hi' } });
+    expect(of('b')[2]).toEqual({ type: 'end', id: 'b', reason: 'completed' });
+  });
+
+  test('continues the generation with the tool results sent on the socket', async () => {
+    const socket = fakeSocket();
+    const toolCall = { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Lisboa"}' } };
+    const { calls, streamEvents } = scripted([
+      [{ type: 'finish', finish_reason: 'tool_calls', final_content: '', final_tool_calls: [toolCall] }],
+      [{ type: 'content_delta', delta: '22°C' }, { type: 'finish', finish_reason: 'stop', final_content: '22°C' }]
+    ]);
+    const session = new AgentSocketSession(socket, {}, { streamEvents, errorEvent });
+
+    socket.receive({ type: 'generate', id: 'g1', messages: [{ role: 'user', content: 'Tempo?' }] });
+    await flush();
+    expect(session.generations.get('g1').pending.has('call_1')).toBe(true);
+    expect(socket.frames.some(frame => frame.type === 'end')).toBe(false);
+
+    socket.receive({ type: 'tool_result', id: 'g1', tool_call_id: 'call_1', content: { temperature: 22 } });
+    await flush();
+
+    expect(calls[1].messages).toEqual([
+      { role: 'user', content: 'Tempo?' },
+      { role: 'assistant', content: '', tool_calls: [toolCall] },
+      { role: 'tool', tool_call_id: 'call_1', name: 'get_weather', content: '{"temperature":22}' }
+    ]);
+    expect(socket.frames[socket.frames.length - 1]).toEqual({ type: 'end', id: 'g1', reason: 'completed' });
+  });
+
+  test('interrupt keeps the partial answer, cancel drops it', async () => {
+    const socket = fakeSocket();
+    const { streamEvents } = scripted([
+      [{ type: 'content_delta', delta: 'Era uma vez' }, 'hang'],
+      [{ type: 'content_delta', delta: 'Once' }, 'hang']
+    ]);
+    new AgentSocketSession(socket, {}, { streamEvents, errorEvent });
+
+    socket.receive({ type: 'generate', id: 'story', messages: [] });
+    socket.receive({ type: 'generate', id: 'other', messages: [] });
+    await flush();
+    socket.receive({ type: 'interrupt', id: 'story' });
+    socket.receive({ type: 'cancel', id: 'other' });
+    await flush();
+
+    const story = socket.frames.filter(frame => frame.id === 'story');
+    expect(story.slice(-2)).toEqual([
+      { type: 'event', id: 'story', event: { type: 'finish', finish_reason: 'interrupted', provider_finish_reason: null, final_content: 'Era uma vez', final_tool_calls: null } },
+      { type: 'end', id: 'story', reason: 'interrupted' }
+    ]);
+    const other = socket.frames.filter(frame => frame.id === 'other');
+    expect(other[other.length - 1]).toEqual({ type: 'end', id: 'other', reason: 'cancelled' });
+    expect(other.some(frame => frame.event?.type === 'finish')).toBe(false);
+  });
+
+  test('reports invalid messages and failed generations', async () => {
+    const socket = fakeSocket();
+    const streamEvents = async () => {
+      throw new LLMError('Model unknown is not allowed', { status: 400, code: 'model_not_allowed' });
+    };
+    new AgentSocketSession(socket, {}, { streamEvents, errorEvent, maxGenerations: 1 });
+
+    socket.emit('message', Buffer.from('not json'));
+    socket.receive({ type: 'generate', messages: [] });
+    socket.receive({ type: 'tool_result', id: 'missing', tool_call_id: 'x' });
+    socket.receive({ type: 'generate', id: 'g', messages: [], model: 'unknown' });
+    socket.receive({ type: 'generate', id: 'h', messages: [] });
+    await flush();
+
+    expect(socket.frames.map(frame => frame.details || frame.event?.details)).toEqual([
+      'invalid_message',
+      'invalid_message',
+      'generation_not_found',
+      'too_many_generations',
+      'model_not_allowed',
+      undefined
+    ]);
+    expect(socket.frames[4]).toEqual({ type: 'event', id: 'g', event: expect.objectContaining({ type: 'error', status: 400 }) });
+    expect(socket.frames[5]).toEqual({ type: 'end', id: 'g', reason: 'error' });
+  });
+
+  test('closing the socket aborts its generations', async () => {
+    const socket = fakeSocket();
+    let signal;
+    const streamEvents = async (req, body, generationSignal) => {
+      signal = generationSignal;
+      return scripted([['hang']]).streamEvents(req, body, generationSignal);
+    };
+    const session = new AgentSocketSession(socket, {}, { streamEvents, errorEvent });
+
+    socket.receive({ type: 'generate', id: 'g', messages: [] });
+    await flush();
+    socket.readyState = 3;
+    socket.emit('close');
+    await flush();
+
+    expect(signal.reason).toMatchObject({ code: 'client_closed_request' });
+    expect(session.generations.size).toBe(0);
+  });
+});
+
+describe('attachAgentWebSocket', () => {
+  test('authenticates the upgrade and serves the sessions on the path', async () => {
+    const server = http.createServer();
+    const { streamEvents } = scripted([[{ type: 'content_delta', delta: 'ok' }, { type: 'finish', finish_reason: 'stop', final_content: 'ok' }]]);
+    const wss = attachAgentWebSocket(server, {
+      streamEvents,
+      errorEvent,
+      heartbeatInterval: 0,
+      authorize: async (req) => {
+        if (req.headers.authorization !== 'Bearer secret') {
+          throw new LLMError('Invalid API key', { status: 401, code: 'invalid_api_key' });
+        }
+      }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `ws://localhost:${server.address().port}/agent/ws`;
+
+    try {
+      const status = await new Promise((resolve) => {
+        const rejected = new WebSocket(url);
+        rejected.on('unexpected-response', (req, res) => {
+          resolve(res.statusCode);
+          res.resume();
+        });
+        rejected.on('error', () => {});
+      });
+      expect(status).toBe(401);
+
+      const socket = new WebSocket(url, { headers: { authorization: 'Bearer secret' } });
+      const frames = [];
+      await new Promise((resolve, reject) => {
+        socket.on('open', () => socket.send(JSON.stringify({ type: 'generate', id: '1', messages: [] })));
+        socket.on('message', (data) => {
+          const frame = JSON.parse(data);
+          frames.push(frame);
+          if (frame.type === 'end') resolve();
+        });
+        socket.on('error', reject);
+      });
+      socket.close();
+
+      expect(frames.map(frame => frame.event?.type || frame.reason)).toEqual(['content_delta', 'finish', 'completed']);
+    } finally {
+      wss.clients.forEach(client => client.terminate());
+      wss.close();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,335 @@
+const express = require('express');
+const crypto = require('crypto');
+const { LLMError, ProviderError } = require('../llm/llm-errors');
+const { FallbackMessages } = require('../llm/fallback-messages');
+const { abortOnClose, abortReason, withTimeout, normalizeTimeout } = require('../llm/cancellation');
+const { normalizeResponseFormat } = require('../llm/structured-output');
+const { UsageMeter, StreamUsage, toOpenAIUsage } = require('../llm/usage');
+const { normalizePriority } = require('../llm/request-queue');
+const { normalizeFinishReason, isErrorEvent } = require('../llm/stream-events');
+
+// Chat Completions has no interrupted or other finish reason
+function toFinishReason(reason, hasToolCalls) {
+  const normalized = normalizeFinishReason(reason, hasToolCalls);
+  return normalized === 'interrupted' || normalized === 'other' ? 'stop' : normalized;
+}
+
+function createCompletionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Converts a client response (ResponseSerializer shape) into a chat.completion object
+ */
+function toChatCompletion(response, model, id = createCompletionId()) {
+  const hasToolCalls = Array.isArray(response.tool_calls) && response.tool_calls.length > 0;
+  const message = {
+    role: 'assistant',
+    content: hasToolCalls && !response.content ? null : (response.content || ''),
+    refusal: null
+  };
+  if (hasToolCalls) {
+    message.tool_calls = response.tool_calls;
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message,
+      logprobs: null,
+      finish_reason: toFinishReason(response.finish_reason, hasToolCalls)
+    }],
+    usage: toOpenAIUsage(response.usage)
+  };
+}
+
+/**
+ * Turns the client's stream events into chat.completion.chunk objects. Tool
+ * calls get the chunk index of their first appearance (the tool call index of
+ * the client events restarts with every model call).
+ */
+class ChatCompletionChunker {
+  constructor(model, id = createCompletionId()) {
+    this.id = id;
+    this.model = model;
+    this.created = Math.floor(Date.now() / 1000);
+    this.toolCalls = new Map();
+  }
+
+  _chunk(delta, finishReason = null) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+    };
+  }
+
+  start() {
+    return this._chunk({ role: 'assistant', content: '' });
+  }
+
+  _toolCallStart(id, name, args = '') {
+    const index = this.toolCalls.size;
+    this.toolCalls.set(id, index);
+    return this._chunk({ tool_calls: [{ index, id, type: 'function', function: { name, arguments: args } }] });
+  }
+
+  /**
+   * @returns {Array<Object>} Chunks to send for a client stream event
+   */
+  fromEvent(event) {
+    if (!event) return [];
+
+    switch (event.type) {
+      case 'content_delta':
+        return [this._chunk({ content: event.delta })];
+      case 'tool_call_start':
+        return [this._toolCallStart(event.id, event.name)];
+      case 'tool_call_delta':
+        return [this._chunk({ tool_calls: [{ index: this.toolCalls.get(event.id), function: { arguments: event.delta } }] })];
+      case 'finish': {
+        // Tool calls that were only reported in the finish event
+        const chunks = (event.final_tool_calls || [])
+          .filter(toolCall => !this.toolCalls.has(toolCall.id))
+          .map(toolCall => this._toolCallStart(toolCall.id, toolCall.function?.name || '', toolCall.function?.arguments || ''));
+        chunks.push(this._chunk({}, toFinishReason(event.finish_reason, this.toolCalls.size > 0)));
+        return chunks;
+      }
+      default:
+        return [];
+    }
+  }
+
+  usage(usage) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [],
+      usage: toOpenAIUsage(usage)
+    };
+  }
+}
+
+// Chat Completions request parameters forwarded as generation options
+const GENERATION_PARAMS = ['temperature', 'top_p', 'max_tokens', 'stop', 'seed', 'presence_penalty', 'frequency_penalty', 'tool_choice'];
+
+/**
+ * Picks the generation options out of a Chat Completions request body
+ */
+function toGeneration(body) {
+  const generation = {};
+  for (const name of GENERATION_PARAMS) {
+    if (body[name] !== undefined && body[name] !== null) {
+      generation[name] = body[name];
+    }
+  }
+  // Newer SDKs send max_completion_tokens instead of max_tokens
+  if (generation.max_tokens === undefined && body.max_completion_tokens != null) {
+    generation.max_tokens = body.max_completion_tokens;
+  }
+  return generation;
+}
+
+/**
+ * Sends an error in the OpenAI error format
+ */
+function sendOpenAIError(res, status, message, type, code) {
+  return res.status(status).json({
+    error: { message, type, param: null, code: code || null }
+  });
+}
+
+function errorType(status) {
+  if (status === 401) return 'authentication_error';
+  if (status === 402) return 'insufficient_quota';
+  if (status === 403) return 'permission_error';
+  if (status === 404) return 'not_found_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status >= 500) return 'server_error';
+  return 'invalid_request_error';
+}
+
+/**
+ * Creates the router exposing the OpenAI Chat Completions API
+ * (POST /chat/completions, mounted under /v1)
+ *
+ * @param {Object} options
+ * @param {ClientRegistry} options.registry - Resolves provider/model into a client
+ * @param {UsageMeter} [options.usageMeter] - Prices the token usage and reports it to the usage hook
+ * @param {QuotaManager} [options.quotaManager] - Rejects requests whose API key has no budget left
+ * @param {Authenticator} [options.authenticator] - Authenticates every request (sets req.principal)
+ * @param {RateLimiter} [options.rateLimiter] - Per client request, token and concurrent stream limits
+ * @param {Function} [options.beforeRequest] - Hook called before processing a request
+ * @param {Function} [options.afterResponse] - Hook called after generating a response
+ * @param {FallbackMessages} [options.fallbackMessages] - Picks the locale of the fallback messages (Accept-Language)
+ * @param {string} [options.localeField='locale'] - Body field that selects the locale, ahead of Accept-Language
+ * @param {boolean} [options.localizedErrors=false] - Provider failures (ProviderError) are answered with the localized message
+ * @param {number} [options.requestTimeout] - Time (ms) after which the provider calls are aborted, maximum of the `timeout` field
+ * @returns {express.Router}
+ */
+function createChatCompletionsRouter({
+  registry,
+  usageMeter = new UsageMeter(),
+  quotaManager,
+  authenticator,
+  rateLimiter,
+  beforeRequest,
+  afterResponse,
+  fallbackMessages = new FallbackMessages(),
+  localeField = 'locale',
+  localizedErrors = false,
+  requestTimeout
+}) {
+  const router = express.Router();
+
+  // Errors of the auth and rate limit middlewares
+  const rejectRequest = (error, req, res) => {
+    const status = error instanceof LLMError && error.status ? error.status : 500;
+    return sendOpenAIError(res, status, status >= 500 ? 'Internal server error' : error.message, errorType(status), error.code);
+  };
+
+  if (authenticator) {
+    router.use(authenticator.middleware(rejectRequest));
+  }
+  if (rateLimiter) {
+    router.use(rateLimiter.middleware(req => req.body?.stream === true, rejectRequest));
+  }
+
+  router.post('/chat/completions', async (req, res) => {
+    let clearTimer = () => {};
+    try {
+      const { messages, tools, stream } = req.body || {};
+
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return sendOpenAIError(res, 400, "'messages' must be a non-empty array", 'invalid_request_error', 'invalid_messages');
+      }
+
+      if (typeof beforeRequest === 'function') {
+        const shouldContinue = await beforeRequest(req, res, req.principal);
+        if (shouldContinue === false) return; // Hook handled the response
+      }
+
+      if (req.body.n !== undefined && req.body.n !== null && req.body.n !== 1) {
+        return sendOpenAIError(res, 400, "Only n=1 is supported", 'invalid_request_error', 'unsupported_generation_option');
+      }
+
+      if (quotaManager) {
+        await quotaManager.check(req);
+      }
+
+      const { client, provider, model, generation } = registry.resolve({ ...req.body, generation: toGeneration(req.body) });
+      // Translated to each provider's JSON mode; unlike /agent/message the answer isn't validated
+      const responseFormat = normalizeResponseFormat(req.body.response_format);
+      // Not an OpenAI parameter: request queue priority, interactive (default) or batch
+      const priority = normalizePriority(req.body.priority);
+      // Not an OpenAI parameter either: locale of the fallback message
+      const locale = fallbackMessages.localeFor(req, localeField);
+      // Provider calls stop when the client disconnects or the timeout (ms, not an OpenAI parameter) expires
+      const { signal, clear } = withTimeout(abortOnClose(res), normalizeTimeout(req.body.timeout, requestTimeout));
+      clearTimer = clear;
+      const responseModel = model || req.body.model;
+
+      // Usage is reported for the provider that actually answered (it may be a fallback)
+      const recordUsage = (result, streaming) => {
+        const answeredBy = result?._provider_metadata || {};
+        usageMeter.record({
+          req,
+          endpoint: 'chat/completions',
+          provider: answeredBy.provider || provider,
+          model: answeredBy.model || model,
+          streaming,
+          usage: result?.usage
+        });
+      };
+
+      if (!stream) {
+        const result = await client.send(messages, tools || [], model, { generation, responseFormat, priority, locale, signal });
+        recordUsage(result, false);
+        let response = toChatCompletion(result, responseModel);
+        if (typeof afterResponse === 'function') {
+          const modifiedResponse = await afterResponse(req, response, req.principal);
+          if (modifiedResponse) {
+            response = modifiedResponse;
+          }
+        }
+        return res.json(response);
+      }
+
+      // Headers are sent once the stream started, failures before it get a JSON error
+      const streamGenerator = await client.stream(messages, tools || [], model, { generation, responseFormat, priority, locale, signal });
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      if (typeof afterResponse === 'function') {
+        afterResponse(req, { streaming: true }, req.principal);
+      }
+
+      const chunker = new ChatCompletionChunker(responseModel);
+      const write = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      write(chunker.start());
+
+      let finish = null;
+      const seen = new StreamUsage();
+      try {
+        for await (const event of streamGenerator) {
+          if (signal.aborted) {
+            throw abortReason(signal);
+          }
+          seen.track(event);
+          if (isErrorEvent(event)) {
+            write({ error: { message: event.error, type: 'server_error', param: null, code: event.details || null } });
+            break;
+          }
+          if (event.type === 'finish') {
+            finish = event;
+          }
+          chunker.fromEvent(event).forEach(write);
+        }
+      } finally {
+        // Also when the client disconnected or the timeout expired, with the usage seen until then
+        recordUsage({ ...finish, usage: seen.usage }, true);
+      }
+      const usage = finish ? finish.usage : null;
+
+      if (req.body.stream_options?.include_usage) {
+        write(chunker.usage(usage));
+      }
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    } catch (error) {
+      const message = localizedErrors && error instanceof ProviderError ? error.localizedMessage : error.message;
+      if (res.headersSent) {
+        res.write(`data: ${JSON.stringify({ error: { message, type: 'server_error', param: null, code: error.code || null } })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
+      const status = error instanceof LLMError && error.status ? error.status : 500;
+      if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+      }
+      if (status >= 500) {
+        console.error('Chat completions error:', error);
+      }
+      if (localizedErrors && error instanceof ProviderError) {
+        res.setHeader('Content-Language', error.locale);
+      }
+      return sendOpenAIError(res, status, message, errorType(status), error.code);
+    } finally {
+      clearTimer();
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createChatCompletionsRouter, toChatCompletion, ChatCompletionChunker };
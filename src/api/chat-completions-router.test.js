@@ -0,0 +1,449 @@
+/* eslint-env jest */
+
+const { describe, test, expect, beforeAll, afterAll, jest } = require('@jest/globals');
+const express = require('express');
+const { createChatCompletionsRouter } = require('./chat-completions-router');
+const { LLMError, ProviderError } = require('../llm/llm-errors');
+const { UsageMeter } = require('../llm/usage');
+const { LLMClient } = require('../llm/llm-client');
+const { FallbackLLMClient } = require('../llm/fallback-client');
+const { OpenAIClient } = require('../openai/openai-client');
+const { QuotaManager } = require('../quota');
+const { Authenticator, hashApiKey } = require('../auth');
+
+function streamOf(events) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+const weatherCall = (args) => ({ id: 'call_1', type: 'function', function: { name: 'weather', arguments: args } });
+
+const stubClient = {
+  send: jest.fn(async () => ({ role: 'assistant', content: 'Hello!' })),
+  stream: jest.fn(async () => streamOf([
+    { type: 'start', provider: 'openai', model: 'gpt-4.1' },
+    { type: 'content_delta', delta: 'Hel' },
+    { type: 'content_delta', delta: 'lo' },
+    { type: 'tool_call_start', index: 0, id: 'call_1', name: 'weather' },
+    { type: 'tool_call_delta', index: 0, id: 'call_1', delta: '{"city":' },
+    { type: 'tool_call_delta', index: 0, id: 'call_1', delta: '"Paris"}' },
+    { type: 'tool_call_end', index: 0, tool_call: weatherCall('{"city":"Paris"}') },
+    {
+      type: 'finish',
+      finish_reason: 'tool_calls',
+      provider_finish_reason: 'STOP',
+      final_content: 'Hello',
+      final_tool_calls: [weatherCall('{"city":"Paris"}')]
+    }
+  ]))
+};
+
+const registry = {
+  resolve: jest.fn(({ model }) => {
+    if (model === 'o3-pro') {
+      throw new LLMError('Model o3-pro is not allowed for provider openai', { status: 403, code: 'model_not_allowed' });
+    }
+    return { client: stubClient, provider: 'openai', model };
+  })
+};
+
+const onUsage = jest.fn();
+const usageMeter = new UsageMeter({ prices: { 'openai:gpt-4.1': { input: 2, output: 8 } }, onUsage });
+
+function parseSSE(text) {
+  return text.split('\n\n')
+    .filter(frame => frame.startsWith('data: '))
+    .map(frame => frame.slice('data: '.length))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+describe('POST /v1/chat/completions', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry, usageMeter }));
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}/v1/chat/completions`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = (body) => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('returns a chat.completion object', async () => {
+    const res = await post({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] });
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.id).toMatch(/^chatcmpl-/);
+    expect(body.object).toBe('chat.completion');
+    expect(body.model).toBe('gpt-4.1');
+    expect(body.choices).toEqual([{
+      index: 0,
+      message: { role: 'assistant', content: 'Hello!', refusal: null },
+      logprobs: null,
+      finish_reason: 'stop'
+    }]);
+    expect(body.usage).toEqual({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, prompt_tokens_details: { cached_tokens: 0 } });
+  });
+
+  test('reports tool calls with the tool_calls finish reason', async () => {
+    stubClient.send.mockResolvedValueOnce({ role: 'assistant', content: '', tool_calls: [weatherCall('{}')] });
+
+    const body = await (await post({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] })).json();
+
+    expect(body.choices[0].message.content).toBeNull();
+    expect(body.choices[0].message.tool_calls).toEqual([weatherCall('{}')]);
+    expect(body.choices[0].finish_reason).toBe('tool_calls');
+  });
+
+  test('reports the finish reason of the provider', async () => {
+    const openai = new OpenAIClient({ llmToken: 'sk-test' });
+    openai._client = {
+      chat: {
+        completions: {
+          create: jest.fn(async () => ({ choices: [{ message: { role: 'assistant', content: 'Once upon a' }, finish_reason: 'length' }] }))
+        }
+      }
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry: { resolve: ({ model }) => ({ client: openai, provider: 'openai', model }) } }));
+    const openaiServer = app.listen(0);
+
+    try {
+      const res = await fetch(`http://localhost:${openaiServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4.1', max_tokens: 3, messages: [{ role: 'user', content: 'Tell me a story' }] })
+      });
+
+      expect((await res.json()).choices[0]).toMatchObject({ message: { content: 'Once upon a' }, finish_reason: 'length' });
+    } finally {
+      openaiServer.close();
+    }
+  });
+
+  test('streams chat.completion.chunk frames terminated by [DONE]', async () => {
+    const res = await post({ model: 'gpt-4.1', stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'hi' }] });
+    const frames = parseSSE(await res.text());
+
+    expect(res.headers.get('content-type')).toContain('text/event-stream');
+    expect(frames[frames.length - 1]).toBe('[DONE]');
+
+    const chunks = frames.slice(0, -1);
+    expect(new Set(chunks.map(c => c.id)).size).toBe(1);
+    expect(chunks.every(c => c.object === 'chat.completion.chunk')).toBe(true);
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+
+    const deltas = chunks.filter(c => c.choices.length > 0).map(c => c.choices[0].delta);
+    expect(deltas.filter(d => d.content).map(d => d.content).join('')).toBe('Hello');
+    expect(deltas.filter(d => d.tool_calls).map(d => d.tool_calls[0])).toEqual([
+      { index: 0, id: 'call_1', type: 'function', function: { name: 'weather', arguments: '' } },
+      { index: 0, function: { arguments: '{"city":' } },
+      { index: 0, function: { arguments: '"Paris"}' } }
+    ]);
+
+    const finish = chunks.find(c => c.choices[0]?.finish_reason);
+    expect(finish.choices[0].finish_reason).toBe('tool_calls');
+
+    const usageChunk = chunks[chunks.length - 1];
+    expect(usageChunk.choices).toEqual([]);
+    expect(usageChunk.usage).toBeDefined();
+  });
+
+  test('reports the provider usage and records its cost', async () => {
+    onUsage.mockClear();
+    stubClient.send.mockResolvedValueOnce({
+      role: 'assistant',
+      content: 'Hello!',
+      usage: { prompt_tokens: 1000, completion_tokens: 100, cached_tokens: 200, total_tokens: 1100 }
+    });
+
+    const body = await (await post({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] })).json();
+
+    expect(body.usage).toEqual({ prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100, prompt_tokens_details: { cached_tokens: 200 } });
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({
+      endpoint: 'chat/completions',
+      provider: 'openai',
+      model: 'gpt-4.1',
+      streaming: false,
+      usage: { prompt_tokens: 1000, completion_tokens: 100, cached_tokens: 200, total_tokens: 1100, estimated_cost: 0.0028 }
+    }));
+  });
+
+  test('reports and prices the per-request model that answered through a fallback chain', async () => {
+    class ModelEchoClient extends LLMClient {
+      validateConfig() {}
+
+      async _sendImplementation(messages, tools, model) {
+        return { role: 'assistant', content: `answer from ${model}`, usage: { prompt_tokens: 1000, completion_tokens: 100, cached_tokens: 0, total_tokens: 1100 } };
+      }
+
+      serializeResponse(response) {
+        return response;
+      }
+    }
+    const fallbackClient = new FallbackLLMClient([
+      { client: new ModelEchoClient({}), provider: 'openai', model: 'gpt-4.1' },
+      { client: new ModelEchoClient({}), provider: 'gemini', model: 'gemini-2.5-pro' }
+    ]);
+    const usageHook = jest.fn();
+    const meter = new UsageMeter({
+      prices: { 'openai:gpt-4.1': { input: 2, output: 8 }, 'openai:gpt-4.1-mini': { input: 0.4, output: 1.6 } },
+      onUsage: usageHook
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({
+      registry: { resolve: ({ model }) => ({ client: fallbackClient, provider: 'openai', model }) },
+      usageMeter: meter
+    }));
+    const fallbackServer = app.listen(0);
+
+    try {
+      const res = await fetch(`http://localhost:${fallbackServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4.1-mini', messages: [{ role: 'user', content: 'hi' }] })
+      });
+
+      expect((await res.json()).choices[0].message.content).toBe('answer from gpt-4.1-mini');
+      expect(usageHook).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'openai',
+        model: 'gpt-4.1-mini',
+        usage: expect.objectContaining({ estimated_cost: 0.00056 })
+      }));
+    } finally {
+      fallbackServer.close();
+    }
+  });
+
+  test('returns errors in the OpenAI format', async () => {
+    const res = await post({ model: 'o3-pro', messages: [{ role: 'user', content: 'hi' }] });
+    const body = await res.json();
+
+    expect(res.status).toBe(403);
+    expect(body.error).toEqual({
+      message: 'Model o3-pro is not allowed for provider openai',
+      type: 'permission_error',
+      param: null,
+      code: 'model_not_allowed'
+    });
+  });
+
+  test('rejects keys without budget left with Retry-After', async () => {
+    const quotaManager = new QuotaManager({ budgets: { '*': { daily: { tokens: 10 } } } });
+    // Without authentication every request is charged to the anonymous key, whatever its x-api-key
+    await quotaManager.consume({ req: { headers: {} }, usage: { total_tokens: 10 } });
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry, quotaManager }));
+    const quotaServer = app.listen(0);
+
+    try {
+      const res = await fetch(`http://localhost:${quotaServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': 'key-a' },
+        body: JSON.stringify({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] })
+      });
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers.get('retry-after'))).toBeGreaterThan(0);
+      expect((await res.json()).error).toMatchObject({ type: 'rate_limit_error', code: 'quota_exceeded' });
+    } finally {
+      quotaServer.close();
+    }
+  });
+
+  test('answers provider failures with the localized message when localizedErrors is set', async () => {
+    const failing = {
+      send: jest.fn(async (messages, tools, model, options) => {
+        throw new ProviderError('OpenAI request failed: 429', {
+          status: 503,
+          code: 'provider_unavailable',
+          retryAfter: 3,
+          locale: options.locale,
+          localizedMessage: `apology in ${options.locale}`
+        });
+      })
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry: { resolve: () => ({ client: failing }) }, localizedErrors: true }));
+    const fallbackServer = app.listen(0);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const res = await fetch(`http://localhost:${fallbackServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': 'es-ES,en;q=0.8' },
+        body: JSON.stringify({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] })
+      });
+
+      expect(res.status).toBe(503);
+      expect(res.headers.get('retry-after')).toBe('3');
+      expect(res.headers.get('content-language')).toBe('es');
+      expect((await res.json()).error).toMatchObject({ message: 'apology in es', type: 'server_error', code: 'provider_unavailable' });
+    } finally {
+      consoleError.mockRestore();
+      fallbackServer.close();
+    }
+  });
+
+  test('aborts the upstream stream when the client disconnects', async () => {
+    let upstreamSignal;
+    const endless = {
+      stream: jest.fn(async (messages, tools, model, options) => {
+        upstreamSignal = options.signal;
+        return {
+          [Symbol.asyncIterator]: async function* () {
+            while (!options.signal.aborted) {
+              yield { type: 'content_delta', delta: 'la ' };
+              await new Promise(resolve => setTimeout(resolve, 5));
+            }
+          }
+        };
+      })
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry: { resolve: () => ({ client: endless }) } }));
+    const streamServer = app.listen(0);
+    const controller = new AbortController();
+
+    try {
+      const res = await fetch(`http://localhost:${streamServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4.1', stream: true, messages: [{ role: 'user', content: 'sing' }] }),
+        signal: controller.signal
+      });
+      await res.body.getReader().read();
+      controller.abort();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(upstreamSignal.aborted).toBe(true);
+      expect(upstreamSignal.reason.code).toBe('client_closed_request');
+    } finally {
+      streamServer.closeAllConnections();
+      streamServer.close();
+    }
+  });
+
+  test('records the usage seen so far when the client disconnects', async () => {
+    const promptUsage = { prompt_tokens: 50, completion_tokens: 0, cached_tokens: 0, total_tokens: 50 };
+    const endless = {
+      stream: jest.fn(async (messages, tools, model, options) => ({
+        [Symbol.asyncIterator]: async function* () {
+          yield { type: 'start', provider: 'openai', model };
+          yield { type: 'usage', usage: promptUsage };
+          while (!options.signal.aborted) {
+            yield { type: 'content_delta', delta: 'la ' };
+            await new Promise(resolve => setTimeout(resolve, 5));
+          }
+        }
+      }))
+    };
+    const usageHook = jest.fn();
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({
+      registry: { resolve: ({ model }) => ({ client: endless, provider: 'openai', model }) },
+      usageMeter: new UsageMeter({ prices: { 'openai:gpt-4.1': { input: 2, output: 8 } }, onUsage: usageHook })
+    }));
+    const streamServer = app.listen(0);
+    const controller = new AbortController();
+
+    try {
+      const res = await fetch(`http://localhost:${streamServer.address().port}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4.1', stream: true, messages: [{ role: 'user', content: 'sing' }] }),
+        signal: controller.signal
+      });
+      await res.body.getReader().read();
+      controller.abort();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(usageHook).toHaveBeenCalledTimes(1);
+      expect(usageHook).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'openai',
+        model: 'gpt-4.1',
+        streaming: true,
+        usage: { ...promptUsage, estimated_cost: 0.0001 }
+      }));
+    } finally {
+      streamServer.closeAllConnections();
+      streamServer.close();
+    }
+  });
+
+  test('authenticates requests and passes the principal to the hooks', async () => {
+    const authenticator = new Authenticator({ apiKeys: [{ id: 'acme', hash: hashApiKey('sk-acme') }] });
+    const beforeRequest = jest.fn();
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createChatCompletionsRouter({ registry, authenticator, beforeRequest }));
+    const authServer = app.listen(0);
+    const send = (headers) => fetch(`http://localhost:${authServer.address().port}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }] })
+    });
+
+    try {
+      const denied = await send({ Authorization: 'Bearer sk-wrong' });
+      expect(denied.status).toBe(401);
+      expect(denied.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await denied.json()).error).toMatchObject({ type: 'authentication_error', code: 'invalid_api_key' });
+      expect(beforeRequest).not.toHaveBeenCalled();
+
+      expect((await send({ Authorization: 'Bearer sk-acme' })).status).toBe(200);
+      expect(beforeRequest.mock.calls[0][2]).toEqual({ id: 'acme', type: 'api_key' });
+    } finally {
+      authServer.close();
+    }
+  });
+
+  test('forwards sampling parameters as generation options', async () => {
+    const res = await post({
+      model: 'gpt-4.1',
+      messages: [{ role: 'user', content: 'hi' }],
+      temperature: 0.3,
+      max_completion_tokens: 50,
+      stop: 'END'
+    });
+
+    expect(res.status).toBe(200);
+    expect(registry.resolve).toHaveBeenLastCalledWith(expect.objectContaining({
+      generation: { temperature: 0.3, max_tokens: 50, stop: 'END' }
+    }));
+
+    const unsupported = await post({ model: 'gpt-4.1', messages: [{ role: 'user', content: 'hi' }], n: 2 });
+    expect(unsupported.status).toBe(400);
+    expect((await unsupported.json()).error.code).toBe('unsupported_generation_option');
+  });
+
+  test('validates messages', async () => {
+    const res = await post({ model: 'gpt-4.1' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error.type).toBe('invalid_request_error');
+  });
+});
@@ -5,6 +5,57 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { LLMFactory } = require('../llm/llm-factory');
+const { ClientRegistry } = require('../llm/client-registry');
+const { LLMError, ProviderError } = require('../llm/llm-errors');
+const { FallbackMessages } = require('../llm/fallback-messages');
+const { abortOnClose, abortReason, withTimeout, normalizeTimeout } = require('../llm/cancellation');
+const { createChatCompletionsRouter } = require('./chat-completions-router');
+const { ResumableStreamStore, parseEventId } = require('./resumable-stream');
+const { attachAgentWebSocket } = require('./agent-websocket');
+const { ToolRegistry, runToolLoop, streamToolLoop } = require('../tools');
+const { normalizeResponseFormat, sendStructured, streamStructured } = require('../llm/structured-output');
+const { streamErrorEvent } = require('../llm/stream-events');
+const { UsageMeter, StreamUsage } = require('../llm/usage');
+const { RequestQueue, normalizePriority } = require('../llm/request-queue');
+const { CircuitBreakerRegistry } = require('../llm/circuit-breaker');
+const { QuotaManager } = require('../quota');
+const { createQuotaAdminRouter } = require('./quota-admin-router');
+const { Authenticator } = require('../auth');
+const { RateLimiter } = require('../rate-limit');
+
+// message: apology as the assistant answer, throw: ProviderError to the errorHandler, http: localized HTTP error
+const FALLBACK_MODES = ['message', 'throw', 'http'];
+
+/**
+ * Picks the LLM client settings out of the server options
+ *
+ * @param {Object} source - Server options (or a provider entry with the same keys)
+ * @returns {Object} Configuration for LLMFactory.createClient
+ */
+function toClientConfig(source) {
+  return {
+    llmName: source.llmName,
+    llmToken: source.llmToken || process.env.AJENT_LLM_TOKEN,
+    llmProject: source.llmProject,
+    llmLocation: source.llmLocation,
+    llmModel: source.llmModel,
+    llmBaseURL: source.llmBaseURL,
+    llmHeaders: source.llmHeaders,
+    supportsTools: source.supportsTools,
+    streamUsage: source.streamUsage,
+    llmEndpoint: source.llmEndpoint,
+    llmDeployment: source.llmDeployment,
+    llmApiVersion: source.llmApiVersion,
+    llmBearerToken: source.llmBearerToken,
+    azureADTokenProvider: source.azureADTokenProvider,
+    llmSttModel: source.llmSttModel,
+    llmSttLanguage: source.llmSttLanguage,
+    maxRetries: source.maxRetries,
+    initialRetryDelay: source.initialRetryDelay,
+    maxRetryDelay: source.maxRetryDelay,
+    maxRetryTime: source.maxRetryTime
+  };
+}
 
 /**
  * Creates and configures an Express API server with routes for LLM interaction,
@@ -14,9 +65,56 @@ const { LLMFactory } = require('../llm/llm-factory');
  * @param {Object} [options.app] - Existing Express app to attach routes to
  * @param {number} [options.port=3000] - Port to listen on (when creating a new app)
  * @param {string} [options.uploadDir='./uploads'] - Directory to store temporary uploads
- * @param {Function} [options.beforeRequest] - Hook called before processing a request
- * @param {Function} [options.afterResponse] - Hook called after generating a response
+ * @param {Function} [options.beforeRequest] - Hook called before processing a request: (req, res, principal)
+ * @param {Function} [options.afterResponse] - Hook called after generating a response: (req, response, principal)
  * @param {Function} [options.errorHandler] - Custom error handler
+ * @param {string} [options.llmBaseURL] - Base URL of an OpenAI-compatible server (llmName 'openai-compatible')
+ * @param {Object} [options.llmHeaders] - Extra headers sent to an OpenAI-compatible server
+ * @param {boolean} [options.supportsTools=true] - Set to false when the OpenAI-compatible server has no tool calling
+ * @param {boolean} [options.streamUsage=false] - Ask the OpenAI-compatible server for token usage when streaming
+ * @param {string} [options.llmEndpoint] - Azure OpenAI resource endpoint (llmName 'azure')
+ * @param {string} [options.llmDeployment] - Azure OpenAI deployment name
+ * @param {string} [options.llmApiVersion] - Azure OpenAI api-version
+ * @param {string} [options.llmBearerToken] - Azure bearer token, used instead of the api-key (llmToken)
+ * @param {Function} [options.azureADTokenProvider] - Async function returning a fresh Azure bearer token
+ * @param {string} [options.llmSttModel] - Speech-to-text model (Whisper deployment name on Azure)
+ * @param {string} [options.llmSttLanguage] - Language of the audio (ex: 'pt'), else taken from the request's locale
+ * @param {number} [options.maxRetries=3] - Retries of a failed provider call (429, 5xx, timeouts)
+ * @param {number} [options.initialRetryDelay=1000] - First backoff delay (ms), doubled on each retry
+ * @param {number} [options.maxRetryDelay=30000] - Longest wait (ms) between retries, also caps the provider's Retry-After
+ * @param {number} [options.maxRetryTime] - Total time (ms) a call may spend retrying, waits included
+ * @param {Array<Object>} [options.fallbacks] - Ordered providers tried when the primary one fails, each with the same llm* keys as these options
+ * @param {Object<string, Object>} [options.providers] - Named providers requests can select with `provider`, keyed by llmName
+ * @param {Object<string, (string|Object)>} [options.modelAliases] - Model aliases requests can use, e.g. { fast: 'openai:gpt-4.1-mini' }
+ * @param {(Array<string>|Object)} [options.allowedModels] - Models requests may select by name, as 'provider:model' entries
+ * @param {Object} [options.generationDefaults] - Generation options (temperature, top_p, max_tokens, stop, seed, tool_choice...) used when a request doesn't set them
+ * @param {Object<string, Object>} [options.generationLimits] - Maximum generation values per model, keyed by 'provider:model', 'model', 'provider:*' or '*'
+ * @param {number} [options.maxStructuredOutputAttempts=3] - Model answers validated against a request's response_format before giving up
+ * @param {Object<string, Object>} [options.modelPrices] - USD per million tokens, keyed by 'provider:model' or 'model': { input, output, cached_input }
+ * @param {Function} [options.onUsage] - Called after every request with { req, principal, endpoint, provider, model, streaming, usage }
+ * @param {Object} [options.auth] - Authentication of the /agent and /v1 routes, sets req.principal:
+ *   { apiKeys: [{ id, hash, ...metadata }], jwt: { secret | jwksFile, issuer, audience, algorithms }, verify: async (req) => principal }
+ * @param {Object} [options.requestQueue] - Caps the provider calls in flight, shared by every provider:
+ *   { limits: { 'provider:model'|'provider:*'|'*': maxInFlight }, maxQueueSize, queueTimeout: ms | { interactive, batch } }
+ * @param {(Object|boolean)} [options.circuitBreaker] - Circuit breaker per provider/model, false to disable:
+ *   { failureThreshold: 5, windowMs: 60000, openDurationMs: 30000, halfOpenMaxCalls: 1 }
+ * @param {Object} [options.rateLimits] - Limits per client (authenticated principal, else IP):
+ *   { requestsPerMinute, tokensPerMinute, maxConcurrentStreams, keys: { [clientKey]: { ...limits } }, keyFor, store }
+ * @param {Object} [options.quotas] - Daily/monthly token and cost budgets per authenticated principal:
+ *   { budgets: { '*': { daily: { tokens } }, [principalId]: { monthly: { tokens, cost } } }, store: 'memory'|'file'|store,
+ *     filePath, keyFor: (req) => key, adminToken }
+ * @param {number} [options.requestTimeout] - Time (ms) after which a request's provider calls are aborted (504), also the maximum of the `timeout` body field
+ * @param {Object} [options.fallback] - What requests get when every provider attempt failed:
+ *   { mode: 'message'|'throw'|'http', defaultLocale: 'pt', localeField: 'locale', templates: { [locale]: { overloaded, error, long_message, stt_error } } }
+ * @param {(Object|boolean)} [options.streamResume] - Buffering of /agent/message/stream events for Last-Event-ID reconnections, false to disable:
+ *   { ttl: 60000, resumeWindow: 15000, heartbeatInterval: 15000, maxEvents: 2000, retry: 3000 }
+ * @param {(Object|boolean)} [options.websocket] - WebSocket endpoint with several generations per socket (requires the ws package):
+ *   { path: '/agent/ws', maxGenerations: 8, heartbeatInterval: 30000, maxPayload: 1048576 }
+ * @param {boolean} [options.chatCompletionsApi=true] - Mount the OpenAI compatible POST /v1/chat/completions route
+ * @param {Array<Object>} [options.tools] - Tools executed by the server: { name, description, parameters, handler: async (args, context) => result }
+ * @param {number} [options.maxToolIterations=10] - Maximum model calls per request when running server tools
+ * @param {Array<Object>} [options.mcpServers] - MCP servers whose tools are exposed as server tools:
+ *   { name, transport: 'stdio'|'http', command, args, env, cwd, url, headers, toolPrefix, connectTimeout }
  * @returns {Object} Express app instance and server control methods
  */
 function createLLMServer(options = {}) {
@@ -29,13 +127,100 @@ function createLLMServer(options = {}) {
     errorHandler
   } = options;
 
-  const client = LLMFactory.createClient({
-    llmName: options.llmName,
-    llmToken: options.llmToken || process.env.AJENT_LLM_TOKEN,
-    llmProject: options.llmProject,
-    llmModel: options.llmModel});
+  // Calls in flight per provider/model; the excess waits by priority or is shed with a 503
+  const requestQueue = options.requestQueue ? new RequestQueue(options.requestQueue) : null;
+
+  // Failing providers/models fail fast for a while instead of retrying every request
+  const circuitBreakers = options.circuitBreaker === false
+    ? null
+    : new CircuitBreakerRegistry(typeof options.circuitBreaker === 'object' ? options.circuitBreaker : {});
+
+  // Final failures become a localized apology (default), a ProviderError or an HTTP error
+  const fallbackOptions = options.fallback || {};
+  const fallbackMode = fallbackOptions.mode || 'message';
+  if (!FALLBACK_MODES.includes(fallbackMode)) {
+    throw new Error(`Invalid fallback.mode ${fallbackMode}, expected one of ${FALLBACK_MODES.join(', ')}`);
+  }
+  const fallbackMessages = new FallbackMessages({
+    templates: fallbackOptions.templates,
+    defaultLocale: fallbackOptions.defaultLocale
+  });
+  const localeField = fallbackOptions.localeField || 'locale';
+
+  // Shared by every client: queue slots, breakers and the fallback behaviour
+  const shared = {
+    requestQueue,
+    circuitBreakers,
+    fallbackMode: fallbackMode === 'message' ? 'message' : 'throw',
+    fallbackMessages
+  };
+
+  // Providers listed in options.fallbacks are tried in order when the primary one fails
+  const fallbacks = Array.isArray(options.fallbacks) ? options.fallbacks : [];
+  const client = LLMFactory.createFallbackClient(
+    [options, ...fallbacks].map(source => ({ ...toClientConfig(source), ...shared }))
+  );
+
+  // Requests may pick another provider, a model or an alias; named providers are built on first use
+  const providers = {};
+  for (const [name, providerOptions] of Object.entries(options.providers || {})) {
+    providers[name] = { ...toClientConfig({ llmName: name, ...providerOptions }), ...shared };
+  }
+  const registry = new ClientRegistry({
+    defaultProvider: (options.llmName || '').toLowerCase(),
+    defaultClient: client,
+    defaultModel: options.llmModel,
+    providers,
+    aliases: options.modelAliases,
+    allowedModels: options.allowedModels,
+    generationDefaults: options.generationDefaults,
+    generationLimits: options.generationLimits
+  });
     
   
+  // Streamed answers are numbered and buffered so a client that lost the connection can resume them.
+  // Disabled: no buffer, the generation is aborted as soon as its client goes away
+  const streamStore = new ResumableStreamStore(options.streamResume === false
+    ? { ttl: 0, resumeWindow: 0 }
+    : (typeof options.streamResume === 'object' ? options.streamResume : {}));
+
+  // Tools executed by the server itself; the model/tool loop runs until a final answer
+  const toolRegistry = new ToolRegistry(options.tools || []);
+  const maxToolIterations = options.maxToolIterations || 10;
+  const maxStructuredOutputAttempts = options.maxStructuredOutputAttempts || 3;
+
+  // Requests must carry an API key or a JWT when options.auth is set
+  const authenticator = options.auth ? new Authenticator(options.auth) : null;
+
+  // Budgets per API key, checked before calling the model and charged with the usage of each request
+  const quotaManager = options.quotas ? new QuotaManager(options.quotas) : null;
+
+  // Requests, tokens and concurrent streams per client and minute
+  const rateLimiter = options.rateLimits ? new RateLimiter(options.rateLimits) : null;
+
+  // Token usage of every request, priced with options.modelPrices and reported to
+  // options.onUsage, the quotas and the token rate limits
+  const usageListeners = [quotaManager, rateLimiter]
+    .filter(Boolean)
+    .map(consumer => details => consumer.consume(details));
+  if (typeof options.onUsage === 'function') {
+    usageListeners.push(options.onUsage);
+  }
+  const usageMeter = new UsageMeter({
+    prices: options.modelPrices,
+    onUsage: usageListeners.length > 0 ? details => Promise.all(usageListeners.map(listener => listener(details))) : undefined
+  });
+
+  // Tools discovered on MCP servers join the server tools once connected
+  let mcpProvider = null;
+  let mcpReady = Promise.resolve();
+  if (Array.isArray(options.mcpServers) && options.mcpServers.length > 0) {
+    // Loaded on demand: @modelcontextprotocol/sdk is an optional peer dependency
+    const { MCPToolProvider } = require('../mcp');
+    mcpProvider = new MCPToolProvider(options.mcpServers, toolRegistry);
+    mcpReady = mcpProvider.connect();
+  }
+
   // Use existing app or create a new one
   const app = existingApp || express();
 
@@ -73,6 +258,13 @@ function createLLMServer(options = {}) {
 
   // Default error handler function
   const defaultErrorHandler = (err, req, res) => {
+    // Errors already classified by the LLM layer (ex: model not allowed, request shed by the queue, provider down) keep their status
+    if (err instanceof LLMError && err.status && (err.status < 500 || [502, 503, 504].includes(err.status))) {
+      if (err.retryAfter) {
+        res.setHeader('Retry-After', String(err.retryAfter));
+      }
+      return res.sendError(err.status, err.message, err.code);
+    }
     console.error('API error:', err);
     return res.sendError(500, 'Internal server error', err.message);
   };
@@ -80,9 +272,63 @@ function createLLMServer(options = {}) {
   // Define a router for our agent routes
   const agentRouter = express.Router();
   agentRouter.use(ajentMiddleware);
+
+  // Liveness and provider state, open to load balancers (registered before authentication)
+  agentRouter.get('/health', (req, res) => {
+    const providers = circuitBreakers ? circuitBreakers.getStates() : {};
+    const degraded = Object.values(providers).some(breaker => breaker.state !== 'closed');
+    const health = { status: degraded ? 'degraded' : 'ok', providers };
+    if (requestQueue) {
+      health.queue = requestQueue.getMetrics();
+    }
+    return res.json(health);
+  });
+
+  // Errors of the auth and rate limit middlewares
+  const rejectRequest = (error, req, res) => (
+    typeof errorHandler === 'function' ? errorHandler(error, req, res) : defaultErrorHandler(error, req, res)
+  );
+
+  // Last event of a stream that failed after being opened
+  const errorEvent = (error) => {
+    const message = error instanceof ProviderError && fallbackMode === 'http' ? error.localizedMessage : error.message;
+    return { ...streamErrorEvent(error, error.retryable), error: message };
+  };
+
+  // Errors of the routes; with fallback.mode 'http' provider failures get the localized apology
+  const handleError = (error, req, res) => {
+    if (res.writableEnded) return undefined;
+    if (res.headersSent) {
+      // The event stream is already open: the error becomes its last event
+      res.write(`data: ${JSON.stringify(errorEvent(error))}\n\n`);
+      return res.end();
+    }
+    if (error instanceof ProviderError && fallbackMode === 'http') {
+      if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+      }
+      res.setHeader('Content-Language', error.locale);
+      return res.sendError(error.status, error.localizedMessage, error.code);
+    }
+    return rejectRequest(error, req, res);
+  };
+
+  if (authenticator) {
+    agentRouter.use(authenticator.middleware(rejectRequest));
+  }
+  if (rateLimiter) {
+    agentRouter.use(rateLimiter.middleware(req => req.path.startsWith('/message/stream'), rejectRequest));
+  }
+  
+  // Wait for the MCP tools before the first request uses the tool registry; servers
+  // that don't connect within their connectTimeout are skipped, so this doesn't hang
+  agentRouter.use((req, res, next) => {
+    mcpReady.then(() => next(), next);
+  });
   
   // Routes
   agentRouter.post('/message', async (req, res) => {
+    let clearTimer = () => {};
     try {
       const { messages, tools } = req.body;
 
@@ -93,16 +339,63 @@ function createLLMServer(options = {}) {
       
       // Call the beforeRequest hook if provided
       if (typeof beforeRequest === 'function') {
-        const shouldContinue = await beforeRequest(req, res);
+        const shouldContinue = await beforeRequest(req, res, req.principal);
         if (shouldContinue === false) return; // Hook handled the response
       }
+
+      if (quotaManager) {
+        await quotaManager.check(req);
+      }
+      
+      const { client: selectedClient, provider, model, generation } = registry.resolve(req.body);
+      const responseFormat = normalizeResponseFormat(req.body.response_format);
+      const priority = normalizePriority(req.body.priority);
+      const locale = fallbackMessages.localeFor(req, localeField);
+      // Provider calls stop when the client disconnects or the timeout expires
+      const { signal, clear } = withTimeout(abortOnClose(res), normalizeTimeout(req.body.timeout, options.requestTimeout));
+      clearTimer = clear;
+
+      // One model call, or the whole tool loop when the server has tools
+      const run = async (conversation) => {
+        if (toolRegistry.size > 0) {
+          return runToolLoop(selectedClient, conversation, tools || [], model, {
+            registry: toolRegistry,
+            maxIterations: maxToolIterations,
+            context: { req },
+            generation,
+            responseFormat,
+            priority,
+            locale,
+            signal
+          });
+        }
+        return { response: await selectedClient.send(conversation, tools || [], model, { generation, responseFormat, priority, locale, signal }) };
+      };
+
+      // With a response_format the answer is validated (and repaired) before being returned
+      const outcome = responseFormat
+        ? await sendStructured(run, messages, responseFormat, { maxAttempts: maxStructuredOutputAttempts })
+        : await run(messages);
+      let response = outcome.response;
+      const toolMessages = outcome.messages;
       
-      // Handle normal response
-      let response = await client.send(messages, tools || []);
+      // Priced with the provider that actually answered (it may be a fallback)
+      const answeredBy = response._provider_metadata || {};
+      response = {
+        ...response,
+        usage: usageMeter.record({
+          req,
+          endpoint: 'message',
+          provider: answeredBy.provider || provider,
+          model: answeredBy.model || model,
+          streaming: false,
+          usage: response.usage
+        })
+      };
         
       // Call afterResponse hook if provided
       if (typeof afterResponse === 'function') {
-        const modifiedResponse = await afterResponse(req, response);
+        const modifiedResponse = await afterResponse(req, response, req.principal);
         if (modifiedResponse) {
           response = modifiedResponse;
         }
@@ -112,20 +405,112 @@ function createLLMServer(options = {}) {
         message: response,
       }
       
+      // Assistant/tool messages produced by server side tool calls, to keep the caller's history complete
+      if (toolMessages && toolMessages.length > 0) {
+        result.messages = toolMessages;
+      }
+      
       return res.json(result);
     } catch (error) {
-      // Use custom error handler if provided, otherwise use default
-      if (typeof errorHandler === 'function') {
-        return errorHandler(error, req, res);
-      } else {
-        return defaultErrorHandler(error, req, res);
-      }
+      // Custom error handler if provided, otherwise the default one
+      return handleError(error, req, res);
+    } finally {
+      clearTimer();
     }
   });
 
+  /**
+   * Events of one streamed answer (the whole tool loop when the server has tools),
+   * shared by the SSE route and the WebSocket sessions. The finish event carries
+   * the priced usage of the whole request, which is recorded once the stream ends,
+   * also when it is aborted (with the usage seen until then).
+   *
+   * @param {Object} req - Request of the caller (principal, headers for the quotas and the locale)
+   * @param {Object} body - { messages, tools, provider, model, generation, response_format, priority, locale }
+   * @param {AbortSignal} signal - Stops the provider calls
+   * @param {string} endpoint - Reported to the usage hook
+   */
+  const streamEvents = async (req, body, signal, endpoint) => {
+    const { messages, tools } = body;
+
+    if (quotaManager) {
+      await quotaManager.check(req);
+    }
+
+    const { client: selectedClient, provider, model, generation } = registry.resolve(body);
+    const responseFormat = normalizeResponseFormat(body.response_format);
+    const priority = normalizePriority(body.priority);
+    const locale = fallbackMessages.resolveLocale(
+      typeof body[localeField] === 'string' ? body[localeField] : undefined,
+      req.headers && req.headers['accept-language']
+    );
+
+    const start = (conversation) => (toolRegistry.size > 0
+      ? streamToolLoop(selectedClient, conversation, tools || [], model, {
+        registry: toolRegistry,
+        maxIterations: maxToolIterations,
+        context: { req },
+        generation,
+        responseFormat,
+        priority,
+        locale,
+        signal
+      })
+      : selectedClient.stream(conversation, tools || [], model, { generation, responseFormat, priority, locale, signal }));
+
+    const streamGenerator = responseFormat
+      ? await streamStructured(start, messages, responseFormat, { maxAttempts: maxStructuredOutputAttempts })
+      : await start(messages);
+
+    return (async function* priced() {
+      let usageDetails = { req, endpoint, provider, model, streaming: true };
+      const seen = new StreamUsage();
+      try {
+        for await (const chunk of streamGenerator) {
+          // Leaving the loop closes the provider stream; the error event only reaches clients still connected (timeout)
+          if (signal.aborted) {
+            throw abortReason(signal);
+          }
+          seen.track(chunk);
+          if (chunk && chunk.type === 'finish') {
+            const answeredBy = chunk._provider_metadata || {};
+            usageDetails = {
+              ...usageDetails,
+              provider: answeredBy.provider || provider,
+              model: answeredBy.model || model
+            };
+            yield { ...chunk, usage: usageMeter.price(chunk.usage, usageDetails.provider, usageDetails.model) };
+          } else {
+            yield chunk;
+          }
+        }
+      } finally {
+        // Aborted streams are metered too, or a client could disconnect to skip the quotas
+        usageMeter.record({ ...usageDetails, usage: seen.usage });
+      }
+    })();
+  };
+
+  // Generations can only be resumed by the principal that started them
+  const streamOwner = req => (req.principal ? req.principal.id : null);
+
+  // Replays the events after the Last-Event-ID ('<generation id>:<sequence>') and follows the generation
+  const resumeStream = (req, res, generationId, lastEventId) => {
+    const parsed = parseEventId(lastEventId);
+    if (lastEventId && (!parsed || (generationId && parsed.generationId !== generationId))) {
+      throw new LLMError('Invalid Last-Event-ID', { status: 400, code: 'invalid_last_event_id', retryable: false });
+    }
+    const generation = streamStore.get(generationId || parsed.generationId, streamOwner(req));
+    return streamStore.attach(generation, res, parsed ? parsed.sequence : 0);
+  };
+
   agentRouter.post('/message/stream', async (req, res) => {
     try {
-      const { messages, tools } = req.body;
+      // Reconnection: the answer is resumed, the model isn't called again
+      const lastEventId = req.get('Last-Event-ID');
+      if (lastEventId) {
+        return resumeStream(req, res, null, lastEventId);
+      }
 
       const payload = req.body;
       const payloadSize = Buffer.byteLength(JSON.stringify(payload), 'utf8');
@@ -134,33 +519,63 @@ function createLLMServer(options = {}) {
       
       // Call the beforeRequest hook if provided
       if (typeof beforeRequest === 'function') {
-        const shouldContinue = await beforeRequest(req, res);
+        const shouldContinue = await beforeRequest(req, res, req.principal);
         if (shouldContinue === false) return; // Hook handled the response
       }
-      
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      
-      const streamGenerator = await client.stream(messages, tools || [], options.llmModel);
+
+      const timeout = normalizeTimeout(req.body.timeout, options.requestTimeout);
+
+      // The generation outlives the connection: provider calls stop once no client
+      // listened for streamResume.resumeWindow, or when the timeout expires
+      const streamed = streamStore.create(streamOwner(req));
+      const { signal, clear } = withTimeout(streamed.signal, timeout);
+      // Before the first event the client doesn't know the generation yet: nothing to resume
+      res.on('close', () => {
+        if (!res.headersSent) streamed.abort();
+      });
+
+      let events;
+      let first;
+      try {
+        events = (await streamEvents(req, req.body, signal, 'message/stream'))[Symbol.asyncIterator]();
+        // Opened with the first event, so failures before it still get a plain HTTP error
+        first = await events.next();
+      } catch (error) {
+        clear();
+        streamed.end();
+        throw error;
+      }
       
       // Call afterResponse hook once if provided
       if (typeof afterResponse === 'function') {
-        afterResponse(req, { streaming: true });
+        afterResponse(req, { streaming: true }, req.principal);
       }
       
-      for await (const chunk of streamGenerator) {
-        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-      }
+      const produce = async () => {
+        for (let step = first; !step.done; step = await events.next()) {
+          streamed.push(step.value);
+        }
+      };
+      produce()
+        .catch(error => streamed.push(errorEvent(error)))
+        .finally(() => {
+          clear();
+          streamed.end();
+        });
       
-      return res.end();
+      return streamStore.attach(streamed, res);
     } catch (error) {
-      // Use custom error handler if provided, otherwise use default
-      if (typeof errorHandler === 'function') {
-        return errorHandler(error, req, res);
-      } else {
-        return defaultErrorHandler(error, req, res);
-      }
+      // Custom error handler if provided, otherwise the default one
+      return handleError(error, req, res);
+    }
+  });
+
+  // EventSource reconnections (GET), with the Last-Event-ID header or ?last_event_id=
+  agentRouter.get('/message/stream/:generationId', (req, res) => {
+    try {
+      return resumeStream(req, res, req.params.generationId, req.get('Last-Event-ID') || req.query.last_event_id);
+    } catch (error) {
+      return handleError(error, req, res);
     }
   });
 
@@ -173,12 +588,12 @@ function createLLMServer(options = {}) {
       
       // Call the beforeRequest hook if provided
       if (typeof beforeRequest === 'function') {
-        const shouldContinue = await beforeRequest(req, res);
+        const shouldContinue = await beforeRequest(req, res, req.principal);
         if (shouldContinue === false) return; // Hook handled the response
       }
       
       const audioFilePath = req.file.path;
-      const transcription = await client.stt(audioFilePath);
+      const transcription = await client.stt(audioFilePath, { locale: fallbackMessages.localeFor(req, localeField) });
       
       // Clean up uploaded file
       fs.unlinkSync(audioFilePath);
@@ -187,7 +602,7 @@ function createLLMServer(options = {}) {
       
       // Call afterResponse hook if provided
       if (typeof afterResponse === 'function') {
-        const modifiedResponse = await afterResponse(req, response);
+        const modifiedResponse = await afterResponse(req, response, req.principal);
         if (modifiedResponse) {
           return res.json(modifiedResponse);
         }
@@ -195,24 +610,77 @@ function createLLMServer(options = {}) {
       
       return res.json(response);
     } catch (error) {
-      // Use custom error handler if provided, otherwise use default
-      if (typeof errorHandler === 'function') {
-        return errorHandler(error, req, res);
-      } else {
-        return defaultErrorHandler(error, req, res);
-      }
+      // Custom error handler if provided, otherwise the default one
+      return handleError(error, req, res);
     }
   });
 
+  // Quota inspection and reset, only with an admin token
+  if (quotaManager && options.quotas.adminToken) {
+    app.use('/agent/quotas', createQuotaAdminRouter({ quotaManager, adminToken: options.quotas.adminToken }));
+  }
+
   // Mount the agent router to the app
   app.use('/agent', agentRouter);
 
+  // OpenAI Chat Completions compatible API, so OpenAI SDKs and tools can use any backend
+  if (options.chatCompletionsApi !== false) {
+    app.use('/v1', createChatCompletionsRouter({
+      registry,
+      usageMeter,
+      quotaManager,
+      authenticator,
+      rateLimiter,
+      beforeRequest,
+      afterResponse,
+      fallbackMessages,
+      localeField,
+      localizedErrors: fallbackMode === 'http',
+      requestTimeout: options.requestTimeout
+    }));
+  }
+
+  // WebSocket sessions: same events as /agent/message/stream, with tool results and interrupts on the socket
+  const websocketOptions = options.websocket ? {
+    ...(typeof options.websocket === 'object' ? options.websocket : {}),
+    requestTimeout: options.requestTimeout,
+    errorEvent,
+    streamEvents: (req, body, signal) => streamEvents(req, body, signal, 'ws'),
+    // Authentication and the stream slot are taken once per socket
+    authorize: async (req) => {
+      if (authenticator) {
+        req.principal = await authenticator.authenticate(req);
+      }
+      if (!rateLimiter) return null;
+      const { error, release } = await rateLimiter.acquire(req, true);
+      if (error) throw error;
+      return release;
+    },
+    // Every generation counts as a request
+    admit: async (req) => {
+      await mcpReady.catch(() => {});
+      if (!rateLimiter) return;
+      const { error } = await rateLimiter.acquire(req, false);
+      if (error) throw error;
+    }
+  } : null;
+  let websocketServer = null;
+
   // Server control methods
   let server = null;
   
   return {
     app,
     
+    // Server side tools, more can be registered after creation
+    tools: toolRegistry,
+
+    // Request queue (null without options.requestQueue), see getMetrics()
+    queue: requestQueue,
+
+    // Quota manager (null without options.quotas)
+    quotas: quotaManager,
+    
     // Start the server (only if we created a new app)
     start: (customPort) => {
       if (existingApp) {
@@ -224,15 +692,35 @@ function createLLMServer(options = {}) {
       server = app.listen(serverPort, () => {
         console.log(`Ajent API server running on port ${serverPort}`);
       });
+      if (websocketOptions) {
+        websocketServer = attachAgentWebSocket(server, websocketOptions);
+      }
       return server;
     },
+
+    // Serves the WebSocket endpoint on an HTTP server (needed with an existing app)
+    attachWebSocket: (httpServer) => {
+      if (!websocketOptions) {
+        throw new Error('The websocket option is not set');
+      }
+      websocketServer = attachAgentWebSocket(httpServer, websocketOptions);
+      return websocketServer;
+    },
     
     // Stop the server
     stop: () => {
+      if (websocketServer) {
+        websocketServer.clients.forEach(socket => socket.terminate());
+        websocketServer.close();
+        websocketServer = null;
+      }
       if (server) {
         server.close();
         server = null;
       }
+      if (mcpProvider) {
+        mcpProvider.close();
+      }
     }
   };
 }
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const express = require('express');
+const { LLMError } = require('../llm/llm-errors');
+
+function sameToken(given, expected) {
+  // Compared as digests: same length, constant time
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Admin routes to inspect and reset quotas, protected by a bearer token:
+ *
+ *   GET    /           - usage and remaining budget of every known key
+ *   GET    /:key       - usage and remaining budget of one key
+ *   DELETE /:key       - resets the key, ?period=daily|monthly resets a single period
+ *
+ * @param {Object} options
+ * @param {QuotaManager} options.quotaManager
+ * @param {string} options.adminToken - Expected in `Authorization: Bearer <token>`
+ * @returns {express.Router}
+ */
+function createQuotaAdminRouter({ quotaManager, adminToken }) {
+  if (!adminToken) {
+    throw new Error("The quota admin routes require an adminToken.");
+  }
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !sameToken(token, adminToken)) {
+      return res.status(401).json({ error: 'Unauthorized', details: 'invalid_admin_token' });
+    }
+    next();
+  });
+
+  const handle = (action) => async (req, res) => {
+    try {
+      return res.json(await action(req));
+    } catch (error) {
+      if (error instanceof LLMError && error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, details: error.code });
+      }
+      console.error('Quota admin error:', error);
+      return res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  };
+
+  router.get('/', handle(async () => ({ quotas: await quotaManager.list() })));
+  router.get('/:key', handle(req => quotaManager.status(req.params.key)));
+  router.delete('/:key', handle(req => quotaManager.reset(req.params.key, req.query.period)));
+
+  return router;
+}
+
+module.exports = { createQuotaAdminRouter };
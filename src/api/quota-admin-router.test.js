@@ -0,0 +1,54 @@
+/* eslint-env jest */
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const { createQuotaAdminRouter } = require('./quota-admin-router');
+const { QuotaManager } = require('../quota');
+
+describe('quota admin routes', () => {
+  const quotaManager = new QuotaManager({ budgets: { '*': { daily: { tokens: 1000 } } } });
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/agent/quotas', createQuotaAdminRouter({ quotaManager, adminToken: 's3cret' }));
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}/agent/quotas`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const call = (path, method = 'GET', token = 's3cret') => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  test('requires the admin token', async () => {
+    const res = await call('', 'GET', 'wrong');
+    expect(res.status).toBe(401);
+    expect(await res.json()).toEqual({ error: 'Unauthorized', details: 'invalid_admin_token' });
+  });
+
+  test('lists, inspects and resets quotas', async () => {
+    await quotaManager.consume({ req: { principal: { id: 'key-a' } }, usage: { total_tokens: 400 } });
+
+    const list = await (await call('')).json();
+    expect(list.quotas.map(quota => quota.key)).toEqual(['key-a']);
+
+    const status = await (await call('/key-a')).json();
+    expect(status.daily.remaining).toEqual({ tokens: 600 });
+
+    const reset = await call('/key-a?period=daily', 'DELETE');
+    expect(reset.status).toBe(200);
+    expect((await reset.json()).daily.used.tokens).toBe(0);
+
+    const invalid = await call('/key-a?period=hourly', 'DELETE');
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toBe('invalid_quota_period');
+  });
+});
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { LLMError } = require('../llm/llm-errors');
+const { clientClosedError } = require('../llm/cancellation');
+
+const DEFAULT_OPTIONS = {
+  // How long a finished generation stays available for replay
+  ttl: 60000,
+  // How long a generation keeps running without any connected client
+  resumeWindow: 15000,
+  // Interval of the `: heartbeat` comments
+  heartbeatInterval: 15000,
+  // Events kept per generation, the oldest are dropped
+  maxEvents: 2000,
+  // Reconnection delay suggested to EventSource clients (retry: field)
+  retry: 3000
+};
+
+function createGenerationId() {
+  return `gen_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Splits a Last-Event-ID ('gen_abc:12') into the generation and the sequence number
+ * @returns {{generationId: string, sequence: number}|null}
+ */
+function parseEventId(value) {
+  const match = /^(gen_[0-9a-f]+):(\d+)$/.exec(String(value || '').trim());
+  return match ? { generationId: match[1], sequence: Number(match[2]) } : null;
+}
+
+function unref(timer) {
+  if (timer && typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
+
+/**
+ * One model answer being streamed. Events are numbered and buffered so clients
+ * can reconnect and resume; the generation is aborted once it has had no
+ * client for resumeWindow.
+ */
+class Generation {
+  constructor(id, owner, options, onExpire) {
+    this.id = id;
+    this.owner = owner;
+    this.options = options;
+    this.events = [];
+    this.sequence = 0;
+    this.done = false;
+    this._subscribers = new Set();
+    this._controller = new AbortController();
+    this._resumeTimer = null;
+    this._onExpire = onExpire;
+  }
+
+  /**
+   * Aborted when nobody listened for resumeWindow
+   */
+  get signal() {
+    return this._controller.signal;
+  }
+
+  /**
+   * Numbers and buffers an event and sends it to the connected clients
+   */
+  push(data) {
+    if (this.done) return;
+    const entry = { sequence: ++this.sequence, data };
+    this.events.push(entry);
+    if (this.events.length > this.options.maxEvents) {
+      this.events.shift();
+    }
+    for (const subscriber of this._subscribers) {
+      subscriber.onEvent(entry);
+    }
+  }
+
+  /**
+   * Ends the generation; it stays replayable for ttl
+   */
+  end() {
+    if (this.done) return;
+    this.done = true;
+    clearTimeout(this._resumeTimer);
+    for (const subscriber of this._subscribers) {
+      subscriber.onEnd();
+    }
+    this._subscribers.clear();
+    unref(setTimeout(() => this._onExpire(this), this.options.ttl));
+  }
+
+  /**
+   * @throws {LLMError} 410 stream_replay_unavailable when the events after `afterSequence` were already dropped
+   */
+  assertReplayable(afterSequence) {
+    const oldest = this.events.length > 0 ? this.events[0].sequence : this.sequence + 1;
+    if (afterSequence + 1 < oldest || afterSequence > this.sequence) {
+      throw new LLMError(`Events after ${this.id}:${afterSequence} are no longer available`, {
+        status: 410,
+        code: 'stream_replay_unavailable',
+        retryable: false
+      });
+    }
+  }
+
+  /**
+   * Replays the events after `afterSequence`, then forwards the new ones
+   *
+   * @returns {Function} Unsubscribes
+   * @throws {LLMError} 410 stream_replay_unavailable when those events were already dropped
+   */
+  subscribe(afterSequence, onEvent, onEnd) {
+    this.assertReplayable(afterSequence);
+
+    for (const entry of this.events) {
+      if (entry.sequence > afterSequence) onEvent(entry);
+    }
+    if (this.done) {
+      onEnd();
+      return () => {};
+    }
+
+    const subscriber = { onEvent, onEnd };
+    this._subscribers.add(subscriber);
+    clearTimeout(this._resumeTimer);
+    return () => {
+      if (!this._subscribers.delete(subscriber) || this._subscribers.size > 0 || this.done) return;
+      // Nobody is listening: wait for a reconnection before cancelling the model call
+      if (this.options.resumeWindow > 0) {
+        this._resumeTimer = unref(setTimeout(() => this.abort(), this.options.resumeWindow));
+      } else {
+        this.abort();
+      }
+    };
+  }
+
+  /**
+   * Cancels the model call and ends the generation
+   */
+  abort(reason = clientClosedError()) {
+    if (!this._controller.signal.aborted) {
+      this._controller.abort(reason);
+    }
+    this.end();
+  }
+}
+
+/**
+ * In-memory store of the generations being streamed or recently finished
+ */
+class ResumableStreamStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl=60000] - Time (ms) a finished generation can still be replayed
+   * @param {number} [options.resumeWindow=15000] - Time (ms) a generation runs on without clients, 0 to abort at once
+   * @param {number} [options.heartbeatInterval=15000] - Interval (ms) of the heartbeat comments, 0 to disable
+   * @param {number} [options.maxEvents=2000] - Events buffered per generation
+   * @param {number} [options.retry=3000] - Reconnection delay (ms) suggested to EventSource clients
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this._generations = new Map();
+  }
+
+  /**
+   * @param {string|null} owner - Principal id allowed to resume the generation
+   */
+  create(owner = null) {
+    const generation = new Generation(createGenerationId(), owner, this.options, (expired) => {
+      this._generations.delete(expired.id);
+    });
+    this._generations.set(generation.id, generation);
+    return generation;
+  }
+
+  /**
+   * The generation, when it exists and belongs to the owner
+   *
+   * @throws {LLMError} 404 stream_not_found
+   */
+  get(id, owner = null) {
+    const generation = this._generations.get(id);
+    if (!generation || generation.owner !== owner) {
+      throw new LLMError(`Stream ${id} not found or expired`, { status: 404, code: 'stream_not_found', retryable: false });
+    }
+    return generation;
+  }
+
+  get size() {
+    return this._generations.size;
+  }
+
+  /**
+   * Streams a generation to an HTTP response as Server-Sent Events, with
+   * `id: <generation>:<sequence>` on every event and heartbeat comments
+   */
+  attach(generation, res, afterSequence = 0) {
+    // Checked before the headers go out, so an unavailable replay still gets an HTTP error
+    generation.assertReplayable(afterSequence);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Generation-Id', generation.id);
+    res.write(`retry: ${this.options.retry}\n\n`);
+
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    let ended = false;
+    const onEnd = () => {
+      ended = true;
+      close();
+      res.end();
+    };
+
+    unsubscribe = generation.subscribe(afterSequence, (entry) => {
+      res.write(`id: ${generation.id}:${entry.sequence}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    }, onEnd);
+    if (ended) return;
+
+    if (this.options.heartbeatInterval > 0) {
+      heartbeat = unref(setInterval(() => res.write(': heartbeat\n\n'), this.options.heartbeatInterval));
+    }
+    res.on('close', close);
+  }
+}
+
+module.exports = { ResumableStreamStore, Generation, parseEventId, createGenerationId };
@@ -0,0 +1,114 @@
+/* eslint-env jest */
+
+const { EventEmitter } = require('events');
+const { describe, test, expect } = require('@jest/globals');
+const { ResumableStreamStore, parseEventId } = require('./resumable-stream');
+
+function response() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.chunks = [];
+  res.ended = false;
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.write = (chunk) => { res.chunks.push(chunk); };
+  res.end = () => { res.ended = true; };
+  res.events = () => res.chunks
+    .filter(chunk => chunk.startsWith('id: '))
+    .map((chunk) => {
+      const [idLine, dataLine] = chunk.trim().split('\n');
+      return { id: idLine.slice(4), data: JSON.parse(dataLine.slice(6)) };
+    });
+  return res;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ResumableStreamStore', () => {
+  test('numbers every event with the generation id', () => {
+    const store = new ResumableStreamStore({ heartbeatInterval: 0 });
+    const generation = store.create();
+    const res = response();
+
+    store.attach(generation, res);
+    generation.push({ type: 'text', content: 'Olá' });
+    generation.push({ type: 'finish' });
+    generation.end();
+
+    expect(generation.id).toMatch(/^gen_[0-9a-f]{24}$/);
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(res.headers['x-generation-id']).toBe(generation.id);
+    expect(res.chunks[0]).toBe('retry: 3000\n\n');
+    expect(res.events()).toEqual([
+      { id: `${generation.id}:1`, data: { type: 'text', content: 'Olá' } },
+      { id: `${generation.id}:2`, data: { type: 'finish' } }
+    ]);
+    expect(res.ended).toBe(true);
+    expect(parseEventId(`${generation.id}:2`)).toEqual({ generationId: generation.id, sequence: 2 });
+    expect(parseEventId('42')).toBeNull();
+  });
+
+  test('a reconnection replays the events after Last-Event-ID and follows the generation', () => {
+    const store = new ResumableStreamStore({ heartbeatInterval: 0 });
+    const generation = store.create('user-7');
+    const first = response();
+    store.attach(generation, first);
+    generation.push({ type: 'text', content: 'a' });
+    generation.push({ type: 'text', content: 'b' });
+    first.emit('close');
+    generation.push({ type: 'text', content: 'c' });
+
+    const second = response();
+    store.attach(store.get(generation.id, 'user-7'), second, 1);
+    generation.push({ type: 'finish' });
+    generation.end();
+
+    expect(second.events().map(event => event.id)).toEqual([2, 3, 4].map(sequence => `${generation.id}:${sequence}`));
+    expect(generation.signal.aborted).toBe(false);
+    expect(second.ended).toBe(true);
+  });
+
+  test('aborts the generation once no client came back within resumeWindow', async () => {
+    const store = new ResumableStreamStore({ heartbeatInterval: 0, resumeWindow: 20 });
+    const generation = store.create();
+    const res = response();
+    store.attach(generation, res);
+    res.emit('close');
+
+    expect(generation.signal.aborted).toBe(false);
+    await wait(40);
+    expect(generation.signal.aborted).toBe(true);
+    expect(generation.signal.reason).toMatchObject({ status: 499, code: 'client_closed_request' });
+    expect(generation.done).toBe(true);
+  });
+
+  test('rejects other owners, expired generations and dropped events', async () => {
+    const store = new ResumableStreamStore({ heartbeatInterval: 0, maxEvents: 2, ttl: 10 });
+    const generation = store.create('user-7');
+    ['a', 'b', 'c'].forEach(content => generation.push({ type: 'text', content }));
+
+    expect(() => store.get(generation.id, 'user-8')).toThrow(expect.objectContaining({ status: 404, code: 'stream_not_found' }));
+    const res = response();
+    expect(() => store.attach(generation, res, 0)).toThrow(expect.objectContaining({ status: 410, code: 'stream_replay_unavailable' }));
+    expect(res.headers['content-type']).toBeUndefined();
+
+    generation.end();
+    await wait(30);
+    expect(store.size).toBe(0);
+    expect(() => store.get(generation.id, 'user-7')).toThrow('not found or expired');
+  });
+
+  test('sends heartbeat comments while the generation runs', async () => {
+    const store = new ResumableStreamStore({ heartbeatInterval: 10 });
+    const generation = store.create();
+    const res = response();
+    store.attach(generation, res);
+
+    await wait(35);
+    generation.end();
+    const heartbeats = res.chunks.filter(chunk => chunk === ': heartbeat\n\n').length;
+    expect(heartbeats).toBeGreaterThanOrEqual(2);
+
+    await wait(25);
+    expect(res.chunks.filter(chunk => chunk === ': heartbeat\n\n').length).toBe(heartbeats);
+  });
+});
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 (hex) of an API key. Only these hashes are configured on the
+ * server, so a leaked configuration doesn't leak the keys.
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Looks API keys up by their hash
+ */
+class ApiKeyVerifier {
+  /**
+   * @param {Array<Object>} keys - { id, hash, ...metadata }; the metadata (name, scopes...) ends up in the principal
+   */
+  constructor(keys = []) {
+    this._keys = new Map();
+    for (const entry of keys) {
+      if (!entry || !entry.id || !/^[0-9a-f]{64}$/i.test(entry.hash || '')) {
+        throw new Error("API keys require an id and the SHA-256 hex hash of the key (see hashApiKey).");
+      }
+      // The hash stays out of the principal
+      const metadata = { ...entry };
+      delete metadata.hash;
+      this._keys.set(entry.hash.toLowerCase(), metadata);
+    }
+  }
+
+  get size() {
+    return this._keys.size;
+  }
+
+  /**
+   * @returns {Object|null} The principal of the key, null when unknown
+   */
+  verify(apiKey) {
+    const metadata = this._keys.get(hashApiKey(apiKey));
+    return metadata ? { ...metadata, type: 'api_key' } : null;
+  }
+}
+
+module.exports = { ApiKeyVerifier, hashApiKey };
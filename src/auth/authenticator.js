@@ -0,0 +1,92 @@
+const { LLMError } = require('../llm/llm-errors');
+const { ApiKeyVerifier } = require('./api-keys');
+const { JwtVerifier } = require('./jwt-verifier');
+
+function unauthorized(message, code) {
+  return new LLMError(message, { status: 401, code, retryable: false });
+}
+
+function looksLikeJwt(token) {
+  return token.split('.').length === 3;
+}
+
+/**
+ * Authenticates requests with static API keys, JWTs and/or a custom verifier.
+ *
+ * Credentials are read from the `x-api-key` header or `Authorization: Bearer`.
+ * A custom verifier runs first; when it returns nothing the API keys and the
+ * JWT settings are tried. The principal of the request is stored in
+ * `req.principal`: { type: 'api_key'|'jwt'|'custom', id, ... }.
+ */
+class Authenticator {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} [options.apiKeys] - { id, hash, ...metadata } with hash = hashApiKey(key)
+   * @param {Object} [options.jwt] - JwtVerifier options: { secret | jwksFile, issuer, audience, algorithms, clockTolerance, subjectClaim }
+   * @param {Function} [options.verify] - async (req) => principal | null, may throw an LLMError (ex: 403)
+   */
+  constructor({ apiKeys, jwt, verify } = {}) {
+    this.apiKeys = apiKeys && apiKeys.length > 0 ? new ApiKeyVerifier(apiKeys) : null;
+    this.jwt = jwt ? new JwtVerifier(jwt) : null;
+    this.verify = typeof verify === 'function' ? verify : null;
+    if (!this.apiKeys && !this.jwt && !this.verify) {
+      throw new Error("Authentication requires apiKeys, jwt or a verify function.");
+    }
+  }
+
+  _credentials(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) return { apiKey: String(apiKey) };
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      return this.jwt && looksLikeJwt(token) ? { jwt: token } : { apiKey: token };
+    }
+    return {};
+  }
+
+  /**
+   * @returns {Promise<Object>} The principal of the request
+   * @throws {LLMError} 401 without valid credentials
+   */
+  async authenticate(req) {
+    if (this.verify) {
+      const principal = await this.verify(req);
+      if (principal) return { type: 'custom', ...principal };
+    }
+
+    const { apiKey, jwt } = this._credentials(req);
+    if (jwt) {
+      return this.jwt.verify(jwt);
+    }
+    if (apiKey && this.apiKeys) {
+      const principal = this.apiKeys.verify(apiKey);
+      if (principal) return principal;
+      throw unauthorized('Invalid API key', 'invalid_api_key');
+    }
+    throw unauthorized('Missing or unsupported credentials', 'missing_credentials');
+  }
+
+  /**
+   * Express middleware setting req.principal
+   *
+   * @param {Function} onError - (error, req, res) => void, writes the error in the route's format
+   */
+  middleware(onError) {
+    return (req, res, next) => {
+      this.authenticate(req)
+        .then((principal) => {
+          req.principal = principal;
+          next();
+        })
+        .catch((error) => {
+          if (error instanceof LLMError && error.status === 401) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+          }
+          return onError(error, req, res);
+        });
+    };
+  }
+}
+
+module.exports = { Authenticator };
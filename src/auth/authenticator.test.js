@@ -0,0 +1,84 @@
+/* eslint-env jest */
+
+const crypto = require('crypto');
+const { describe, test, expect, jest } = require('@jest/globals');
+const { Authenticator, hashApiKey } = require('./index');
+const { LLMError } = require('../llm/llm-errors');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function hs256(claims, secret) {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+const request = (headers) => ({ headers });
+
+async function errorOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('Authenticator', () => {
+  const auth = new Authenticator({
+    apiKeys: [{ id: 'acme', hash: hashApiKey('sk-acme-123'), scopes: ['chat'] }],
+    jwt: { secret: 'jwt-secret' }
+  });
+
+  test('accepts API keys from x-api-key or a bearer token', async () => {
+    const expected = { id: 'acme', scopes: ['chat'], type: 'api_key' };
+    expect(await auth.authenticate(request({ 'x-api-key': 'sk-acme-123' }))).toEqual(expected);
+    expect(await auth.authenticate(request({ authorization: 'Bearer sk-acme-123' }))).toEqual(expected);
+
+    const error = await errorOf(auth.authenticate(request({ 'x-api-key': 'sk-other' })));
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(401);
+    expect(error.code).toBe('invalid_api_key');
+  });
+
+  test('accepts JWT bearer tokens', async () => {
+    const principal = await auth.authenticate(request({ authorization: `Bearer ${hs256({ sub: 'user-7' }, 'jwt-secret')}` }));
+    expect(principal).toMatchObject({ type: 'jwt', id: 'user-7' });
+
+    const error = await errorOf(auth.authenticate(request({ authorization: `Bearer ${hs256({ sub: 'user-7' }, 'other')}` })));
+    expect(error.code).toBe('invalid_token');
+  });
+
+  test('rejects requests without credentials', async () => {
+    const error = await errorOf(auth.authenticate(request({})));
+    expect(error.status).toBe(401);
+    expect(error.code).toBe('missing_credentials');
+  });
+
+  test('runs the custom verifier first', async () => {
+    const verify = jest.fn(async (req) => (req.headers['x-tenant'] ? { id: req.headers['x-tenant'] } : null));
+    const custom = new Authenticator({ verify, apiKeys: [{ id: 'acme', hash: hashApiKey('sk-acme-123') }] });
+
+    expect(await custom.authenticate(request({ 'x-tenant': 't1' }))).toEqual({ type: 'custom', id: 't1' });
+    expect((await custom.authenticate(request({ 'x-api-key': 'sk-acme-123' }))).id).toBe('acme');
+  });
+
+  test('middleware sets req.principal or reports the error', async () => {
+    const res = { setHeader: jest.fn() };
+    const run = (req) => new Promise((resolve) => {
+      auth.middleware(error => resolve({ error }))(req, res, () => resolve({}));
+    });
+
+    const req = request({ 'x-api-key': 'sk-acme-123' });
+    expect(await run(req)).toEqual({});
+    expect(req.principal.id).toBe('acme');
+
+    const { error } = await run(request({}));
+    expect(error.status).toBe(401);
+    expect(res.setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer');
+  });
+
+  test('validates its configuration', () => {
+    expect(() => new Authenticator({})).toThrow('Authentication requires apiKeys, jwt or a verify function.');
+    expect(() => new Authenticator({ apiKeys: [{ id: 'x', hash: 'plain-key' }] })).toThrow('SHA-256 hex hash');
+  });
+});
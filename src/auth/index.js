@@ -0,0 +1,5 @@
+const { Authenticator } = require('./authenticator');
+const { ApiKeyVerifier, hashApiKey } = require('./api-keys');
+const { JwtVerifier } = require('./jwt-verifier');
+
+module.exports = { Authenticator, ApiKeyVerifier, JwtVerifier, hashApiKey };
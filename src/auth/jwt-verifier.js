@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { LLMError } = require('../llm/llm-errors');
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+function unauthorized(message, code = 'invalid_token') {
+  return new LLMError(message, { status: 401, code, retryable: false });
+}
+
+function decodeJson(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    value = null;
+  }
+  if (!value || typeof value !== 'object') {
+    throw unauthorized('Malformed token');
+  }
+  return value;
+}
+
+function digestOf(algorithm) {
+  return `sha${algorithm.slice(-3)}`;
+}
+
+/**
+ * Verifies JWTs signed with a shared secret (HS*) or with one of the keys of
+ * a JWKS file (RS*, PS*, ES*, EdDSA), using node's crypto only. Each mode
+ * only accepts its own algorithms, so a public key can't be used as an HMAC secret.
+ */
+class JwtVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - Shared secret of HS256/HS384/HS512 tokens
+   * @param {string} [options.jwksFile] - JSON file with the public keys ({ keys: [...] }), instead of a secret
+   * @param {Array<string>} [options.algorithms] - Accepted algorithms, defaults to every algorithm of the mode
+   * @param {(string|Array<string>)} [options.issuer] - Expected `iss`
+   * @param {(string|Array<string>)} [options.audience] - Expected `aud` (one match is enough)
+   * @param {number} [options.clockTolerance=0] - Seconds of leeway for exp and nbf
+   * @param {string} [options.subjectClaim='sub'] - Claim used as the principal id
+   */
+  constructor({ secret, jwksFile, algorithms, issuer, audience, clockTolerance = 0, subjectClaim = 'sub' } = {}) {
+    if (!secret && !jwksFile) {
+      throw new Error("JWT authentication requires a secret or a jwksFile.");
+    }
+    if (secret && jwksFile) {
+      throw new Error("JWT authentication takes either a secret or a jwksFile, not both.");
+    }
+    const allowed = secret ? HMAC_ALGORITHMS : ASYMMETRIC_ALGORITHMS;
+    this.algorithms = (algorithms || allowed).filter(algorithm => allowed.includes(algorithm));
+    if (this.algorithms.length === 0) {
+      throw new Error(`JWT algorithms must be among ${allowed.join(', ')}.`);
+    }
+    this.secret = secret;
+    this.keys = jwksFile ? JwtVerifier.loadJwks(jwksFile) : [];
+    this.issuer = issuer;
+    this.audience = audience;
+    this.clockTolerance = clockTolerance;
+    this.subjectClaim = subjectClaim;
+  }
+
+  static loadJwks(jwksFile) {
+    const { keys } = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error(`No keys found in the JWKS file ${jwksFile}.`);
+    }
+    return keys.map(jwk => ({ jwk, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+  }
+
+  _findKey(header) {
+    const candidates = header.kid ? this.keys.filter(({ jwk }) => jwk.kid === header.kid) : this.keys;
+    const match = candidates.find(({ jwk }) => !jwk.alg || jwk.alg === header.alg);
+    if (!match || (!header.kid && candidates.length > 1)) {
+      throw unauthorized('No key matches the token');
+    }
+    return match.key;
+  }
+
+  _verifySignature(header, signingInput, signature) {
+    const data = Buffer.from(signingInput);
+    const { alg } = header;
+
+    if (HMAC_ALGORITHMS.includes(alg)) {
+      const expected = crypto.createHmac(digestOf(alg), this.secret).update(data).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const key = this._findKey(header);
+    if (alg === 'EdDSA') return crypto.verify(null, data, key, signature);
+    if (alg.startsWith('PS')) {
+      return crypto.verify(digestOf(alg), data, {
+        key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+      }, signature);
+    }
+    if (alg.startsWith('ES')) {
+      return crypto.verify(digestOf(alg), data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    }
+    return crypto.verify(digestOf(alg), data, key, signature);
+  }
+
+  _verifyClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockTolerance) {
+      throw unauthorized('Token expired', 'token_expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - this.clockTolerance) {
+      throw unauthorized('Token not yet valid');
+    }
+    if (this.issuer && ![].concat(this.issuer).includes(claims.iss)) {
+      throw unauthorized('Unexpected token issuer');
+    }
+    if (this.audience) {
+      const audiences = [].concat(claims.aud || []);
+      if (![].concat(this.audience).some(audience => audiences.includes(audience))) {
+        throw unauthorized('Unexpected token audience');
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} Principal { type: 'jwt', id, claims }
+   * @throws {LLMError} 401 invalid_token or token_expired
+   */
+  verify(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw unauthorized('Malformed token');
+    }
+    const header = decodeJson(parts[0]);
+    if (!this.algorithms.includes(header.alg)) {
+      throw unauthorized(`Token algorithm ${header.alg} is not accepted`);
+    }
+    const signature = Buffer.from(parts[2], 'base64url');
+    let valid;
+    try {
+      valid = this._verifySignature(header, `${parts[0]}.${parts[1]}`, signature);
+    } catch (error) {
+      // Key type that doesn't fit the algorithm
+      if (error instanceof LLMError) throw error;
+      valid = false;
+    }
+    if (!valid) {
+      throw unauthorized('Invalid token signature');
+    }
+
+    const claims = decodeJson(parts[1]);
+    this._verifyClaims(claims);
+    return { type: 'jwt', id: claims[this.subjectClaim], claims };
+  }
+}
+
+module.exports = { JwtVerifier };
@@ -0,0 +1,80 @@
+/* eslint-env jest */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, test, expect, afterAll } = require('@jest/globals');
+const { JwtVerifier } = require('./jwt-verifier');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+function sign(header, claims, signer) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  return `${input}.${signer(Buffer.from(input)).toString('base64url')}`;
+}
+
+const hmac = (secret) => (data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('JwtVerifier', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [
+      { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' }
+    ]
+  }));
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('verifies HS256 tokens and their claims', () => {
+    const verifier = new JwtVerifier({ secret: 's3cret', issuer: 'https://auth.example.com', audience: 'ajent' });
+    const claims = { sub: 'user-1', iss: 'https://auth.example.com', aud: ['ajent', 'other'], exp: now() + 60 };
+
+    expect(verifier.verify(sign({ alg: 'HS256', typ: 'JWT' }, claims, hmac('s3cret')))).toEqual({ type: 'jwt', id: 'user-1', claims });
+
+    expect(errorOf(() => verifier.verify(sign({ alg: 'HS256' }, claims, hmac('wrong')))).message).toBe('Invalid token signature');
+    expect(errorOf(() => verifier.verify(sign({ alg: 'HS256' }, { ...claims, exp: now() - 10 }, hmac('s3cret')))).code).toBe('token_expired');
+    expect(errorOf(() => verifier.verify(sign({ alg: 'HS256' }, { ...claims, aud: 'other' }, hmac('s3cret')))).message).toBe('Unexpected token audience');
+    expect(errorOf(() => verifier.verify(sign({ alg: 'none' }, claims, () => Buffer.alloc(0)))).message).toBe('Token algorithm none is not accepted');
+    expect(errorOf(() => verifier.verify('not-a-token')).status).toBe(401);
+  });
+
+  test('verifies RS256 and ES256 tokens with the JWKS file', () => {
+    const verifier = new JwtVerifier({ jwksFile });
+    const claims = { sub: 'service-a', exp: now() + 60 };
+
+    const rs256 = sign({ alg: 'RS256', kid: 'rsa-1' }, claims, data => crypto.sign('sha256', data, rsa.privateKey));
+    const es256 = sign({ alg: 'ES256', kid: 'ec-1' }, claims, data => crypto.sign('sha256', data, { key: ec.privateKey, dsaEncoding: 'ieee-p1363' }));
+    expect(verifier.verify(rs256).id).toBe('service-a');
+    expect(verifier.verify(es256).id).toBe('service-a');
+
+    const unknownKid = sign({ alg: 'RS256', kid: 'rsa-2' }, claims, data => crypto.sign('sha256', data, rsa.privateKey));
+    expect(errorOf(() => verifier.verify(unknownKid)).message).toBe('No key matches the token');
+
+    // HMAC tokens are refused in JWKS mode, whatever the secret
+    const confused = sign({ alg: 'HS256', kid: 'rsa-1' }, claims, hmac('anything'));
+    expect(errorOf(() => verifier.verify(confused)).message).toBe('Token algorithm HS256 is not accepted');
+  });
+
+  test('requires a secret or a JWKS file, not both', () => {
+    expect(() => new JwtVerifier({})).toThrow('JWT authentication requires a secret or a jwksFile.');
+    expect(() => new JwtVerifier({ secret: 'x', jwksFile })).toThrow('JWT authentication takes either a secret or a jwksFile, not both.');
+    expect(() => new JwtVerifier({ secret: 'x', algorithms: ['RS256'] })).toThrow('JWT algorithms must be among HS256, HS384, HS512.');
+  });
+});
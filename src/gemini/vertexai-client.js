@@ -2,7 +2,23 @@ const { LLMClient } = require('../llm/llm-client');
 const { ResponseSerializer } = require('../llm/response-serializer');
 const logger = require('../utils/logger');
 const { VertexAI } = require('@google-cloud/vertexai');
-const { convertTools, convertMessages } = require('../utils/vertexai-converters');
+const { GENERATION_OPTIONS } = require('../llm/generation-options');
+const { fromGeminiUsage } = require('../llm/usage');
+const { parseDuration } = require('../llm/retry-hints');
+const { abortable, abortableIterable } = require('../llm/cancellation');
+const { streamErrorEvent } = require('../llm/stream-events');
+const {
+  convertTools,
+  convertMessages,
+  convertSystemInstruction,
+  convertGenerationConfig,
+  convertToolChoice,
+  convertResponseFormat,
+  createToolCallId
+} = require('../utils/vertexai-converters');
+
+// How many generated tool call ids are remembered to resolve tool results
+const MAX_TRACKED_TOOL_CALLS = 1000;
 
 // process.env.GOOGLE_APPLICATION_CREDENTIALS is required for Google Cloud authentication
 
@@ -11,6 +27,9 @@ class VertexAIClient extends LLMClient {
     super(config);
     console.log("GOOGLE_APPLICATION_CREDENTIALS:", process.env.GOOGLE_APPLICATION_CREDENTIALS);
     
+    // Ids gerados para as function calls -> nome da função
+    this._toolCallNames = new Map();
+    
     // Pode adicionar padrões específicos do Vertex AI para retry
     this.addRetryableErrorPatterns([
       'vertex ai quota exceeded',
@@ -25,37 +44,63 @@ class VertexAIClient extends LLMClient {
     }
     this._client = new VertexAI({ project: this.config.llmProject, location: this.config.llmLocation });
     this.model = this._client.getGenerativeModel({ model: this.config.llmModel });
+    this._models = { [this.config.llmModel]: this.model };
+  }
+
+  /**
+   * Returns the generative model for a per-request model name, defaulting to the configured one
+   */
+  _getModel(model) {
+    if (!model || model === this.config.llmModel) {
+      return this.model;
+    }
+    if (!this._models[model]) {
+      this._models[model] = this._client.getGenerativeModel({ model });
+    }
+    return this._models[model];
+  }
+
+  // Todas as opções normalizadas têm equivalente no generationConfig/toolConfig
+  getSupportedGenerationOptions() {
+    return Object.keys(GENERATION_OPTIONS);
   }
 
   // Implementação real do send (sem retry - isso fica na classe base)
-  async _sendImplementation(messages, tools) {
-    const request = this._buildRequest(messages, tools);
-    const response = await this.model.generateContent(request);
+  // O SDK do Vertex não aceita AbortSignal: com o signal abortado paramos de esperar e de ler o stream
+  async _sendImplementation(messages, tools, model, options = {}) {
+    const request = this._buildRequest(messages, tools, options);
+    const response = await abortable(this._getModel(model).generateContent(request), options.signal);
     const result = this._parseResponse(response);
     return this.serializeResponse(result);
   }
 
   // Implementação real do stream (sem retry - isso fica na classe base)
-  async _streamImplementation(messages, tools, model) {
-    const request = this._buildRequest(messages, tools);
-    const streamResponse = await this.model.generateContentStream(request);
+  async _streamImplementation(messages, tools, model, options = {}) {
+    const request = this._buildRequest(messages, tools, options);
+    const streamResponse = await abortable(this._getModel(model).generateContentStream(request), options.signal);
+    const chunks = abortableIterable(streamResponse.stream, options.signal);
     
     console.log('DEBUG VertexAI stream typeof:', typeof streamResponse);
     console.log('DEBUG VertexAI stream keys:', Object.keys(streamResponse));
     console.log('DEBUG VertexAI stream prototype:', Object.getPrototypeOf(streamResponse));
 
-    // Initialize variables to accumulate the response
-    const currentToolCalls = {};
-    let currentContent = "";
-    let currentToolCallId = null;
+    // Gemini sends each function call whole: start, arguments and end come at once
+    const events = this._streamEvents(model);
+    let toolCallCount = 0;
+    let usage = null;
 
     // Return an async iterator that processes the Vertex AI stream
     return {
       [Symbol.asyncIterator]: async function* () {
+        yield events.start();
         try {
           // Vertex AI returns an async iterable stream
-          for await (const chunk of streamResponse.stream) {
+          for await (const chunk of chunks) {
             try {
+              // Token counts are cumulative, the last chunk has the totals
+              if (chunk.usageMetadata) {
+                usage = fromGeminiUsage(chunk.usageMetadata);
+              }
               const candidate = chunk.candidates?.[0];
               if (!candidate) continue;
 
@@ -63,65 +108,40 @@ class VertexAIClient extends LLMClient {
               
               for (const part of parts) {
                 // Handle text content
-                if (part.text) {
-                  currentContent += part.text;
-                  yield {
-                    type: "content",
-                    content: part.text
-                  };
+                const delta = events.contentDelta(part.text);
+                if (delta) {
+                  yield delta;
                 }
                 
                 // Handle function calls
                 if (part.functionCall) {
-                  const functionCall = part.functionCall;
-                  currentToolCallId = functionCall.name + '_' + Date.now(); // Generate unique ID
-                  
-                  currentToolCalls[currentToolCallId] = {
-                    id: currentToolCallId,
-                    type: "function",
-                    function: {
-                      name: functionCall.name,
-                      arguments: JSON.stringify(functionCall.args || {})
-                    }
-                  };
-                  
-                  yield {
-                    type: "tool_call",
-                    tool_call: currentToolCalls[currentToolCallId]
-                  };
+                  const toolCall = this._toToolCall(part.functionCall);
+                  const index = toolCallCount++;
+                  yield events.toolCallStart(index, toolCall.id, toolCall.function.name);
+                  const argumentsDelta = events.toolCallDelta(index, toolCall.function.arguments);
+                  if (argumentsDelta) {
+                    yield argumentsDelta;
+                  }
+                  yield events.toolCallEnd(index);
                 }
               }
               
-              // Handle finish reason
-              const finishReason = candidate?.finishReason;
-              if (finishReason) {
-                yield {
-                  type: "finish",
-                  finish_reason: finishReason,
-                  final_content: currentContent,
-                  final_tool_calls: Object.values(currentToolCalls).length > 0 ? Object.values(currentToolCalls) : null
-                };
-                break; // Exit the loop when finished
+              // Handle finish reason (STOP, MAX_TOKENS, SAFETY...), normalized by the builder
+              if (candidate?.finishReason) {
+                yield* events.finishEvents(candidate.finishReason, usage);
+                return; // Exit the loop when finished
               }
             } catch (chunkError) {
               console.error(`Error processing chunk: ${chunkError}`);
-              yield { 
-                type: "error", 
-                error: "Chunk processing error", 
-                details: chunkError.message,
-                retryable: this._isRetryableErrorWithCustom ? this._isRetryableErrorWithCustom(chunkError) : false
-              };
+              yield streamErrorEvent(chunkError, this._isRetryableErrorWithCustom(chunkError));
+              return;
             }
           }
+          // Stream closed without a finish reason
+          yield* events.finishEvents(null, usage);
         } catch (streamError) {
           console.error(`Error in stream iteration: ${streamError}`);
-          yield { 
-            type: "error", 
-            error: "Stream iteration error", 
-            details: streamError.message,
-            status: streamError.status || streamError.code,
-            retryable: this._isRetryableErrorWithCustom ? this._isRetryableErrorWithCustom(streamError) : false
-          };
+          yield streamErrorEvent(streamError, this._isRetryableErrorWithCustom(streamError));
         }
       }.bind(this)
     };
@@ -132,13 +152,44 @@ class VertexAIClient extends LLMClient {
     throw new Error('STT not implemented for VertexAI');
   }
 
-  _buildRequest(messages, tools) {
+  /**
+   * Vertex AI sends the delay of 429 errors as a google.rpc.RetryInfo detail
+   * ({ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '30s' })
+   */
+  _getRetryAfterMs(error) {
+    const hint = super._getRetryAfterMs(error);
+    if (hint !== null) return hint;
+
+    const details = error.errorDetails || error.cause?.errorDetails || [];
+    const retryInfo = Array.isArray(details)
+      ? details.find(detail => detail && String(detail['@type']).endsWith('google.rpc.RetryInfo'))
+      : null;
+    return retryInfo ? parseDuration(retryInfo.retryDelay) : null;
+  }
+
+  _buildRequest(messages, tools, options = {}) {
+    const { generation, responseFormat } = options;
     const request = {
-      contents: convertMessages(messages),
+      contents: convertMessages(messages, (id) => this._toolCallNames.get(id)),
     };
+    const systemInstruction = convertSystemInstruction(messages);
+    if (systemInstruction) {
+      request.systemInstruction = systemInstruction;
+    }
     const convertedTools = convertTools(tools);
     if (convertedTools.length > 0) {
       request.tools = convertedTools;
+      const toolConfig = convertToolChoice(generation?.tool_choice);
+      if (toolConfig) {
+        request.toolConfig = toolConfig;
+      }
+    }
+    // Gemini refuses function calling together with the JSON mime type; the
+    // structured output validation still applies when tools are sent
+    const jsonMode = convertedTools.length === 0 ? convertResponseFormat(responseFormat) : undefined;
+    const generationConfig = convertGenerationConfig(generation);
+    if (generationConfig || jsonMode) {
+      request.generationConfig = { ...generationConfig, ...jsonMode };
     }
     return request;
   }
@@ -155,29 +206,48 @@ class VertexAIClient extends LLMClient {
         content += part.text;
       }
       if (part.functionCall) {
-        tool_calls.push({
-          id: part.functionCall.name,
-          type: 'function',
-          function: {
-            name: part.functionCall.name,
-            arguments: JSON.stringify(part.functionCall.args || {})
-          }
-        });
+        tool_calls.push(this._toToolCall(part.functionCall));
       }
     }
 
     const result = {
       role: 'assistant',
       content: content || '',
+      provider_finish_reason: candidate?.finishReason,
     };
 
     if (tool_calls.length > 0) {
       result.tool_calls = tool_calls;
     }
 
+    const usage = fromGeminiUsage(response.response?.usageMetadata);
+    if (usage) {
+      result.usage = usage;
+    }
+
     return result;
   }
 
+  /**
+   * Converts a Gemini functionCall into an OpenAI tool call with a unique id,
+   * remembering the id so the tool result can be matched back to the function
+   */
+  _toToolCall(functionCall) {
+    const id = functionCall.id || createToolCallId();
+    this._toolCallNames.set(id, functionCall.name);
+    if (this._toolCallNames.size > MAX_TRACKED_TOOL_CALLS) {
+      this._toolCallNames.delete(this._toolCallNames.keys().next().value);
+    }
+    return {
+      id,
+      type: 'function',
+      function: {
+        name: functionCall.name,
+        arguments: JSON.stringify(functionCall.args || {})
+      }
+    };
+  }
+
   serializeResponse(response) {
     return ResponseSerializer.serializeMessage(response);
   }
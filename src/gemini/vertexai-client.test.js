@@ -0,0 +1,176 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { VertexAIClient } = require('./vertexai-client');
+
+function streamOf(chunks) {
+  return {
+    stream: {
+      [Symbol.asyncIterator]: async function* () {
+        for (const chunk of chunks) {
+          yield chunk;
+        }
+      }
+    }
+  };
+}
+
+const weatherCall = (city) => ({ functionCall: { name: 'weather', args: { city } } });
+
+describe('VertexAIClient', () => {
+  let client;
+  let model;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    client = new VertexAIClient({ llmProject: 'test-project', llmLocation: 'us-central1', llmModel: 'gemini-test', enableRetry: false });
+    model = { generateContent: jest.fn(), generateContentStream: jest.fn() };
+    client.model = model;
+    client._models = { 'gemini-test': model };
+  });
+
+  describe('tool call ids', () => {
+    test('parallel calls to the same function get unique ids, in call order', async () => {
+      model.generateContent.mockResolvedValue({
+        response: {
+          candidates: [{ content: { parts: [weatherCall('Paris'), weatherCall('Rome')] } }],
+          usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 10, cachedContentTokenCount: 5, totalTokenCount: 30 }
+        }
+      });
+
+      const result = await client._sendImplementation([{ role: 'user', content: 'hi' }], []);
+      expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 10, cached_tokens: 5, total_tokens: 30 });
+
+      const [first, second] = result.tool_calls;
+      expect(first.id).toMatch(/^call_[0-9a-f]{24}$/);
+      expect(second.id).toMatch(/^call_[0-9a-f]{24}$/);
+      expect(first.id).not.toBe(second.id);
+      expect(JSON.parse(first.function.arguments)).toEqual({ city: 'Paris' });
+      expect(JSON.parse(second.function.arguments)).toEqual({ city: 'Rome' });
+    });
+
+    test('ids survive the round trip back through the converters', async () => {
+      model.generateContent.mockResolvedValue({
+        response: { candidates: [{ content: { parts: [weatherCall('Paris'), weatherCall('Rome')] } }] }
+      });
+      const assistant = await client._sendImplementation([{ role: 'user', content: 'hi' }], []);
+      const [paris, rome] = assistant.tool_calls;
+
+      // Results sent back in a different order than the calls
+      const request = client._buildRequest([
+        { role: 'user', content: 'hi' },
+        assistant,
+        { role: 'tool', tool_call_id: rome.id, content: 'rainy' },
+        { role: 'tool', tool_call_id: paris.id, content: 'sunny' }
+      ], []);
+
+      expect(request.contents[2]).toEqual({
+        role: 'user',
+        parts: [
+          { functionResponse: { name: 'weather', response: { content: 'sunny' } } },
+          { functionResponse: { name: 'weather', response: { content: 'rainy' } } }
+        ]
+      });
+    });
+
+    test('tool results are resolved even when the history lacks the assistant message', async () => {
+      model.generateContent.mockResolvedValue({
+        response: { candidates: [{ content: { parts: [{ functionCall: { name: 'lookup', args: {} } }] } }] }
+      });
+      const { tool_calls } = await client._sendImplementation([{ role: 'user', content: 'hi' }], []);
+
+      const request = client._buildRequest([{ role: 'tool', tool_call_id: tool_calls[0].id, content: '{"ok":true}' }], []);
+      expect(request.contents[0].parts[0].functionResponse).toEqual({ name: 'lookup', response: { ok: true } });
+    });
+
+    test('streamed parallel calls keep unique ids and order', async () => {
+      model.generateContentStream.mockResolvedValue(streamOf([
+        { candidates: [{ content: { parts: [weatherCall('Paris')] } }] },
+        { candidates: [{ content: { parts: [weatherCall('Rome')] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 4, totalTokenCount: 12 } }
+      ]));
+
+      const stream = await client._streamImplementation([{ role: 'user', content: 'hi' }], []);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+
+      const finish = chunks[chunks.length - 1];
+      expect(finish.usage).toEqual({ prompt_tokens: 8, completion_tokens: 4, cached_tokens: 0, total_tokens: 12 });
+      const ids = finish.final_tool_calls.map(tc => tc.id);
+      expect(new Set(ids).size).toBe(2);
+      expect(finish.final_tool_calls.map(tc => JSON.parse(tc.function.arguments).city)).toEqual(['Paris', 'Rome']);
+      expect(chunks.filter(c => c.type === 'tool_call_end').map(c => c.tool_call.id)).toEqual(ids);
+      expect(finish.finish_reason).toBe('tool_calls');
+      expect(finish.provider_finish_reason).toBe('STOP');
+    });
+  });
+
+  test('the answer keeps the normalized finish reason', async () => {
+    model.generateContent.mockResolvedValue({ response: { candidates: [{ content: { parts: [{ text: 'Once upon a' }] }, finishReason: 'MAX_TOKENS' }] } });
+
+    const result = await client._sendImplementation([{ role: 'user', content: 'hi' }], []);
+
+    expect(result.finish_reason).toBe('length');
+    expect(result.provider_finish_reason).toBe('MAX_TOKENS');
+  });
+
+  test('generation options become generationConfig and toolConfig', async () => {
+    model.generateContent.mockResolvedValue({ response: { candidates: [{ content: { parts: [{ text: 'ok' }] } }] } });
+    const tools = [{ type: 'function', function: { name: 'weather', parameters: { type: 'object' } } }];
+
+    await client._sendImplementation([{ role: 'user', content: 'hi' }], tools, undefined, {
+      generation: { temperature: 0.1, top_p: 0.9, max_tokens: 64, stop: ['END'], seed: 3, tool_choice: { type: 'function', function: { name: 'weather' } } }
+    });
+
+    const request = model.generateContent.mock.calls[0][0];
+    expect(request.generationConfig).toEqual({ temperature: 0.1, topP: 0.9, maxOutputTokens: 64, stopSequences: ['END'], seed: 3 });
+    expect(request.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['weather'] } });
+
+    expect(client._buildRequest([{ role: 'user', content: 'hi' }], tools, { generation: { tool_choice: 'none' } }).toolConfig)
+      .toEqual({ functionCallingConfig: { mode: 'NONE' } });
+    expect(client._buildRequest([{ role: 'user', content: 'hi' }], [])).not.toHaveProperty('generationConfig');
+  });
+
+  test('response_format enables JSON mode unless tools are sent', () => {
+    const responseFormat = { type: 'json_object' };
+    const tools = [{ type: 'function', function: { name: 'weather', parameters: { type: 'object' } } }];
+
+    expect(client._buildRequest([{ role: 'user', content: 'hi' }], [], { responseFormat, generation: { temperature: 0 } }).generationConfig)
+      .toEqual({ temperature: 0, responseMimeType: 'application/json' });
+    expect(client._buildRequest([{ role: 'user', content: 'hi' }], tools, { responseFormat })).not.toHaveProperty('generationConfig');
+  });
+
+  test('the RetryInfo detail of a 429 error is the retry hint', () => {
+    const apiError = Object.assign(new Error('Resource exhausted'), {
+      code: 429,
+      errorDetails: [
+        { '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'RATE_LIMIT_EXCEEDED' },
+        { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }
+      ]
+    });
+    const error = new Error('[VertexAI.ClientError]: got status: 429 Too Many Requests', { cause: apiError });
+
+    expect(client._getRetryAfterMs(error)).toBe(12000);
+    expect(client._getRetryAfterMs(new Error('got status: 429', { cause: new Error('no details') }))).toBeNull();
+  });
+
+  test('system messages are sent as systemInstruction', () => {
+    const request = client._buildRequest([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'hi' }
+    ], []);
+
+    expect(request.systemInstruction).toEqual({ role: 'system', parts: [{ text: 'Be brief.' }] });
+    expect(request.contents).toEqual([{ role: 'user', parts: [{ text: 'hi' }] }]);
+  });
+});
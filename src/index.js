@@ -1,3 +1,5 @@
 'use strict';
 const createLLMServer = require('./api/factory-api-server');
-module.exports = {createLLMServer };
\ No newline at end of file
+const { hashApiKey } = require('./auth');
+const { ProviderError } = require('./llm/llm-errors');
+module.exports = {createLLMServer, hashApiKey, ProviderError };
\ No newline at end of file
@@ -0,0 +1,191 @@
+const { LLMError } = require('./llm-errors');
+
+/**
+ * Cancellation of provider calls. Requests carry an AbortSignal (options.signal)
+ * that is aborted when the HTTP client disconnects or the request times out;
+ * the reason is one of the errors below.
+ */
+
+function clientClosedError() {
+  return new LLMError('Client closed the request', { status: 499, code: 'client_closed_request', retryable: false });
+}
+
+function requestTimeoutError(timeoutMs) {
+  return new LLMError(`Request timed out after ${timeoutMs}ms`, { status: 504, code: 'request_timeout', retryable: false });
+}
+
+function isAbortError(error) {
+  return Boolean(error) && (error.code === 'client_closed_request' || error.code === 'request_timeout' || error.name === 'AbortError');
+}
+
+/**
+ * The error a call aborted by the signal ends with
+ */
+function abortReason(signal) {
+  const reason = signal.reason;
+  if (reason instanceof Error) return reason;
+  const error = new Error(reason ? String(reason) : 'Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+/**
+ * Adds a timeout to a signal. Either aborts the returned signal, the timeout
+ * with a 504 request_timeout reason. The signals are linked by hand, without
+ * AbortSignal.any (Node 20.3+).
+ *
+ * @param {AbortSignal} [signal]
+ * @param {number} [timeoutMs]
+ * @returns {{signal: (AbortSignal|undefined), clear: Function}} `clear` stops the
+ *   timer once the call settled, so finished calls don't wait for the timeout
+ */
+function withTimeout(signal, timeoutMs) {
+  if (!timeoutMs) return { signal, clear: () => {} };
+  const controller = new AbortController();
+  let timer = null;
+  const onAbort = () => {
+    clear();
+    controller.abort(signal.reason);
+  };
+  const clear = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+
+  if (signal && signal.aborted) {
+    controller.abort(signal.reason);
+    return { signal: controller.signal, clear };
+  }
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  timer = setTimeout(() => {
+    clear();
+    controller.abort(requestTimeoutError(timeoutMs));
+  }, timeoutMs);
+  // Never keeps the process alive
+  if (typeof timer.unref === 'function') timer.unref();
+  return { signal: controller.signal, clear };
+}
+
+/**
+ * Calls `done` once the iterable was read to the end, failed or was closed
+ */
+function onIterationEnd(iterable, done) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      try {
+        yield* iterable;
+      } finally {
+        done();
+      }
+    }
+  };
+}
+
+/**
+ * Signal aborted when the client goes away before the response is complete
+ *
+ * @param {http.ServerResponse} res
+ */
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(clientClosedError());
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Validates the per-request timeout (ms) and applies the server's maximum
+ *
+ * @throws {LLMError} 400 invalid_timeout
+ */
+function normalizeTimeout(timeout, maxTimeout) {
+  if (timeout === undefined || timeout === null) return maxTimeout || undefined;
+  if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0) {
+    throw new LLMError('timeout must be a positive number of milliseconds', { status: 400, code: 'invalid_timeout', retryable: false });
+  }
+  return maxTimeout ? Math.min(timeout, maxTimeout) : timeout;
+}
+
+/**
+ * Waits ms milliseconds, rejecting as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Races a promise against the signal, for SDKs that take no AbortSignal.
+ * The call itself keeps running, only the wait is cancelled.
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Stops reading an async iterable once the signal aborts, closing its iterator
+ */
+function abortableIterable(iterable, signal) {
+  if (!signal) return iterable;
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      const iterator = iterable[Symbol.asyncIterator]();
+      try {
+        for (;;) {
+          const { value, done } = await abortable(iterator.next(), signal);
+          if (done) return;
+          yield value;
+        }
+      } finally {
+        if (typeof iterator.return === 'function') {
+          // Not awaited: a pending next() may never settle
+          Promise.resolve(iterator.return()).catch(() => {});
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  clientClosedError,
+  requestTimeoutError,
+  isAbortError,
+  abortReason,
+  throwIfAborted,
+  withTimeout,
+  onIterationEnd,
+  abortOnClose,
+  normalizeTimeout,
+  sleep,
+  abortable,
+  abortableIterable
+};
@@ -0,0 +1,130 @@
+/* eslint-env jest */
+
+const { EventEmitter } = require('events');
+const { describe, test, expect, jest } = require('@jest/globals');
+const {
+  withTimeout,
+  onIterationEnd,
+  abortOnClose,
+  normalizeTimeout,
+  sleep,
+  abortable,
+  abortableIterable,
+  clientClosedError,
+  isAbortError
+} = require('./cancellation');
+
+describe('cancellation', () => {
+  test('withTimeout aborts with a 504 request_timeout, or with the original reason', async () => {
+    const { signal: timed } = withTimeout(undefined, 10);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(timed.aborted).toBe(true);
+    expect(timed.reason).toMatchObject({ status: 504, code: 'request_timeout' });
+
+    const controller = new AbortController();
+    const { signal: combined } = withTimeout(controller.signal, 60000);
+    controller.abort(clientClosedError());
+    expect(combined.reason.code).toBe('client_closed_request');
+    expect(withTimeout(controller.signal, 60000).signal.reason.code).toBe('client_closed_request');
+
+    expect(withTimeout(controller.signal, undefined).signal).toBe(controller.signal);
+    expect(isAbortError(combined.reason)).toBe(true);
+    expect(isAbortError(new Error('Rate limit exceeded'))).toBe(false);
+  });
+
+  test('withTimeout works without AbortSignal.any and its timer stops once cleared', async () => {
+    const any = AbortSignal.any;
+    delete AbortSignal.any;
+    try {
+      const controller = new AbortController();
+      const { signal, clear } = withTimeout(controller.signal, 20);
+      clear();
+      await new Promise(resolve => setTimeout(resolve, 40));
+      expect(signal.aborted).toBe(false);
+
+      const { signal: linked } = withTimeout(controller.signal, 60000);
+      controller.abort(clientClosedError());
+      expect(linked.reason.code).toBe('client_closed_request');
+    } finally {
+      AbortSignal.any = any;
+    }
+  });
+
+  test('onIterationEnd runs the callback once the stream is read or closed', async () => {
+    async function* numbers() {
+      yield 1;
+      yield 2;
+    }
+    const done = jest.fn();
+    for await (const value of onIterationEnd(numbers(), done)) {
+      if (value === 1) expect(done).not.toHaveBeenCalled();
+    }
+    expect(done).toHaveBeenCalledTimes(1);
+
+    const closed = jest.fn();
+    for await (const value of onIterationEnd(numbers(), closed)) {
+      if (value === 1) break;
+    }
+    expect(closed).toHaveBeenCalledTimes(1);
+  });
+
+  test('abortOnClose aborts only when the response did not finish', () => {
+    const closed = Object.assign(new EventEmitter(), { writableFinished: false });
+    const signal = abortOnClose(closed);
+    closed.emit('close');
+    expect(signal.reason).toMatchObject({ status: 499, code: 'client_closed_request' });
+
+    const finished = Object.assign(new EventEmitter(), { writableFinished: true });
+    const untouched = abortOnClose(finished);
+    finished.emit('close');
+    expect(untouched.aborted).toBe(false);
+  });
+
+  test('normalizeTimeout validates and caps the timeout', () => {
+    expect(normalizeTimeout(undefined, 30000)).toBe(30000);
+    expect(normalizeTimeout(5000, 30000)).toBe(5000);
+    expect(normalizeTimeout(60000, 30000)).toBe(30000);
+    expect(normalizeTimeout(undefined, undefined)).toBeUndefined();
+    expect(() => normalizeTimeout(-1)).toThrow('timeout must be a positive number of milliseconds');
+  });
+
+  test('sleep and abortable reject as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const sleeping = sleep(60000, controller.signal);
+    const waiting = abortable(new Promise(() => {}), controller.signal);
+    controller.abort(clientClosedError());
+
+    await expect(sleeping).rejects.toMatchObject({ code: 'client_closed_request' });
+    await expect(waiting).rejects.toMatchObject({ code: 'client_closed_request' });
+    await expect(abortable(Promise.resolve('ok'), new AbortController().signal)).resolves.toBe('ok');
+  });
+
+  test('abortableIterable stops reading and closes the source', async () => {
+    const controller = new AbortController();
+    const closed = jest.fn();
+    const source = {
+      [Symbol.asyncIterator]: () => {
+        let count = 0;
+        return {
+          next: () => (count++ < 2 ? Promise.resolve({ value: count, done: false }) : new Promise(() => {})),
+          return: () => {
+            closed();
+            return Promise.resolve({ done: true });
+          }
+        };
+      }
+    };
+
+    const values = [];
+    const reading = (async () => {
+      for await (const value of abortableIterable(source, controller.signal)) {
+        values.push(value);
+        if (values.length === 2) setTimeout(() => controller.abort(clientClosedError()), 5);
+      }
+    })();
+
+    await expect(reading).rejects.toMatchObject({ code: 'client_closed_request' });
+    expect(values).toEqual([1, 2]);
+    expect(closed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+const { LLMError } = require('./llm-errors');
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+/**
+ * Circuit breaker of one provider/model.
+ *
+ * closed: calls go through; `failureThreshold` failures within `windowMs` open it.
+ * open: calls fail fast until `openDurationMs` has passed, then it half-opens.
+ * half_open: `halfOpenMaxCalls` probe calls go through; a success closes it,
+ * a failure opens it again.
+ */
+class CircuitBreaker {
+  constructor(key, { failureThreshold = 5, windowMs = 60000, openDurationMs = 30000, halfOpenMaxCalls = 1, now = Date.now } = {}) {
+    this.key = key;
+    this.failureThreshold = failureThreshold;
+    this.windowMs = windowMs;
+    this.openDurationMs = openDurationMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this._now = now;
+    this._state = STATES.CLOSED;
+    this._failures = [];
+    this._openedAt = null;
+    this._probes = 0;
+    this._lastError = null;
+  }
+
+  get state() {
+    if (this._state === STATES.OPEN && this._now() - this._openedAt >= this.openDurationMs) {
+      this._state = STATES.HALF_OPEN;
+      this._probes = 0;
+    }
+    return this._state;
+  }
+
+  _open() {
+    this._state = STATES.OPEN;
+    this._openedAt = this._now();
+    this._failures = [];
+  }
+
+  /**
+   * Takes a call through the breaker
+   *
+   * @returns {Function} (outcome) => void, outcome 'success', 'failure' or 'ignored'
+   * @throws {LLMError} 503 circuit_open while the breaker rejects calls
+   */
+  acquire() {
+    const state = this.state;
+    if (state === STATES.OPEN || (state === STATES.HALF_OPEN && this._probes >= this.halfOpenMaxCalls)) {
+      const retryAfterMs = state === STATES.OPEN ? this._openedAt + this.openDurationMs - this._now() : 1000;
+      throw new LLMError(`Circuit breaker open for ${this.key}${this._lastError ? ` (last error: ${this._lastError})` : ''}`, {
+        status: 503,
+        code: 'circuit_open',
+        retryable: true,
+        retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+      });
+    }
+
+    const probe = state === STATES.HALF_OPEN;
+    if (probe) this._probes++;
+    let done = false;
+    return (outcome, error) => {
+      if (done) return;
+      done = true;
+      if (probe) this._probes--;
+      if (outcome === 'success') {
+        this._onSuccess(probe);
+      } else if (outcome === 'failure') {
+        this._onFailure(probe, error);
+      }
+    };
+  }
+
+  _onSuccess(probe) {
+    if (probe || this._state === STATES.HALF_OPEN) {
+      this._state = STATES.CLOSED;
+      this._openedAt = null;
+    }
+    this._failures = [];
+  }
+
+  _onFailure(probe, error) {
+    this._lastError = error ? error.message : null;
+    if (probe || this._state === STATES.HALF_OPEN) {
+      this._open();
+      return;
+    }
+    if (this._state !== STATES.CLOSED) return;
+
+    const now = this._now();
+    this._failures = this._failures.filter(at => now - at < this.windowMs);
+    this._failures.push(now);
+    if (this._failures.length >= this.failureThreshold) {
+      this._open();
+    }
+  }
+
+  toJSON() {
+    const state = this.state;
+    const now = this._now();
+    return {
+      state,
+      recent_failures: this._failures.filter(at => now - at < this.windowMs).length,
+      opened_at: this._openedAt ? new Date(this._openedAt).toISOString() : null,
+      retry_at: state === STATES.OPEN ? new Date(this._openedAt + this.openDurationMs).toISOString() : null,
+      last_error: this._lastError
+    };
+  }
+}
+
+/**
+ * One circuit breaker per provider/model, shared by every client created with it
+ */
+class CircuitBreakerRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Failed calls within the window that open the breaker
+   * @param {number} [options.windowMs=60000] - Window in which failures are counted
+   * @param {number} [options.openDurationMs=30000] - Time the breaker stays open before probing
+   * @param {number} [options.halfOpenMaxCalls=1] - Probe calls allowed at once while half-open
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this._breakers = new Map();
+  }
+
+  get(key) {
+    let breaker = this._breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(key, this.options);
+      this._breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * State of a provider/model without creating its breaker
+   */
+  stateOf(key) {
+    const breaker = this._breakers.get(key);
+    return breaker ? breaker.state : STATES.CLOSED;
+  }
+
+  getStates() {
+    const states = {};
+    for (const [key, breaker] of this._breakers) {
+      states[key] = breaker.toJSON();
+    }
+    return states;
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitBreakerRegistry, CIRCUIT_STATES: STATES };
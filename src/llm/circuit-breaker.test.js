@@ -0,0 +1,73 @@
+/* eslint-env jest */
+
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { CircuitBreaker, CircuitBreakerRegistry } = require('./circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  let clock;
+  const now = () => clock;
+  const fail = (breaker) => breaker.acquire()('failure', new Error('503 Service Unavailable'));
+
+  beforeEach(() => {
+    clock = Date.parse('2026-10-19T12:00:00Z');
+  });
+
+  test('opens after the failure threshold within the window', () => {
+    const breaker = new CircuitBreaker('openai:gpt-4.1', { failureThreshold: 3, windowMs: 10000, openDurationMs: 30000, now });
+
+    fail(breaker);
+    fail(breaker);
+    clock += 11000;
+    // The first two failures left the window
+    fail(breaker);
+    expect(breaker.state).toBe('closed');
+
+    fail(breaker);
+    fail(breaker);
+    expect(breaker.state).toBe('open');
+
+    let error;
+    try {
+      breaker.acquire();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ status: 503, code: 'circuit_open', retryAfter: 30 });
+    expect(error.message).toBe('Circuit breaker open for openai:gpt-4.1 (last error: 503 Service Unavailable)');
+  });
+
+  test('half-opens to probe and closes on success', () => {
+    const breaker = new CircuitBreaker('openai:gpt-4.1', { failureThreshold: 1, openDurationMs: 30000, now });
+    fail(breaker);
+    clock += 30000;
+    expect(breaker.state).toBe('half_open');
+
+    const probe = breaker.acquire();
+    // Only one probe at a time
+    expect(() => breaker.acquire()).toThrow('Circuit breaker open');
+    probe('success');
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('opens again when the probe fails and ignores calls that never reached the provider', () => {
+    const breaker = new CircuitBreaker('openai:gpt-4.1', { failureThreshold: 1, openDurationMs: 1000, now });
+    fail(breaker);
+    clock += 1000;
+
+    breaker.acquire()('ignored');
+    expect(breaker.state).toBe('half_open');
+    fail(breaker);
+    expect(breaker.state).toBe('open');
+  });
+
+  test('the registry keeps one breaker per provider/model', () => {
+    const registry = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    expect(registry.stateOf('openai:gpt-4.1')).toBe('closed');
+
+    fail(registry.get('openai:gpt-4.1'));
+    expect(registry.stateOf('openai:gpt-4.1')).toBe('open');
+    expect(registry.stateOf('openai:gpt-4.1-mini')).toBe('closed');
+    expect(Object.keys(registry.getStates())).toEqual(['openai:gpt-4.1']);
+    expect(registry.getStates()['openai:gpt-4.1']).toMatchObject({ state: 'open', recent_failures: 0, last_error: '503 Service Unavailable' });
+  });
+});
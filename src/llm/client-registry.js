@@ -0,0 +1,151 @@
+const { LLMFactory } = require('./llm-factory');
+const { LLMError } = require('./llm-errors');
+const { resolveGeneration } = require('./generation-options');
+
+/**
+ * Resolves the provider/model requested for a call into an LLM client.
+ *
+ * Named providers are only built by LLMFactory the first time they are used.
+ * Explicit model names must be allowed by the allow-list; models reached
+ * through an alias or configured as a provider's default are always allowed.
+ * The requested generation options are merged with the server defaults and
+ * checked against the per-model limits and the selected client.
+ */
+class ClientRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.defaultProvider - Name of the default provider
+   * @param {LLMClient} options.defaultClient - Client used for the default provider
+   * @param {string} [options.defaultModel] - Model used when the request doesn't pick one
+   * @param {Object<string, Object>} [options.providers] - Named client configurations for LLMFactory
+   * @param {Object<string, string|{provider?: string, model: string}>} [options.aliases] - Model aliases, e.g. { fast: 'openai:gpt-4.1-mini' }
+   * @param {Array<string>|Object<string, Array<string>>} [options.allowedModels] - 'provider:model' entries
+   *   ('provider:*' allows any model) or a { provider: [models] } map
+   * @param {Object} [options.generationDefaults] - Generation options used when the request doesn't set them
+   * @param {Object<string, Object>} [options.generationLimits] - Maximum option values keyed by
+   *   'provider:model', 'model', 'provider:*' or '*', e.g. { 'openai:gpt-4.1-mini': { max_tokens: 4096 } }
+   */
+  constructor(options) {
+    this.defaultProvider = options.defaultProvider;
+    this.defaultModel = options.defaultModel;
+    this.providers = options.providers || {};
+    this.aliases = options.aliases || {};
+    this.allowedModels = this._normalizeAllowList(options.allowedModels);
+    this.generationDefaults = options.generationDefaults;
+    this.generationLimits = options.generationLimits;
+    this._clients = new Map([[this.defaultProvider, options.defaultClient]]);
+  }
+
+  _normalizeAllowList(allowedModels) {
+    const allowList = new Set();
+    if (Array.isArray(allowedModels)) {
+      allowedModels.forEach(entry => allowList.add(entry));
+    } else if (allowedModels && typeof allowedModels === 'object') {
+      for (const [provider, models] of Object.entries(allowedModels)) {
+        [].concat(models).forEach(model => allowList.add(`${provider}:${model}`));
+      }
+    }
+    return allowList;
+  }
+
+  _parseTarget(target) {
+    if (typeof target === 'string') {
+      const separator = target.indexOf(':');
+      return separator === -1
+        ? { model: target }
+        : { provider: target.slice(0, separator), model: target.slice(separator + 1) };
+    }
+    return target || {};
+  }
+
+  hasProvider(name) {
+    return this._clients.has(name) || Object.prototype.hasOwnProperty.call(this.providers, name);
+  }
+
+  /**
+   * Default model of a provider, as configured in its client config
+   */
+  _providerDefaultModel(provider) {
+    if (provider === this.defaultProvider) {
+      return this.defaultModel;
+    }
+    return this.providers[provider]?.llmModel;
+  }
+
+  isAllowed(provider, model) {
+    if (!model || model === this._providerDefaultModel(provider)) {
+      return true;
+    }
+    return this.allowedModels.has(`${provider}:${model}`) || this.allowedModels.has(`${provider}:*`);
+  }
+
+  getClient(provider) {
+    if (!this._clients.has(provider)) {
+      if (!Object.prototype.hasOwnProperty.call(this.providers, provider)) {
+        throw new LLMError(`Unknown provider: ${provider}`, { status: 400, code: 'unknown_provider', retryable: false });
+      }
+      this._clients.set(provider, LLMFactory.createClient(this.providers[provider]));
+    }
+    return this._clients.get(provider);
+  }
+
+  /**
+   * @param {Object} [selection] - Usually the request body
+   * @param {string} [selection.provider] - Provider name
+   * @param {string} [selection.model] - Model name or alias
+   * @param {Object} [selection.generation] - Generation options (temperature, max_tokens, ...)
+   * @returns {{client: LLMClient, provider: string, model: (string|undefined), generation: Object}}
+   */
+  resolve(selection = {}) {
+    let provider = selection.provider;
+    let model = selection.model;
+    let viaAlias = false;
+
+    if (model && Object.prototype.hasOwnProperty.call(this.aliases, model)) {
+      const target = this._parseTarget(this.aliases[model]);
+      if (provider && target.provider && provider !== target.provider) {
+        throw new LLMError(`Model alias '${model}' belongs to provider ${target.provider}, not ${provider}`, {
+          status: 400, code: 'invalid_model', retryable: false
+        });
+      }
+      provider = target.provider || provider;
+      model = target.model;
+      viaAlias = true;
+    }
+
+    provider = provider || this.defaultProvider;
+    if (!this.hasProvider(provider)) {
+      throw new LLMError(`Unknown provider: ${provider}`, { status: 400, code: 'unknown_provider', retryable: false });
+    }
+
+    if (!viaAlias && !this.isAllowed(provider, model)) {
+      throw new LLMError(`Model ${model} is not allowed for provider ${provider}`, {
+        status: 403, code: 'model_not_allowed', retryable: false
+      });
+    }
+
+    const client = this.getClient(provider);
+    const resolvedModel = model || this._providerDefaultModel(provider);
+    return {
+      client,
+      provider,
+      model: resolvedModel,
+      generation: this._resolveGeneration(client, provider, resolvedModel, selection.generation)
+    };
+  }
+
+  _resolveGeneration(client, provider, model, requested) {
+    // Clients that don't describe their options (custom ones) accept all of them
+    const describesOptions = typeof client.getSupportedGenerationOptions === 'function';
+    const generation = resolveGeneration(requested, {
+      defaults: this.generationDefaults,
+      limits: this.generationLimits,
+      provider,
+      model,
+      supported: describesOptions ? client.getSupportedGenerationOptions() : undefined
+    });
+    return describesOptions ? client.validateGeneration(generation) : generation;
+  }
+}
+
+module.exports = { ClientRegistry };
@@ -0,0 +1,79 @@
+/* eslint-env jest */
+
+const mockCreateClient = jest.fn((config) => ({ name: `client:${config.llmName}`, config }));
+jest.mock('./llm-factory', () => ({
+  LLMFactory: { createClient: mockCreateClient }
+}));
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { ClientRegistry } = require('./client-registry');
+const { LLMError } = require('./llm-errors');
+
+describe('ClientRegistry', () => {
+  const defaultClient = { name: 'default' };
+  let registry;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ClientRegistry({
+      defaultProvider: 'openai',
+      defaultClient,
+      defaultModel: 'gpt-4.1',
+      providers: {
+        gemini: { llmName: 'gemini', llmModel: 'gemini-2.5-pro' },
+        anthropic: { llmName: 'anthropic', llmModel: 'claude-sonnet-4-20250514' }
+      },
+      aliases: {
+        fast: 'openai:gpt-4.1-mini',
+        smart: { provider: 'anthropic', model: 'claude-opus-4-20250514' }
+      },
+      allowedModels: ['openai:gpt-4.1-nano', 'gemini:*']
+    });
+  });
+
+  test('uses the default client and model when nothing is requested', () => {
+    expect(registry.resolve({})).toEqual({ client: defaultClient, provider: 'openai', model: 'gpt-4.1', generation: {} });
+    expect(mockCreateClient).not.toHaveBeenCalled();
+  });
+
+  test('builds named providers lazily and only once', () => {
+    const first = registry.resolve({ provider: 'gemini' });
+    const second = registry.resolve({ provider: 'gemini', model: 'gemini-2.5-flash' });
+
+    expect(first.client.name).toBe('client:gemini');
+    expect(first.model).toBe('gemini-2.5-pro');
+    expect(second.client).toBe(first.client);
+    expect(second.model).toBe('gemini-2.5-flash');
+    expect(mockCreateClient).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves model aliases, bypassing the allow-list', () => {
+    expect(registry.resolve({ model: 'fast' })).toEqual({ client: defaultClient, provider: 'openai', model: 'gpt-4.1-mini', generation: {} });
+
+    const smart = registry.resolve({ model: 'smart' });
+    expect(smart.provider).toBe('anthropic');
+    expect(smart.model).toBe('claude-opus-4-20250514');
+  });
+
+  test('rejects aliases that belong to another provider', () => {
+    expect(() => registry.resolve({ provider: 'gemini', model: 'smart' })).toThrow("belongs to provider anthropic");
+  });
+
+  test('enforces the allow-list for explicit models', () => {
+    expect(registry.resolve({ model: 'gpt-4.1-nano' }).model).toBe('gpt-4.1-nano');
+
+    let error;
+    try {
+      registry.resolve({ model: 'o3-pro' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(403);
+    expect(error.code).toBe('model_not_allowed');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => registry.resolve({ provider: 'mistral' })).toThrow('Unknown provider: mistral');
+  });
+});
@@ -0,0 +1,222 @@
+const { LLMClient } = require('./llm-client');
+const logger = require('../utils/logger');
+const { pickSupported } = require('./generation-options');
+const { isQueueRejection } = require('./request-queue');
+const { LLMError } = require('./llm-errors');
+const { isAbortError, throwIfAborted, withTimeout, onIterationEnd } = require('./cancellation');
+
+/**
+ * Client that tries an ordered chain of providers. Each provider runs its own
+ * retry logic; once it gives up, the next one in the chain is tried.
+ *
+ * Providers whose circuit breaker is open are skipped without a call.
+ *
+ * Responses carry `_provider_metadata` with the provider that answered and the
+ * ones that failed before it.
+ */
+class FallbackLLMClient extends LLMClient {
+  /**
+   * @param {Array<{client: LLMClient, provider: string, model?: string}>} entries - Ordered provider chain
+   * @param {Object} [config] - Base LLMClient configuration
+   */
+  constructor(entries, config = {}) {
+    super({ ...config, entries });
+    this.entries = entries;
+  }
+
+  validateConfig() {
+    if (!Array.isArray(this.config.entries) || this.config.entries.length === 0) {
+      throw new Error("FallbackLLMClient requires at least one client.");
+    }
+  }
+
+  /**
+   * The requested model only applies to the first provider, the others use their own
+   */
+  _modelFor(entry, index, model) {
+    return index === 0 ? (model || entry.model) : entry.model;
+  }
+
+  /**
+   * Generation options are validated against the primary provider; the other
+   * providers get the subset they support
+   */
+  _optionsFor(entry, index, options) {
+    if (index === 0 || !options.generation) {
+      return options;
+    }
+    const generation = pickSupported(options.generation, entry.client.getSupportedGenerationOptions());
+    return { ...options, generation: entry.client.validateGeneration(generation) };
+  }
+
+  getSupportedGenerationOptions() {
+    return this.entries[0].client.getSupportedGenerationOptions();
+  }
+
+  validateGeneration(generation) {
+    return this.entries[0].client.validateGeneration(generation);
+  }
+
+  /**
+   * @param {string} [model] - Model actually called, the requested one for the primary provider
+   */
+  _buildMetadata(entry, index, model, failures) {
+    return {
+      provider: entry.provider,
+      model,
+      fallback_index: index,
+      failed_providers: failures
+    };
+  }
+
+  /**
+   * Error recorded for a provider skipped because its circuit breaker is open
+   */
+  _circuitOpenError(entry, model) {
+    if (entry.client.getCircuitState(model) !== 'open') {
+      return null;
+    }
+    return new LLMError(`Circuit breaker open for ${entry.provider}${model ? ` (${model})` : ''}`, {
+      status: 503,
+      code: 'circuit_open',
+      retryable: true,
+      provider: entry.provider
+    });
+  }
+
+  _recordFailure(failures, entry, model, error, operation) {
+    logger.warn(`${operation} failed on provider ${entry.provider}${model ? ` (${model})` : ''}: ${error.message}`);
+    failures.push({
+      provider: entry.provider,
+      model,
+      error: error.message,
+      status: error.status || error.code
+    });
+  }
+
+  async send(messages, tools, model, options = {}) {
+    const generation = this.validateGeneration(options.generation);
+    const { signal, clear } = withTimeout(options.signal, options.timeout);
+    try {
+      return await this._sendChain(messages, tools, model, { ...options, generation, signal });
+    } finally {
+      clear();
+    }
+  }
+
+  async stream(messages, tools, model, options = {}) {
+    const generation = this.validateGeneration(options.generation);
+    // The timeout also covers the reading of the stream
+    const { signal, clear } = withTimeout(options.signal, options.timeout);
+    try {
+      const stream = await this._streamChain(messages, tools, model, { ...options, generation, signal });
+      return options.timeout ? onIterationEnd(stream, clear) : stream;
+    } catch (error) {
+      clear();
+      throw error;
+    }
+  }
+
+  async _sendChain(messages, tools, model, options) {
+    const { signal } = options;
+    const failures = [];
+    let lastError;
+
+    for (const [index, entry] of this.entries.entries()) {
+      // A cancelled request doesn't move on to the next provider
+      throwIfAborted(signal);
+      const entryModel = this._modelFor(entry, index, model);
+      const circuitOpen = this._circuitOpenError(entry, entryModel);
+      if (circuitOpen) {
+        lastError = circuitOpen;
+        this._recordFailure(failures, entry, entryModel, circuitOpen, 'send');
+        continue;
+      }
+      try {
+        const entryOptions = this._optionsFor(entry, index, options);
+        const response = await entry.client._sendWithRetry(messages, tools, entryModel, entryOptions);
+        return {
+          ...response,
+          _provider_metadata: this._buildMetadata(entry, index, entryModel, failures)
+        };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        lastError = error;
+        this._recordFailure(failures, entry, entryModel, error, 'send');
+      }
+    }
+
+    logger.error(`All ${this.entries.length} providers failed for send: ${lastError.message}`);
+    return this._handleFinalFailure(lastError, messages, failures, options, false);
+  }
+
+  async _streamChain(messages, tools, model, options) {
+    const { signal } = options;
+    const failures = [];
+    let lastError;
+
+    for (const [index, entry] of this.entries.entries()) {
+      // A cancelled request doesn't move on to the next provider
+      throwIfAborted(signal);
+      const entryModel = this._modelFor(entry, index, model);
+      const circuitOpen = this._circuitOpenError(entry, entryModel);
+      if (circuitOpen) {
+        lastError = circuitOpen;
+        this._recordFailure(failures, entry, entryModel, circuitOpen, 'stream');
+        continue;
+      }
+      try {
+        const entryOptions = this._optionsFor(entry, index, options);
+        const stream = await entry.client._streamWithRetry(messages, tools, entryModel, entryOptions);
+        return this._withStreamMetadata(stream, this._buildMetadata(entry, index, entryModel, failures));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        lastError = error;
+        this._recordFailure(failures, entry, entryModel, error, 'stream');
+      }
+    }
+
+    logger.error(`All ${this.entries.length} providers failed for stream: ${lastError.message}`);
+    return this._handleFinalFailure(lastError, messages, failures, options, true);
+  }
+
+  /**
+   * Speech-to-text is only offered by the primary provider
+   */
+  async stt(audioFilePath, options = {}) {
+    return this.entries[0].client.stt(audioFilePath, options);
+  }
+
+  /**
+   * Uses the last provider of the chain to produce the final error, honoring
+   * its enableRetry setting and fallback mode like a single client would
+   */
+  _handleFinalFailure(error, messages, failures, options, streaming) {
+    const last = this.entries[this.entries.length - 1].client;
+    error.failed_providers = failures;
+    if (!last.retryConfig.enableRetry || isQueueRejection(error)) {
+      throw error;
+    }
+    return last._fallbackResponse(error, messages, options.locale, streaming);
+  }
+
+  _withStreamMetadata(stream, metadata) {
+    return {
+      [Symbol.asyncIterator]: async function* () {
+        for await (const chunk of stream) {
+          if (chunk && chunk.type === 'finish') {
+            yield { ...chunk, _provider_metadata: metadata };
+          } else {
+            yield chunk;
+          }
+        }
+      }
+    };
+  }
+
+  serializeResponse(response) {
+    return response;
+  }
+}
+
+module.exports = { FallbackLLMClient };
@@ -0,0 +1,194 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { LLMClient } = require('./llm-client');
+const { FallbackLLMClient } = require('./fallback-client');
+const { CircuitBreakerRegistry } = require('./circuit-breaker');
+
+// Cliente de teste que falha sempre ou responde com o nome do provider
+class StubClient extends LLMClient {
+  constructor(config) {
+    super({ maxRetries: 1, initialRetryDelay: 1, maxRetryDelay: 2, ...config });
+    this.calls = [];
+  }
+
+  validateConfig() {}
+
+  _fail() {
+    const error = new Error(`${this.config.name} is overloaded`);
+    error.status = this.config.status || 429;
+    throw error;
+  }
+
+  async _sendImplementation(messages, tools, model) {
+    this.calls.push(model);
+    if (this.config.fail) this._fail();
+    return { role: 'assistant', content: `answer from ${this.config.name}` };
+  }
+
+  async _streamImplementation(messages, tools, model) {
+    this.calls.push(model);
+    if (this.config.fail) this._fail();
+    const name = this.config.name;
+    return {
+      [Symbol.asyncIterator]: async function* () {
+        yield { type: 'content_delta', delta: name };
+        yield { type: 'finish', finish_reason: 'stop', final_content: name, final_tool_calls: null };
+      }
+    };
+  }
+
+  serializeResponse(response) {
+    return response;
+  }
+}
+
+function chain(...clients) {
+  return new FallbackLLMClient(clients.map((client) => ({
+    client,
+    provider: client.config.name,
+    model: client.config.model
+  })));
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('FallbackLLMClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('requires at least one client', () => {
+    expect(() => new FallbackLLMClient([])).toThrow('FallbackLLMClient requires at least one client.');
+  });
+
+  test('answers with the primary provider when it works', async () => {
+    const openai = new StubClient({ name: 'openai', model: 'gpt-4.1' });
+    const gemini = new StubClient({ name: 'gemini', model: 'gemini-2.5-pro' });
+
+    const result = await chain(openai, gemini).send([{ role: 'user', content: 'hi' }], [], 'gpt-4.1-mini');
+
+    expect(result.content).toBe('answer from openai');
+    expect(result._provider_metadata).toEqual({
+      provider: 'openai',
+      model: 'gpt-4.1-mini',
+      fallback_index: 0,
+      failed_providers: []
+    });
+    expect(openai.calls).toEqual(['gpt-4.1-mini']);
+    expect(gemini.calls).toEqual([]);
+  });
+
+  test('falls back after retries are exhausted', async () => {
+    const openai = new StubClient({ name: 'openai', model: 'gpt-4.1', fail: true });
+    const gemini = new StubClient({ name: 'gemini', model: 'gemini-2.5-pro', fail: true, status: 503 });
+    const local = new StubClient({ name: 'local', model: 'llama3.1' });
+
+    const result = await chain(openai, gemini, local).send([{ role: 'user', content: 'hi' }], [], 'gpt-4.1');
+
+    expect(result.content).toBe('answer from local');
+    expect(openai.calls).toHaveLength(2); // 1 + 1 retry
+    expect(gemini.calls).toEqual(['gemini-2.5-pro', 'gemini-2.5-pro']);
+    expect(local.calls).toEqual(['llama3.1']);
+    expect(result._provider_metadata.provider).toBe('local');
+    expect(result._provider_metadata.fallback_index).toBe(2);
+    expect(result._provider_metadata.failed_providers.map(f => [f.provider, f.status])).toEqual([
+      ['openai', 429],
+      ['gemini', 503]
+    ]);
+  });
+
+  test('records the per-request model of the failed primary provider', async () => {
+    const openai = new StubClient({ name: 'openai', model: 'gpt-4.1', fail: true });
+    const gemini = new StubClient({ name: 'gemini', model: 'gemini-2.5-pro' });
+
+    const result = await chain(openai, gemini).send([{ role: 'user', content: 'hi' }], [], 'gpt-4.1-mini');
+
+    expect(result._provider_metadata.model).toBe('gemini-2.5-pro');
+    expect(result._provider_metadata.failed_providers[0]).toMatchObject({ provider: 'openai', model: 'gpt-4.1-mini' });
+  });
+
+  test('returns the error response of the last provider when all fail', async () => {
+    const openai = new StubClient({ name: 'openai', fail: true });
+    const gemini = new StubClient({ name: 'gemini', fail: true });
+
+    const result = await chain(openai, gemini).send([{ role: 'user', content: 'hi' }], []);
+
+    expect(result.content).toContain('temporariamente sobrecarregado');
+    expect(result._error_metadata.provider).toBe('Stub');
+  });
+
+  test('throws when the last provider has retry disabled', async () => {
+    const openai = new StubClient({ name: 'openai', fail: true });
+    const gemini = new StubClient({ name: 'gemini', fail: true, enableRetry: false });
+
+    await expect(chain(openai, gemini).send([], [])).rejects.toThrow('gemini is overloaded');
+  });
+
+  test('throws a ProviderError with the failed providers in throw mode', async () => {
+    const openai = new StubClient({ name: 'openai', fail: true });
+    const gemini = new StubClient({ name: 'gemini', fail: true, fallbackMode: 'throw' });
+
+    const error = await chain(openai, gemini).send([{ role: 'user', content: 'hi' }], [], undefined, { locale: 'en' }).catch(e => e);
+
+    expect(error.name).toBe('ProviderError');
+    expect(error.localizedMessage).toContain('temporarily overloaded');
+    expect(error.failed_providers.map(failure => failure.provider)).toEqual(['openai', 'gemini']);
+  });
+
+  test('does not try the next provider once the request is cancelled', async () => {
+    const openai = new StubClient({ name: 'openai', fail: true, initialRetryDelay: 60000, maxRetryDelay: 60000 });
+    const gemini = new StubClient({ name: 'gemini' });
+    const controller = new AbortController();
+
+    const sending = chain(openai, gemini).send([], [], undefined, { signal: controller.signal });
+    setTimeout(() => controller.abort(Object.assign(new Error('Client closed the request'), { code: 'client_closed_request' })), 10);
+
+    await expect(sending).rejects.toThrow('Client closed the request');
+    expect(gemini.calls).toHaveLength(0);
+  });
+
+  test('falls back during stream initialization', async () => {
+    const openai = new StubClient({ name: 'openai', fail: true });
+    const gemini = new StubClient({ name: 'gemini', model: 'gemini-2.5-pro' });
+
+    const chunks = await collect(await chain(openai, gemini).stream([{ role: 'user', content: 'hi' }], []));
+    const finish = chunks[chunks.length - 1];
+
+    expect(chunks[0]).toEqual({ type: 'content_delta', delta: 'gemini' });
+    expect(finish.final_content).toBe('gemini');
+    expect(finish._provider_metadata.provider).toBe('gemini');
+    expect(finish._provider_metadata.failed_providers[0].provider).toBe('openai');
+  });
+
+  test('skips providers whose circuit breaker is open', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 2, openDurationMs: 60000 });
+    const openai = new StubClient({ name: 'openai', llmName: 'openai', model: 'gpt-4.1', fail: true, circuitBreakers });
+    const gemini = new StubClient({ name: 'gemini', llmName: 'gemini', model: 'gemini-2.5-pro', circuitBreakers });
+    const client = chain(openai, gemini);
+
+    // Two failed attempts open the breaker of openai:gpt-4.1
+    expect((await client.send([], [])).content).toBe('answer from gemini');
+    expect(openai.getCircuitState('gpt-4.1')).toBe('open');
+
+    const result = await client.send([], []);
+    expect(result.content).toBe('answer from gemini');
+    expect(openai.calls).toHaveLength(2);
+    expect(result._provider_metadata.failed_providers[0]).toMatchObject({ provider: 'openai', status: 503 });
+    expect(circuitBreakers.getStates()['openai:gpt-4.1']).toMatchObject({ state: 'open', last_error: 'openai is overloaded' });
+  });
+});
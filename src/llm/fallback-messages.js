@@ -0,0 +1,116 @@
+/**
+ * Localized texts of the fallback responses (the apology returned when a
+ * provider call fails for good)
+ *
+ * Template keys:
+ * - overloaded: retryable failures (rate limits, 5xx, timeouts)
+ * - error: any other failure
+ * - long_message: appended when the user's last message is long
+ * - stt_error: transcription failures
+ *
+ * Templates are strings with {provider}, {status} and {locale} placeholders,
+ * or functions receiving { provider, status, retryable, locale }.
+ */
+
+const DEFAULT_LOCALE = 'pt';
+
+const BUILT_IN_TEMPLATES = {
+  en: {
+    overloaded: "Sorry, I'm temporarily overloaded due to a high volume of requests. Please try again in a few moments. Thank you for your patience!",
+    error: "Sorry, I ran into a technical problem and couldn't process your request right now. Please try again in a few moments. If the problem persists, please contact support.",
+    long_message: "Note: I noticed your message is quite detailed. Once I'm back up, I'll be happy to help with your full request.",
+    stt_error: "Sorry, the audio couldn't be processed right now. Please try again in a few moments."
+  },
+  pt: {
+    overloaded: 'Desculpe, estou temporariamente sobrecarregado devido ao alto volume de requisições. Por favor, tente novamente em alguns instantes. Agradeço sua paciência! 🙏',
+    error: 'Desculpe, encontrei um problema técnico e não consegui processar sua solicitação no momento. Por favor, tente novamente em alguns instantes. Se o problema persistir, entre em contato com o suporte. 🔧',
+    long_message: 'Obs: Percebi que sua mensagem é bastante detalhada. Quando eu voltar a funcionar, ficarei feliz em ajudar com sua solicitação completa.',
+    stt_error: 'Desculpe, não foi possível processar o áudio no momento. Tente novamente em alguns instantes.'
+  },
+  es: {
+    overloaded: 'Lo siento, estoy temporalmente sobrecargado por el alto volumen de solicitudes. Por favor, inténtalo de nuevo en unos instantes. ¡Gracias por tu paciencia!',
+    error: 'Lo siento, encontré un problema técnico y no pude procesar tu solicitud en este momento. Por favor, inténtalo de nuevo en unos instantes. Si el problema persiste, contacta con soporte.',
+    long_message: 'Nota: veo que tu mensaje es bastante detallado. Cuando vuelva a funcionar, con gusto te ayudaré con tu solicitud completa.',
+    stt_error: 'Lo siento, no fue posible procesar el audio en este momento. Inténtalo de nuevo en unos instantes.'
+  }
+};
+
+/**
+ * Language tags of an Accept-Language header, by decreasing quality
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string' || !header.trim()) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = quality ? Number(quality.slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+class FallbackMessages {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, Object>} [options.templates] - Templates per locale, merged over the built-in en/pt/es ones
+   * @param {string} [options.defaultLocale='pt'] - Locale used when the request doesn't match any
+   */
+  constructor({ templates = {}, defaultLocale = DEFAULT_LOCALE } = {}) {
+    this.templates = {};
+    for (const source of [BUILT_IN_TEMPLATES, templates]) {
+      for (const [locale, entries] of Object.entries(source)) {
+        const key = locale.toLowerCase();
+        this.templates[key] = { ...this.templates[key], ...entries };
+      }
+    }
+    this.defaultLocale = defaultLocale.toLowerCase();
+    if (!this.templates[this.defaultLocale]) {
+      throw new Error(`No fallback message templates for the default locale ${defaultLocale}`);
+    }
+  }
+
+  get locales() {
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * First supported locale among the candidates ('pt-BR' matches 'pt-br', then 'pt').
+   * Each candidate may be a tag or a whole Accept-Language header.
+   */
+  resolveLocale(...candidates) {
+    const tags = candidates.flatMap(candidate => parseAcceptLanguage(candidate));
+    for (const tag of tags) {
+      const lower = tag.toLowerCase();
+      if (this.templates[lower]) return lower;
+      const primary = lower.split('-')[0];
+      if (this.templates[primary]) return primary;
+    }
+    return this.defaultLocale;
+  }
+
+  /**
+   * Locale of a request: the body field (ex: "locale": "es"), then Accept-Language
+   */
+  localeFor(req, field = 'locale') {
+    const requested = req.body && typeof req.body[field] === 'string' ? req.body[field] : undefined;
+    return this.resolveLocale(requested, req.headers && req.headers['accept-language']);
+  }
+
+  /**
+   * Text of a template in the locale, falling back to the default locale for missing keys
+   */
+  render(key, locale, context = {}) {
+    const resolved = locale ? this.resolveLocale(locale) : this.defaultLocale;
+    const template = this.templates[resolved][key] ?? this.templates[this.defaultLocale][key] ?? BUILT_IN_TEMPLATES.en[key];
+    const values = { ...context, locale: resolved };
+    if (typeof template === 'function') {
+      return template(values);
+    }
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+  }
+}
+
+module.exports = { FallbackMessages, parseAcceptLanguage, BUILT_IN_TEMPLATES, DEFAULT_LOCALE };
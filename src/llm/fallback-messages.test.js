@@ -0,0 +1,50 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { FallbackMessages, parseAcceptLanguage } = require('./fallback-messages');
+
+describe('fallback messages', () => {
+  test('parses Accept-Language by quality', () => {
+    expect(parseAcceptLanguage('fr-CH, fr;q=0.9, en;q=0.8, de;q=0.7, *;q=0.5')).toEqual(['fr-CH', 'fr', 'en', 'de']);
+    expect(parseAcceptLanguage('es;q=0.5,pt-BR')).toEqual(['pt-BR', 'es']);
+    expect(parseAcceptLanguage(undefined)).toEqual([]);
+  });
+
+  test('resolves the first supported locale, pt by default', () => {
+    const messages = new FallbackMessages();
+
+    expect(messages.locales).toEqual(['en', 'pt', 'es']);
+    expect(messages.resolveLocale('pt-BR')).toBe('pt');
+    expect(messages.resolveLocale(undefined, 'de-DE, es-MX;q=0.9, en;q=0.8')).toBe('es');
+    expect(messages.resolveLocale('fr')).toBe('pt');
+    expect(new FallbackMessages({ defaultLocale: 'en' }).resolveLocale()).toBe('en');
+  });
+
+  test('the body field wins over Accept-Language', () => {
+    const messages = new FallbackMessages();
+    const req = { body: { lang: 'es' }, headers: { 'accept-language': 'en-US' } };
+
+    expect(messages.localeFor(req, 'lang')).toBe('es');
+    expect(messages.localeFor(req)).toBe('en');
+  });
+
+  test('renders built-in and custom templates', () => {
+    const messages = new FallbackMessages({
+      templates: {
+        en: { error: 'The {provider} assistant is down ({status}).' },
+        'pt-BR': { overloaded: ({ provider }) => `${provider} ocupado` }
+      }
+    });
+
+    expect(messages.render('overloaded', 'en')).toContain('temporarily overloaded');
+    expect(messages.render('overloaded', 'es-AR')).toContain('temporalmente sobrecargado');
+    expect(messages.render('error', 'en', { provider: 'OpenAI', status: 500 })).toBe('The OpenAI assistant is down (500).');
+    expect(messages.render('overloaded', 'pt-BR', { provider: 'Anthropic' })).toBe('Anthropic ocupado');
+    // Keys missing in a custom locale come from the default locale
+    expect(messages.render('stt_error', 'pt-BR')).toContain('processar o áudio');
+  });
+
+  test('rejects a default locale without templates', () => {
+    expect(() => new FallbackMessages({ defaultLocale: 'fr' })).toThrow('No fallback message templates for the default locale fr');
+  });
+});
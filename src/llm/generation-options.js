@@ -0,0 +1,162 @@
+const { LLMError } = require('./llm-errors');
+
+/**
+ * Normalized generation options accepted by the clients (`options.generation`).
+ * Names follow the OpenAI Chat Completions API; each client translates them to
+ * its provider's parameters.
+ */
+const GENERATION_OPTIONS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1 },
+  max_tokens: { type: 'integer', min: 1 },
+  stop: { type: 'stop' },
+  seed: { type: 'integer' },
+  presence_penalty: { type: 'number', min: -2, max: 2 },
+  frequency_penalty: { type: 'number', min: -2, max: 2 },
+  tool_choice: { type: 'tool_choice' },
+};
+
+const MAX_STOP_SEQUENCES = 4;
+const TOOL_CHOICE_MODES = ['auto', 'none', 'required'];
+
+function invalid(message) {
+  return new LLMError(message, { status: 400, code: 'invalid_generation_option', retryable: false });
+}
+
+function validateValue(name, value) {
+  const spec = GENERATION_OPTIONS[name];
+
+  if (spec.type === 'number' || spec.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+      throw invalid(`generation.${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      const range = spec.max === undefined ? `>= ${spec.min}` : `between ${spec.min} and ${spec.max}`;
+      throw invalid(`generation.${name} must be ${range}`);
+    }
+    return value;
+  }
+
+  if (spec.type === 'stop') {
+    const sequences = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(sequences) || sequences.length === 0 || !sequences.every(s => typeof s === 'string' && s.length > 0)) {
+      throw invalid('generation.stop must be a string or an array of strings');
+    }
+    if (sequences.length > MAX_STOP_SEQUENCES) {
+      throw invalid(`generation.stop accepts at most ${MAX_STOP_SEQUENCES} sequences`);
+    }
+    return sequences;
+  }
+
+  // tool_choice: 'auto' | 'none' | 'required' | { type: 'function', function: { name } }
+  if (typeof value === 'string' && TOOL_CHOICE_MODES.includes(value)) {
+    return value;
+  }
+  if (value && typeof value === 'object' && typeof value.function?.name === 'string' && value.function.name) {
+    return { type: 'function', function: { name: value.function.name } };
+  }
+  throw invalid(`generation.tool_choice must be one of ${TOOL_CHOICE_MODES.join(', ')} or { type: 'function', function: { name } }`);
+}
+
+/**
+ * Validates a generation object and returns its normalized copy
+ * (stop is always an array, unset options are left out).
+ *
+ * @param {Object} [generation]
+ * @param {Array<string>} [supported] - Options the target client supports, all when omitted
+ * @returns {Object}
+ * @throws {LLMError} 400 when an option is unknown, unsupported or invalid
+ */
+function validateGeneration(generation, supported) {
+  if (generation === undefined || generation === null) {
+    return {};
+  }
+  if (typeof generation !== 'object' || Array.isArray(generation)) {
+    throw invalid('generation must be an object');
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(generation)) {
+    if (value === undefined || value === null) continue;
+    if (!Object.prototype.hasOwnProperty.call(GENERATION_OPTIONS, name)) {
+      throw new LLMError(`Unknown generation option: ${name}`, {
+        status: 400, code: 'unsupported_generation_option', retryable: false
+      });
+    }
+    if (supported && !supported.includes(name)) {
+      throw new LLMError(`Generation option ${name} is not supported by this provider`, {
+        status: 400, code: 'unsupported_generation_option', retryable: false
+      });
+    }
+    normalized[name] = validateValue(name, value);
+  }
+  return normalized;
+}
+
+/**
+ * Limits configured for a model: 'provider:model', 'model', 'provider:*' then '*'
+ */
+function findLimits(limits, provider, model) {
+  if (!limits) return null;
+  const keys = [`${provider}:${model}`, model, `${provider}:*`, '*'];
+  const key = keys.find(candidate => candidate && Object.prototype.hasOwnProperty.call(limits, candidate));
+  return key ? limits[key] : null;
+}
+
+/**
+ * Merges the server defaults under the requested options and applies the
+ * per-model limits. Numeric limits are maximums: requested values above them
+ * are rejected, default values are lowered to them.
+ *
+ * @param {Object} [requested] - Generation options sent with the request
+ * @param {Object} policy
+ * @param {Object} [policy.defaults] - Server-side default options
+ * @param {Object<string, Object>} [policy.limits] - Maximums keyed by 'provider:model', 'model', 'provider:*' or '*'
+ * @param {string} [policy.provider]
+ * @param {string} [policy.model]
+ * @param {Array<string>} [policy.supported] - Options supported by the selected client
+ * @returns {Object} Normalized generation options
+ * @throws {LLMError} 400 for invalid or unsupported options and values above the limits
+ */
+function resolveGeneration(requested, { defaults, limits, provider, model, supported } = {}) {
+  const fromRequest = validateGeneration(requested, supported);
+  // Defaults the provider can't handle are simply not sent
+  const fromDefaults = validateGeneration(defaults);
+  const generation = {};
+  for (const [name, value] of Object.entries(fromDefaults)) {
+    if (!supported || supported.includes(name)) {
+      generation[name] = value;
+    }
+  }
+
+  const modelLimits = findLimits(limits, provider, model) || {};
+  for (const [name, maximum] of Object.entries(modelLimits)) {
+    if (typeof maximum !== 'number') continue;
+    if (fromRequest[name] !== undefined && fromRequest[name] > maximum) {
+      throw new LLMError(`generation.${name} exceeds the limit of ${maximum} for model ${model}`, {
+        status: 400, code: 'generation_limit_exceeded', retryable: false
+      });
+    }
+    if (generation[name] !== undefined && generation[name] > maximum) {
+      generation[name] = maximum;
+    }
+  }
+
+  return { ...generation, ...fromRequest };
+}
+
+/**
+ * Drops the options a client doesn't support (used for fallback providers)
+ */
+function pickSupported(generation, supported) {
+  const picked = {};
+  for (const [name, value] of Object.entries(generation || {})) {
+    if (supported.includes(name)) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+module.exports = { GENERATION_OPTIONS, validateGeneration, resolveGeneration, pickSupported };
@@ -0,0 +1,80 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { validateGeneration, resolveGeneration, pickSupported } = require('./generation-options');
+const { LLMError } = require('./llm-errors');
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('generation options', () => {
+  test('normalizes valid options', () => {
+    expect(validateGeneration(undefined)).toEqual({});
+    expect(validateGeneration({
+      temperature: 0.2,
+      max_tokens: 256,
+      stop: 'END',
+      seed: 42,
+      top_p: null,
+      tool_choice: { type: 'function', function: { name: 'weather', extra: true } }
+    })).toEqual({
+      temperature: 0.2,
+      max_tokens: 256,
+      stop: ['END'],
+      seed: 42,
+      tool_choice: { type: 'function', function: { name: 'weather' } }
+    });
+  });
+
+  test.each([
+    [{ temperature: 3 }, 'generation.temperature must be between 0 and 2'],
+    [{ max_tokens: 1.5 }, 'generation.max_tokens must be an integer'],
+    [{ top_p: '0.9' }, 'generation.top_p must be a number'],
+    [{ stop: ['a', 'b', 'c', 'd', 'e'] }, 'at most 4 sequences'],
+    [{ tool_choice: 'always' }, 'generation.tool_choice must be one of auto, none, required'],
+    ['hot', 'generation must be an object']
+  ])('rejects invalid values %j', (generation, message) => {
+    const error = errorOf(() => validateGeneration(generation));
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('invalid_generation_option');
+    expect(error.message).toContain(message);
+  });
+
+  test('rejects unknown options and options the provider does not support', () => {
+    const unknown = errorOf(() => validateGeneration({ logprobs: true }));
+    expect(unknown.message).toBe('Unknown generation option: logprobs');
+    expect(unknown.code).toBe('unsupported_generation_option');
+
+    const unsupported = errorOf(() => validateGeneration({ seed: 1 }, ['temperature']));
+    expect(unsupported.status).toBe(400);
+    expect(unsupported.message).toBe('Generation option seed is not supported by this provider');
+  });
+
+  test('merges defaults under the request and applies per-model limits', () => {
+    const policy = {
+      defaults: { temperature: 0.7, max_tokens: 8192, seed: 1 },
+      limits: { 'openai:gpt-4.1-mini': { max_tokens: 4096 }, '*': { max_tokens: 16384 } },
+      provider: 'openai',
+      supported: ['temperature', 'max_tokens']
+    };
+
+    // Unsupported defaults are dropped, defaults above the limit are lowered
+    expect(resolveGeneration({ temperature: 0 }, { ...policy, model: 'gpt-4.1-mini' })).toEqual({ temperature: 0, max_tokens: 4096 });
+    expect(resolveGeneration({}, { ...policy, model: 'gpt-4.1' })).toEqual({ temperature: 0.7, max_tokens: 8192 });
+
+    const error = errorOf(() => resolveGeneration({ max_tokens: 5000 }, { ...policy, model: 'gpt-4.1-mini' }));
+    expect(error.code).toBe('generation_limit_exceeded');
+    expect(error.message).toBe('generation.max_tokens exceeds the limit of 4096 for model gpt-4.1-mini');
+  });
+
+  test('pickSupported keeps only the supported options', () => {
+    expect(pickSupported({ seed: 1, temperature: 0.5 }, ['temperature'])).toEqual({ temperature: 0.5 });
+  });
+});
@@ -1,4 +1,14 @@
 const logger = require('../utils/logger');
+const { validateGeneration } = require('./generation-options');
+const { isQueueRejection } = require('./request-queue');
+const { retryAfterFromHeaders } = require('./retry-hints');
+const { FallbackMessages } = require('./fallback-messages');
+const { ProviderError } = require('./llm-errors');
+const { isAbortError, abortReason, throwIfAborted, withTimeout, onIterationEnd, sleep } = require('./cancellation');
+const { StreamEventBuilder } = require('./stream-events');
+
+// What send/stream/stt do once retries are exhausted: answer with an apology, or throw a ProviderError
+const FALLBACK_MODES = ['message', 'throw'];
 
 class LLMClient {
   constructor(config) {
@@ -12,7 +22,23 @@ class LLMClient {
       maxRetryDelay: config.maxRetryDelay || 30000, // compatibilidade com testes
       backoffMultiplier: config.backoffMultiplier || 2,
       enableRetry: config.enableRetry !== false, // Por padrão habilitado
+      // Tempo total (ms) que um pedido pode gastar em tentativas, além do limite de maxRetries
+      maxRetryTime: config.maxRetryTime || null,
     };
+
+    // Resposta final quando as tentativas se esgotam: mensagem de desculpas localizada ou ProviderError
+    this.fallbackMode = config.fallbackMode || 'message';
+    if (!FALLBACK_MODES.includes(this.fallbackMode)) {
+      throw new Error(`Invalid fallbackMode ${this.fallbackMode}, expected one of ${FALLBACK_MODES.join(', ')}`);
+    }
+    this.fallbackMessages = config.fallbackMessages instanceof FallbackMessages
+      ? config.fallbackMessages
+      : new FallbackMessages(config.fallbackMessages);
+
+    // Fila compartilhada (RequestQueue) que limita as chamadas simultâneas por provider/model
+    this.requestQueue = config.requestQueue || null;
+    // Circuit breakers compartilhados (CircuitBreakerRegistry), um por provider/model
+    this.circuitBreakers = config.circuitBreakers || null;
     
     this.validateConfig();
   }
@@ -22,16 +48,41 @@ class LLMClient {
   }
 
   /**
-   * Sleep for a given number of milliseconds
+   * Sleep for a given number of milliseconds, cut short when the signal aborts
+   */
+  _sleep(ms, signal) {
+    return sleep(ms, signal);
+  }
+
+  /**
+   * Per-call options of the provider SDKs that accept an AbortSignal (OpenAI, Anthropic),
+   * spread after the request: create(request, ...this._sdkOptions(options))
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sdkOptions(options = {}) {
+    return options.signal ? [{ signal: options.signal }] : [];
   }
 
   /**
-   * Calculate delay with exponential backoff and jitter
+   * Delay (ms) the provider asked for before retrying, null when it gave no hint.
+   * Reads retry-after-ms/retry-after; implementações podem sobrescrever para
+   * ler as dicas específicas do provider.
    */
-  _calculateDelay(attempt) {
+  _getRetryAfterMs(error) {
+    const fromHeaders = retryAfterFromHeaders(error.headers || error.cause?.headers);
+    if (fromHeaders !== null) return fromHeaders;
+    return typeof error.retryAfter === 'number' ? error.retryAfter * 1000 : null;
+  }
+
+  /**
+   * Calculate delay with exponential backoff and jitter. The provider's hint,
+   * when the error carries one, is used instead (capped by maxDelay).
+   */
+  _calculateDelay(attempt, error) {
+    const hint = error ? this._getRetryAfterMs(error) : null;
+    if (hint !== null && hint !== undefined) {
+      return Math.min(Math.ceil(hint), this.retryConfig.maxDelay);
+    }
+
     const delay = Math.min(
       this.retryConfig.initialDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt),
       this.retryConfig.maxDelay
@@ -48,6 +99,11 @@ class LLMClient {
    * Implementações podem sobrescrever para adicionar lógica específica
    */
   _isRetryableError(error) {
+    // Errors that were already classified (ex: LLMError) win over the heuristics
+    if (typeof error.retryable === 'boolean') {
+      return error.retryable;
+    }
+
     // Check for HTTP status codes
     if (error.status || error.code) {
       const statusCode = error.status || error.code;
@@ -66,89 +122,235 @@ class LLMClient {
   }
 
   /**
-   * Execute operation with retry logic
+   * Execute operation with retry logic. An aborted signal stops the attempts
+   * and the backoff sleep, and the call fails with the abort reason.
    */
-  async _executeWithRetry(operation, operationName = 'operation') {
+  async _executeWithRetry(operation, operationName = 'operation', signal) {
     // Se retry está desabilitado, executa diretamente
     if (!this.retryConfig.enableRetry) {
-      return await operation();
+      throwIfAborted(signal);
+      try {
+        return await operation();
+      } catch (error) {
+        throw signal && signal.aborted ? abortReason(signal) : error;
+      }
     }
 
     let lastError;
+    const startedAt = Date.now();
     
     for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
+      throwIfAborted(signal);
       try {
         return await operation();
       } catch (error) {
+        // Each SDK reports the abort its own way, the reason says why it happened
+        if (signal && signal.aborted) {
+          throw abortReason(signal);
+        }
         lastError = error;
         
-        // Don't retry on last attempt or non-retryable errors
-        if (attempt === this.retryConfig.maxRetries || !this._isRetryableError(error)) {
+        // Don't retry on last attempt, non-retryable errors or an open circuit breaker
+        if (attempt === this.retryConfig.maxRetries || !this._isRetryableError(error) || error.code === 'circuit_open') {
+          break;
+        }
+
+        const delay = this._calculateDelay(attempt, error);
+
+        // The retry time budget covers the whole call, waits included
+        const { maxRetryTime } = this.retryConfig;
+        if (maxRetryTime && Date.now() - startedAt + delay > maxRetryTime) {
+          logger.warn(`${operationName} failed (attempt ${attempt + 1}): ${error.message}. Retry budget of ${maxRetryTime}ms exhausted, giving up`);
           break;
         }
 
-        const delay = this._calculateDelay(attempt);
         logger.warn(`${operationName} failed (attempt ${attempt + 1}/${this.retryConfig.maxRetries + 1}): ${error.message}. Retrying in ${delay}ms...`);
         
-        await this._sleep(delay);
+        await this._sleep(delay, signal);
       }
     }
     
     throw lastError;
   }
 
+  /**
+   * Generation options (see generation-options.js) this client can translate
+   * to its provider. Implementações devem sobrescrever.
+   */
+  getSupportedGenerationOptions() {
+    return [];
+  }
+
+  /**
+   * Rejeita opções de geração inválidas ou não suportadas com um LLMError 400
+   */
+  validateGeneration(generation) {
+    return validateGeneration(generation, this.getSupportedGenerationOptions());
+  }
+
+  /**
+   * Key of the request queue lane and of the circuit breaker: 'provider:model'
+   */
+  _providerKey(model) {
+    return `${this._providerName()}:${model || this.config.llmModel || 'default'}`;
+  }
+
+  /**
+   * Provider name of the queue/breaker keys and of the stream start event
+   */
+  _providerName() {
+    return (this.config.llmName || this.constructor.name.replace('Client', '')).toLowerCase();
+  }
+
+  /**
+   * Builder of the normalized stream events (see stream-events.js) of one model call
+   */
+  _streamEvents(model) {
+    return new StreamEventBuilder(this._providerName(), model || this.config.llmModel);
+  }
+
+  /**
+   * Circuit breaker state of a model: closed, open or half_open
+   */
+  getCircuitState(model) {
+    return this.circuitBreakers ? this.circuitBreakers.stateOf(this._providerKey(model)) : 'closed';
+  }
+
+  /**
+   * One provider call (one retry attempt) through the circuit breaker and the request queue.
+   * Only retryable errors count as breaker failures: a 400 still means the provider is up.
+   */
+  async _callProvider(model, options, call, streaming = false) {
+    const key = this._providerKey(model);
+    const record = this.circuitBreakers ? this.circuitBreakers.get(key).acquire() : () => {};
+    let release = null;
+    try {
+      release = this.requestQueue ? await this.requestQueue.acquire(key, { priority: options.priority, signal: options.signal }) : null;
+      const result = await call();
+      record('success');
+      if (streaming && release) {
+        // The slot is held until the stream is consumed (or abandoned)
+        const stream = releaseAfter(result, release);
+        release = null;
+        return stream;
+      }
+      return result;
+    } catch (error) {
+      // Neither a shed request nor a cancelled one says anything about the provider
+      if (isQueueRejection(error) || isAbortError(error) || (options.signal && options.signal.aborted)) {
+        record('ignored');
+      } else {
+        record(this._isRetryableError(error) ? 'failure' : 'success', error);
+      }
+      throw error;
+    } finally {
+      if (release) release();
+    }
+  }
+
+  /**
+   * Executa o send com retry e lança o erro final (usado pelo fallback entre providers)
+   */
+  async _sendWithRetry(messages, tools, model, options = {}) {
+    // Sempre serializa a resposta de sucesso
+    const result = await this._executeWithRetry(async () => {
+      // Each attempt takes its own queue slot, so the backoff doesn't hold one
+      return await this._callProvider(model, options, () => this._sendImplementation(messages, tools, model, options));
+    }, `${this.constructor.name} send`, options.signal);
+    return this.serializeResponse(result);
+  }
+
+  /**
+   * Inicializa o stream com retry e lança o erro final (usado pelo fallback entre providers)
+   */
+  async _streamWithRetry(messages, tools, model, options = {}) {
+    return await this._executeWithRetry(async () => {
+      return await this._callProvider(model, options, () => this._streamImplementation(messages, tools, model, options), true);
+    }, `${this.constructor.name} stream`, options.signal);
+  }
+
   /**
    * Wrapper para send com retry automático
+   *
+   * @param {Array} messages
+   * @param {Array} tools
+   * @param {string} [model]
+   * @param {Object} [options]
+   * @param {Object} [options.generation] - temperature, top_p, max_tokens, stop, seed, tool_choice...
+   * @param {string} [options.priority='interactive'] - Request queue priority: interactive or batch
+   * @param {string} [options.locale] - Locale of the fallback message (ex: 'en', 'pt-BR')
+   * @param {AbortSignal} [options.signal] - Aborts the provider call, the retries and their backoff
+   * @param {number} [options.timeout] - Time (ms) after which the call is aborted with a 504 request_timeout
    */
-  async send(messages, tools, model) {
+  async send(messages, tools, model, options = {}) {
+    // Invalid options are the caller's mistake, not a provider failure: no retry, no fallback message
+    const generation = this.validateGeneration(options.generation);
+    const { signal, clear } = withTimeout(options.signal, options.timeout);
     try {
-      // Sempre serializa a resposta de sucesso
-      const result = await this._executeWithRetry(async () => {
-        return await this._sendImplementation(messages, tools, model);
-      }, `${this.constructor.name} send`);
-      return this.serializeResponse(result);
+      return await this._sendWithRetry(messages, tools, model, { ...options, generation, signal });
     } catch (error) {
       // Log do erro final
       logger.error(`${this.constructor.name} send failed after retries: ${error.message}`);
+      // Requests shed by the queue or cancelled are reported as errors, not as an apology
+      if (isQueueRejection(error) || isAbortError(error)) {
+        throw error;
+      }
       // Se retry está desabilitado, lança o erro (para o teste esperar exception)
       if (!this.retryConfig.enableRetry) {
         throw error;
       }
-      // Retorna uma resposta simulada da LLM em vez de erro
-      return this._createErrorResponse(error, messages);
+      // Retorna uma resposta simulada da LLM (ou o ProviderError) em vez do erro
+      return this._fallbackResponse(error, messages, options.locale, false);
+    } finally {
+      clear();
     }
   }
 
   /**
    * Wrapper para stream com retry automático (apenas para inicialização)
    */
-  async stream(messages, tools, model) {
+  async stream(messages, tools, model, options = {}) {
+    const generation = this.validateGeneration(options.generation);
+    // The signal (and the timeout) also covers the reading of the stream
+    const { signal, clear } = withTimeout(options.signal, options.timeout);
     try {
-      return await this._executeWithRetry(async () => {
-        return await this._streamImplementation(messages, tools, model);
-      }, `${this.constructor.name} stream`);
+      const stream = await this._streamWithRetry(messages, tools, model, { ...options, generation, signal });
+      return options.timeout ? onIterationEnd(stream, clear) : stream;
     } catch (error) {
+      clear();
       logger.error(`${this.constructor.name} stream failed after retries: ${error.message}`);
+      if (isQueueRejection(error) || isAbortError(error)) {
+        throw error;
+      }
       
       // Para streaming, retorna um iterator que simula uma resposta de erro
-      return this._createErrorStreamResponse(error, messages);
+      return this._fallbackResponse(error, messages, options.locale, true);
     }
   }
 
   /**
    * Wrapper para stt com retry automático
+   *
+   * @param {string} audioFilePath
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Locale of the fallback text, and of the audio for the providers that need it
    */
-  async stt(audioFilePath) {
+  async stt(audioFilePath, options = {}) {
     try {
       return await this._executeWithRetry(async () => {
-        return await this._sttImplementation(audioFilePath);
+        return await this._sttImplementation(audioFilePath, options);
       }, `${this.constructor.name} stt`);
     } catch (error) {
       logger.error(`${this.constructor.name} stt failed after retries: ${error.message}`);
       
+      const text = this.fallbackMessages.render('stt_error', options.locale, this._fallbackContext(error));
+      if (this.fallbackMode === 'throw') {
+        throw this._toProviderError(error, text, options.locale);
+      }
+
       // Para STT, retorna uma resposta de erro em texto
       return {
-        text: "Desculpe, não foi possível processar o áudio no momento. Tente novamente em alguns instantes.",
+        text,
         error_details: {
           message: error.message,
           status: error.status || error.code,
@@ -159,27 +361,70 @@ class LLMClient {
   }
 
   /**
-   * Cria uma resposta simulada da LLM quando há erro final
+   * Final answer once retries (and fallbacks) are exhausted, according to the
+   * fallback mode: the apology message/stream, or a thrown ProviderError
    */
-  _createErrorResponse(error, messages = []) {
-    const isRateLimit = this._isRetryableError(error);
-    const providerName = this.constructor.name.replace('Client', '');
-    
-    let errorMessage;
-    
-    if (isRateLimit) {
-      errorMessage = `Desculpe, estou temporariamente sobrecarregado devido ao alto volume de requisições. Por favor, tente novamente em alguns instantes. Agradeço sua paciência! 🙏`;
-    } else {
-      errorMessage = `Desculpe, encontrei um problema técnico e não consegui processar sua solicitação no momento. Por favor, tente novamente em alguns instantes. Se o problema persistir, entre em contato com o suporte. 🔧`;
+  _fallbackResponse(error, messages, locale, streaming) {
+    if (this.fallbackMode === 'throw') {
+      throw this._toProviderError(error, this._fallbackText(error, messages, locale), locale);
     }
+    return streaming
+      ? this._createErrorStreamResponse(error, messages, locale)
+      : this._createErrorResponse(error, messages, locale);
+  }
+
+  _fallbackContext(error) {
+    return {
+      provider: this.constructor.name.replace('Client', ''),
+      status: error.status || error.code,
+      retryable: this._isRetryableError(error)
+    };
+  }
+
+  /**
+   * Apology shown to the user, in the request's locale
+   */
+  _fallbackText(error, messages = [], locale) {
+    const context = this._fallbackContext(error);
+    let text = this.fallbackMessages.render(context.retryable ? 'overloaded' : 'error', locale, context);
 
     // Verifica se o último message é do usuário para personalizar a resposta
     const lastMessage = messages[messages.length - 1];
     if (lastMessage && lastMessage.role === 'user') {
       if (lastMessage.content && lastMessage.content.length > 100) {
-        errorMessage += `\n\nObs: Percebi que sua mensagem é bastante detalhada. Quando eu voltar a funcionar, ficarei feliz em ajudar com sua solicitação completa.`;
+        text += `\n\n${this.fallbackMessages.render('long_message', locale, context)}`;
       }
     }
+    return text;
+  }
+
+  /**
+   * Typed error for the 'throw' fallback mode: 503 when the provider may
+   * recover (with Retry-After from its hint), 502 otherwise
+   */
+  _toProviderError(error, localizedMessage, locale) {
+    const { provider, retryable } = this._fallbackContext(error);
+    const retryAfterMs = this._getRetryAfterMs(error);
+    return new ProviderError(`${provider} request failed: ${error.message}`, {
+      status: retryable ? 503 : 502,
+      code: retryable ? 'provider_unavailable' : 'provider_error',
+      retryable,
+      provider,
+      retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : undefined,
+      cause: error,
+      localizedMessage,
+      locale: locale ? this.fallbackMessages.resolveLocale(locale) : this.fallbackMessages.defaultLocale,
+      failedProviders: error.failed_providers
+    });
+  }
+
+  /**
+   * Cria uma resposta simulada da LLM quando há erro final
+   */
+  _createErrorResponse(error, messages = [], locale) {
+    const isRateLimit = this._isRetryableError(error);
+    const providerName = this.constructor.name.replace('Client', '');
+    const errorMessage = this._fallbackText(error, messages, locale);
 
     // Retorna no formato padrão de resposta da LLM
     const response = {
@@ -205,20 +450,22 @@ class LLMClient {
     }
   }
 
-  // Métodos abstratos que as implementações devem sobrescrever
-  async _sendImplementation(messages, tools, model) {
+  // Métodos abstratos que as implementações devem sobrescrever, com as assinaturas:
+  // _sendImplementation(messages, tools, model, options), _streamImplementation(messages, tools, model, options),
+  // _sttImplementation(audioFilePath, options) e serializeResponse(response)
+  async _sendImplementation() {
     throw new Error('Method _sendImplementation() must be implemented');
   }
   
-  async _streamImplementation(messages, tools, model) {
+  async _streamImplementation() {
     throw new Error('Method _streamImplementation() must be implemented');
   }
   
-  async _sttImplementation(audioFilePath) {
+  async _sttImplementation() {
     throw new Error('Method _sttImplementation() must be implemented');
   }
   
-  serializeResponse(response) {
+  serializeResponse() {
     throw new Error('Method serializeResponse() must be implemented');
   }
 
@@ -253,41 +500,25 @@ class LLMClient {
   /**
    * Cria um stream response simulado para erros
    */
-  _createErrorStreamResponse(error, messages = []) {
+  _createErrorStreamResponse(error, messages = [], locale) {
     const isRateLimit = this._isRetryableError(error);
     const providerName = this.constructor.name.replace('Client', '');
-    let errorMessage;
-    if (isRateLimit) {
-      errorMessage = `Desculpe, estou temporariamente sobrecarregado devido ao alto volume de requisições. Por favor, tente novamente em alguns instantes. Agradeço sua paciência! 🙏`;
-    } else {
-      errorMessage = `Desculpe, encontrei um problema técnico e não consegui processar sua solicitação no momento. Por favor, tente novamente em alguns instantes. Se o problema persistir, entre em contato com o suporte. 🔧`;
-    }
-    const lastMessage = messages[messages.length - 1];
-    if (lastMessage && lastMessage.role === 'user') {
-      if (lastMessage.content && lastMessage.content.length > 100) {
-        errorMessage += `\n\nObs: Percebi que sua mensagem é bastante detalhada. Quando eu voltar a funcionar, ficarei feliz em ajudar com sua solicitação completa.`;
-      }
-    }
+    const errorMessage = this._fallbackText(error, messages, locale);
     // Retorna um async iterator que simula streaming da mensagem de erro
     const self = this;
+    const events = this._streamEvents();
     return {
       [Symbol.asyncIterator]: async function* () {
+        yield events.start();
         const words = errorMessage.split(' ');
-        let currentContent = '';
         for (let i = 0; i < words.length; i++) {
-          const word = words[i] + (i < words.length - 1 ? ' ' : '');
-          currentContent += word;
-          yield {
-            type: "content",
-            content: word
-          };
+          const delta = events.contentDelta(words[i] + (i < words.length - 1 ? ' ' : ''));
+          if (!delta) continue;
+          yield delta;
           await new Promise(resolve => setTimeout(resolve, 50));
         }
         yield {
-          type: "finish",
-          finish_reason: "stop",
-          final_content: currentContent,
-          final_tool_calls: null,
+          ...events.finish('stop'),
           _error_metadata: {
             original_error: error.message,
             provider: providerName,
@@ -302,4 +533,20 @@ class LLMClient {
   }
 }
 
+/**
+ * Wraps a provider stream so the queue slot is released once it ends, fails or
+ * is closed by the consumer
+ */
+function releaseAfter(stream, release) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      try {
+        yield* stream;
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
 module.exports = { LLMClient };
\ No newline at end of file
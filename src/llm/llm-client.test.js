@@ -25,6 +25,8 @@ jest.mock('./response-serializer', () => {
 const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
 const { LLMClient } = require('./llm-client');
 const { ResponseSerializer } = require('./response-serializer');
+const { RequestQueue } = require('./request-queue');
+const { ProviderError, LLMError } = require('./llm-errors');
 
 // Garante reset dos mocks antes de cada teste
 beforeEach(() => {
@@ -373,6 +375,65 @@ describe('LLMClient Base Class', () => {
     });
   });
 
+  describe('Request Queue', () => {
+    test('holds the slot until the stream is consumed and sheds with an error', async () => {
+      const requestQueue = new RequestQueue({ limits: { '*': 1 }, queueTimeout: 30 });
+      const queued = new TestLLMClient({ testMode: true, llmName: 'test', llmModel: 'm1', requestQueue });
+
+      const stream = await queued.stream([{ role: 'user', content: 'Hello' }]);
+      const iterator = stream[Symbol.asyncIterator]();
+      await iterator.next();
+      expect(requestQueue.getMetrics()['test:m1'].in_flight).toBe(1);
+
+      // No apology message: the caller gets the 503
+      await expect(queued.send([{ role: 'user', content: 'Hi' }])).rejects.toMatchObject({ status: 503, code: 'queue_timeout' });
+      expect(queued.getCallCounts().send).toBe(0);
+
+      while (!(await iterator.next()).done);
+      expect(requestQueue.getMetrics()['test:m1']).toMatchObject({ in_flight: 0, completed: 1, shed: { queue_full: 0, queue_timeout: 1 } });
+
+      const result = await queued.send([{ role: 'user', content: 'Hi' }], [], 'm1', { priority: 'batch' });
+      expect(result.content).toContain('attempt 1');
+    });
+  });
+
+  describe('Cancellation', () => {
+    const slowRetries = { testMode: true, maxRetries: 3, initialRetryDelay: 60000, maxRetryDelay: 60000 };
+
+    test('should stop the retry sleep when the signal aborts, without the apology', async () => {
+      const cancellable = new TestLLMClient(slowRetries);
+      cancellable.setFailureMode(true, 'rate_limit', 10);
+      const controller = new AbortController();
+
+      const sending = cancellable.send([{ role: 'user', content: 'Hello' }], [], undefined, { signal: controller.signal });
+      setTimeout(() => controller.abort(new LLMError('Client closed the request', { status: 499, code: 'client_closed_request' })), 20);
+
+      await expect(sending).rejects.toMatchObject({ status: 499, code: 'client_closed_request' });
+      expect(cancellable.getCallCounts().send).toBe(1);
+    });
+
+    test('should abort with a 504 once the timeout expires', async () => {
+      const cancellable = new TestLLMClient(slowRetries);
+      cancellable.setFailureMode(true, 'server_error', 10);
+
+      await expect(cancellable.stream([{ role: 'user', content: 'Hello' }], [], undefined, { timeout: 20 }))
+        .rejects.toMatchObject({ status: 504, code: 'request_timeout' });
+    });
+
+    test('should pass the signal to the implementation and not call it once aborted', async () => {
+      const spy = jest.spyOn(client, '_sendImplementation');
+      const controller = new AbortController();
+
+      await client.send([{ role: 'user', content: 'Hello' }], [], 'm1', { signal: controller.signal });
+      expect(spy.mock.calls[0][3].signal).toBe(controller.signal);
+
+      controller.abort(new LLMError('Client closed the request', { status: 499, code: 'client_closed_request' }));
+      await expect(client.send([{ role: 'user', content: 'Hello' }], [], 'm1', { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'client_closed_request' });
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('STT Method', () => {
     test('should succeed on first attempt', async () => {
       const result = await client.stt('test-audio.wav');
@@ -401,6 +462,57 @@ describe('LLMClient Base Class', () => {
     });
   });
 
+  describe('Fallback Responses', () => {
+    const fastConfig = { testMode: true, maxRetries: 1, initialRetryDelay: 1, maxRetryDelay: 2 };
+
+    test('should localize the fallback message with options.locale', async () => {
+      client.setFailureMode(true, 'rate_limit', 10);
+
+      const english = await client.send([{ role: 'user', content: 'Hello' }], [], undefined, { locale: 'en-US' });
+      expect(english.content).toContain('temporarily overloaded');
+      expect(english.content).not.toContain('🙏');
+
+      const failing = new TestLLMClient(fastConfig);
+      failing.setFailureMode(true, 'non_retryable', 10);
+      const spanish = await failing.send([{ role: 'user', content: 'x'.repeat(150) }], [], undefined, { locale: 'es' });
+      expect(spanish.content).toContain('problema técnico');
+      expect(spanish.content).toContain('Nota: veo que tu mensaje es bastante detallado');
+
+      const stt = await failing.stt('test-audio.wav', { locale: 'en' });
+      expect(stt.text).toBe("Sorry, the audio couldn't be processed right now. Please try again in a few moments.");
+    });
+
+    test('should use custom templates and default locale', async () => {
+      const customClient = new TestLLMClient({
+        ...fastConfig,
+        fallbackMessages: { defaultLocale: 'en', templates: { en: { overloaded: '{provider} is busy, status {status}' } } }
+      });
+      customClient.setFailureMode(true, 'rate_limit', 10);
+
+      const result = await customClient.send([{ role: 'user', content: 'Hello' }]);
+      expect(result.content).toBe('TestLLM is busy, status 429');
+    });
+
+    test('should throw a ProviderError in throw mode', async () => {
+      const throwingClient = new TestLLMClient({ ...fastConfig, fallbackMode: 'throw' });
+      throwingClient.setFailureMode(true, 'rate_limit', 10);
+
+      const error = await throwingClient.send([{ role: 'user', content: 'Hello' }], [], undefined, { locale: 'es' }).catch(e => e);
+      expect(error).toBeInstanceOf(ProviderError);
+      expect(error).toMatchObject({ status: 503, code: 'provider_unavailable', retryable: true, locale: 'es' });
+      expect(error.localizedMessage).toContain('temporalmente sobrecargado');
+      expect(error.cause.message).toBe('Rate limit exceeded');
+
+      throwingClient.setFailureMode(true, 'non_retryable', 10);
+      await expect(throwingClient.stream([{ role: 'user', content: 'Hello' }])).rejects.toMatchObject({ status: 502, code: 'provider_error' });
+      await expect(throwingClient.stt('test-audio.wav')).rejects.toBeInstanceOf(ProviderError);
+    });
+
+    test('should reject unknown fallback modes', () => {
+      expect(() => new TestLLMClient({ testMode: true, fallbackMode: 'http' })).toThrow('Invalid fallbackMode http');
+    });
+  });
+
   describe('Delay Calculation', () => {
     test('should calculate exponential backoff with jitter', () => {
       const delay1 = client._calculateDelay(0);
@@ -421,6 +533,44 @@ describe('LLMClient Base Class', () => {
       const delay = client._calculateDelay(10); // Muito alto
       expect(delay).toBeLessThanOrEqual(100); // maxRetryDelay = 100
     });
+
+    test('should use the provider retry hint, capped by max delay', () => {
+      const error = new Error('Rate limit exceeded');
+      error.status = 429;
+
+      error.headers = { 'retry-after-ms': '50' };
+      expect(client._calculateDelay(0, error)).toBe(50);
+
+      error.headers = { 'retry-after': '20' };
+      expect(client._calculateDelay(0, error)).toBe(100);
+
+      // Sem dica, volta ao backoff exponencial
+      expect(client._calculateDelay(0, new Error('Request timeout'))).toBeLessThanOrEqual(12);
+    });
+
+    test('should stop retrying when the retry time budget is exhausted', async () => {
+      const budgetClient = new TestLLMClient({
+        testMode: true,
+        maxRetries: 5,
+        initialRetryDelay: 10,
+        maxRetryDelay: 1000,
+        maxRetryTime: 100
+      });
+      budgetClient._simulateError = () => {
+        const error = new Error('Rate limit exceeded');
+        error.status = 429;
+        error.headers = { 'retry-after-ms': '60' };
+        throw error;
+      };
+      budgetClient.setFailureMode(true, 'rate_limit', 10);
+
+      const result = await budgetClient.send([{ role: 'user', content: 'Hello' }]);
+
+      // 1ª espera de 60ms cabe no orçamento, a 2ª passaria de 100ms
+      expect(budgetClient.getCallCounts().send).toBe(2);
+      expect(result._error_metadata.retryable).toBe(true);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Retry budget of 100ms exhausted'));
+    });
   });
 
   describe('Logging', () => {
@@ -0,0 +1,51 @@
+/**
+ * Error raised by the LLM layer with enough context for the retry logic and
+ * the HTTP layer to act on it.
+ */
+class LLMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status that best describes the error
+   * @param {string} [details.code] - Machine readable error code
+   * @param {boolean} [details.retryable] - Overrides the retry classification when set
+   * @param {string} [details.provider] - Provider that raised the error
+   * @param {number} [details.retryAfter] - Seconds the caller should wait before trying again
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = details.status;
+    this.code = details.code;
+    this.retryable = details.retryable;
+    this.provider = details.provider;
+    this.retryAfter = details.retryAfter;
+    this.cause = details.cause;
+    this.headers = details.headers || details.cause?.headers;
+  }
+}
+
+/**
+ * Final failure of a provider call, once retries and fallbacks are exhausted.
+ * Thrown instead of the apology message when the fallback mode is 'throw';
+ * `localizedMessage` holds that apology in the request's locale.
+ */
+class ProviderError extends LLMError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - LLMError details, plus:
+   * @param {string} [details.localizedMessage] - Text that can be shown to the end user
+   * @param {string} [details.locale] - Locale of localizedMessage
+   * @param {Array<Object>} [details.failedProviders] - Providers tried by a fallback chain
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ProviderError';
+    this.localizedMessage = details.localizedMessage;
+    this.locale = details.locale;
+    this.failed_providers = details.failedProviders;
+  }
+}
+
+module.exports = { LLMError, ProviderError };
@@ -1,5 +1,6 @@
-const { OpenAIClient } = require('../openai');
+const { OpenAIClient, OpenAICompatibleClient, AzureOpenAIClient } = require('../openai');
 const { VertexAIClient } = require('../gemini');
+const { FallbackLLMClient } = require('./fallback-client');
 
 class LLMFactory {
   static createClient(config) {
@@ -10,12 +11,45 @@ class LLMFactory {
     switch (config.llmName.toLowerCase()) {
       case 'openai':
         return new OpenAIClient(config);
+      case 'openai-compatible':
+        return new OpenAICompatibleClient(config);
+      case 'azure':
+      case 'azure-openai':
+        return new AzureOpenAIClient(config);
       case 'gemini':
         return new VertexAIClient(config);
+      case 'anthropic':
+      case 'claude': {
+        // Loaded on demand: @anthropic-ai/sdk is an optional peer dependency
+        const { AnthropicClient } = require('../anthropic');
+        return new AnthropicClient(config);
+      }
       default:
         throw new Error(`Unsupported LLM provider: ${config.llmName}`);
     }
   }
+
+  /**
+   * Creates a client that falls back through the given providers, in order
+   *
+   * @param {Array<Object>} configs - One client configuration per provider, primary first
+   * @returns {LLMClient} A single client when only one config is given, a FallbackLLMClient otherwise
+   */
+  static createFallbackClient(configs) {
+    if (!Array.isArray(configs) || configs.length === 0) {
+      throw new Error("LLMFactory requires at least one configuration to create a fallback chain.");
+    }
+    if (configs.length === 1) {
+      return this.createClient(configs[0]);
+    }
+
+    const entries = configs.map(config => ({
+      client: this.createClient(config),
+      provider: config.llmName.toLowerCase(),
+      model: config.llmModel
+    }));
+    return new FallbackLLMClient(entries);
+  }
 }
 
 module.exports = { LLMFactory };
\ No newline at end of file
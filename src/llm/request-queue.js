@@ -0,0 +1,222 @@
+const { LLMError } = require('./llm-errors');
+const { abortReason } = require('./cancellation');
+
+// Lower runs first
+const PRIORITIES = { interactive: 0, batch: 1 };
+const DEFAULT_PRIORITY = 'interactive';
+const DEFAULT_QUEUE_TIMEOUT = 30000;
+const QUEUE_ERROR_CODES = ['queue_full', 'queue_timeout'];
+
+// Weight of the last call in the average call duration
+const DURATION_SMOOTHING = 0.2;
+
+/**
+ * Checks the priority sent by a caller
+ * @throws {LLMError} 400 invalid_priority
+ */
+function normalizePriority(priority) {
+  if (priority === undefined || priority === null) return DEFAULT_PRIORITY;
+  if (!Object.prototype.hasOwnProperty.call(PRIORITIES, priority)) {
+    throw new LLMError(`priority must be one of ${Object.keys(PRIORITIES).join(', ')}`, { status: 400, code: 'invalid_priority', retryable: false });
+  }
+  return priority;
+}
+
+/**
+ * Requests shed by the queue: they are reported to the caller as they are,
+ * never replaced by the apology message
+ */
+function isQueueRejection(error) {
+  return error instanceof LLMError && QUEUE_ERROR_CODES.includes(error.code);
+}
+
+function shed(code, message, retryAfterMs) {
+  return new LLMError(message, {
+    status: 503,
+    code,
+    retryable: false,
+    retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+  });
+}
+
+/**
+ * Caps the provider calls in flight per provider/model, shared by every client
+ * created with it. Calls over the cap wait in a priority queue (interactive
+ * before batch, FIFO within a priority) and are shed with a 503 when the queue
+ * is full, when they wait longer than the queue timeout or when the estimated
+ * wait already exceeds it.
+ */
+class RequestQueue {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.limits] - Calls in flight keyed by 'provider:model', 'provider:*' or '*'.
+   *   Keys without a limit are not queued
+   * @param {number} [options.maxQueueSize=Infinity] - Calls waiting per provider/model
+   * @param {(number|Object<string, number>)} [options.queueTimeout=30000] - Maximum wait in ms, or one per priority
+   */
+  constructor({ limits = {}, maxQueueSize = Infinity, queueTimeout = DEFAULT_QUEUE_TIMEOUT } = {}) {
+    this.limits = limits;
+    this.maxQueueSize = maxQueueSize;
+    this.queueTimeout = queueTimeout;
+    this._lanes = new Map();
+    this._sequence = 0;
+  }
+
+  _limitFor(key) {
+    const provider = key.split(':')[0];
+    const limit = this.limits[key] ?? this.limits[`${provider}:*`] ?? this.limits['*'];
+    return typeof limit === 'number' && limit > 0 ? limit : Infinity;
+  }
+
+  _timeoutFor(priority) {
+    if (typeof this.queueTimeout === 'number') return this.queueTimeout;
+    return this.queueTimeout[priority] ?? DEFAULT_QUEUE_TIMEOUT;
+  }
+
+  _lane(key) {
+    let lane = this._lanes.get(key);
+    if (!lane) {
+      lane = {
+        limit: this._limitFor(key),
+        inFlight: 0,
+        waiting: [],
+        completed: 0,
+        shed: { queue_full: 0, queue_timeout: 0 },
+        waitTotalMs: 0,
+        started: 0,
+        avgDurationMs: null
+      };
+      this._lanes.set(key, lane);
+    }
+    return lane;
+  }
+
+  _start(lane, enqueuedAt) {
+    const startedAt = Date.now();
+    lane.inFlight++;
+    lane.started++;
+    lane.waitTotalMs += startedAt - enqueuedAt;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      lane.inFlight--;
+      lane.completed++;
+      const duration = Date.now() - startedAt;
+      lane.avgDurationMs = lane.avgDurationMs === null
+        ? duration
+        : lane.avgDurationMs + DURATION_SMOOTHING * (duration - lane.avgDurationMs);
+      this._next(lane);
+    };
+  }
+
+  _next(lane) {
+    while (lane.inFlight < lane.limit && lane.waiting.length > 0) {
+      const waiter = lane.waiting.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(this._start(lane, waiter.enqueuedAt));
+    }
+  }
+
+  /**
+   * Waits for a slot of the provider/model
+   *
+   * @param {string} key - 'provider:model'
+   * @param {Object} [options]
+   * @param {string} [options.priority='interactive'] - interactive or batch
+   * @param {AbortSignal} [options.signal] - Leaves the queue when aborted, rejecting with the abort reason
+   * @returns {Promise<Function>} Releases the slot, must be called once the call is over
+   * @throws {LLMError} 503 queue_full or queue_timeout
+   */
+  acquire(key, { priority = DEFAULT_PRIORITY, signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+    const lane = this._lane(key);
+    const rank = PRIORITIES[priority] ?? PRIORITIES[DEFAULT_PRIORITY];
+    const enqueuedAt = Date.now();
+
+    if (lane.inFlight < lane.limit && lane.waiting.length === 0) {
+      return Promise.resolve(this._start(lane, enqueuedAt));
+    }
+
+    const timeout = this._timeoutFor(priority);
+    if (lane.waiting.length >= this.maxQueueSize) {
+      lane.shed.queue_full++;
+      return Promise.reject(shed('queue_full', `Too many requests waiting for ${key}, try again later`, lane.avgDurationMs || 1000));
+    }
+
+    // Callers that can't make it in time are turned away now rather than after the timeout
+    const position = lane.waiting.filter(waiter => waiter.rank <= rank).length;
+    const estimatedWait = lane.avgDurationMs === null ? 0 : Math.ceil((position + 1) / lane.limit) * lane.avgDurationMs;
+    if (estimatedWait > timeout) {
+      lane.shed.queue_timeout++;
+      return Promise.reject(shed('queue_timeout', `Estimated wait for ${key} (${Math.round(estimatedWait)}ms) exceeds the queue timeout of ${timeout}ms`, estimatedWait));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timer);
+        lane.waiting.splice(lane.waiting.indexOf(waiter), 1);
+        reject(abortReason(signal));
+      };
+      const waiter = {
+        rank,
+        sequence: this._sequence++,
+        enqueuedAt,
+        resolve: (release) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        }
+      };
+      waiter.timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        lane.waiting.splice(lane.waiting.indexOf(waiter), 1);
+        lane.shed.queue_timeout++;
+        reject(shed('queue_timeout', `Request waited more than ${timeout}ms for ${key}, try again later`, lane.avgDurationMs || timeout));
+      }, timeout);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      const index = lane.waiting.findIndex(other => other.rank > rank);
+      lane.waiting.splice(index === -1 ? lane.waiting.length : index, 0, waiter);
+    });
+  }
+
+  /**
+   * Runs a call in a slot of the provider/model
+   */
+  async run(key, task, options) {
+    const release = await this.acquire(key, options);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Queue depth and shedding counters per provider/model
+   */
+  getMetrics() {
+    const metrics = {};
+    for (const [key, lane] of this._lanes) {
+      const queuedByPriority = Object.fromEntries(Object.keys(PRIORITIES).map(priority => [priority, 0]));
+      const names = Object.keys(PRIORITIES);
+      lane.waiting.forEach(waiter => { queuedByPriority[names[waiter.rank]]++; });
+      metrics[key] = {
+        limit: lane.limit === Infinity ? null : lane.limit,
+        in_flight: lane.inFlight,
+        queued: lane.waiting.length,
+        queued_by_priority: queuedByPriority,
+        completed: lane.completed,
+        shed: { ...lane.shed },
+        avg_wait_ms: lane.started > 0 ? Math.round(lane.waitTotalMs / lane.started) : 0,
+        avg_duration_ms: lane.avgDurationMs === null ? null : Math.round(lane.avgDurationMs)
+      };
+    }
+    return metrics;
+  }
+}
+
+module.exports = { RequestQueue, normalizePriority, isQueueRejection, PRIORITIES };
@@ -0,0 +1,90 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { RequestQueue, normalizePriority, isQueueRejection } = require('./request-queue');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+  test('caps the calls in flight and serves interactive before batch', async () => {
+    const queue = new RequestQueue({ limits: { 'openai:*': 1 } });
+    const order = [];
+
+    const first = await queue.acquire('openai:gpt-4.1');
+    const waiting = [
+      queue.acquire('openai:gpt-4.1', { priority: 'batch' }).then(release => { order.push('batch'); return release; }),
+      queue.acquire('openai:gpt-4.1', { priority: 'interactive' }).then(release => { order.push('interactive'); return release; })
+    ];
+    // Other models and providers have their own lanes
+    (await queue.acquire('gemini:gemini-2.5-pro'))();
+
+    expect(queue.getMetrics()['openai:gpt-4.1']).toMatchObject({
+      limit: 1,
+      in_flight: 1,
+      queued: 2,
+      queued_by_priority: { interactive: 1, batch: 1 }
+    });
+    expect(queue.getMetrics()['gemini:gemini-2.5-pro'].limit).toBeNull();
+
+    first();
+    (await waiting[1])();
+    (await waiting[0])();
+    expect(order).toEqual(['interactive', 'batch']);
+    expect(queue.getMetrics()['openai:gpt-4.1']).toMatchObject({ in_flight: 0, queued: 0, completed: 3 });
+  });
+
+  test('sheds requests when the queue is full or the wait is too long', async () => {
+    const queue = new RequestQueue({ limits: { '*': 1 }, maxQueueSize: 1, queueTimeout: { interactive: 20, batch: 1000 } });
+    const release = await queue.acquire('openai:gpt-4.1');
+    const batch = queue.acquire('openai:gpt-4.1', { priority: 'batch' });
+
+    const full = await queue.acquire('openai:gpt-4.1').catch(error => error);
+    expect(isQueueRejection(full)).toBe(true);
+    expect(full).toMatchObject({ status: 503, code: 'queue_full', retryAfter: 1 });
+
+    release();
+    (await batch)();
+
+    const slow = new RequestQueue({ limits: { '*': 1 }, queueTimeout: 20 });
+    const holding = await slow.acquire('openai:gpt-4.1');
+    const timedOut = await slow.acquire('openai:gpt-4.1').catch(error => error);
+    expect(timedOut.code).toBe('queue_timeout');
+    expect(timedOut.message).toBe('Request waited more than 20ms for openai:gpt-4.1, try again later');
+    holding();
+    expect(slow.getMetrics()['openai:gpt-4.1'].shed).toEqual({ queue_full: 0, queue_timeout: 1 });
+  });
+
+  test('turns requests away when the estimated wait exceeds the timeout', async () => {
+    const queue = new RequestQueue({ limits: { '*': 1 }, queueTimeout: 50 });
+    await queue.run('openai:gpt-4.1', () => new Promise(resolve => setTimeout(resolve, 80)));
+
+    const release = await queue.acquire('openai:gpt-4.1');
+    const error = await queue.acquire('openai:gpt-4.1').catch(err => err);
+    expect(error.code).toBe('queue_timeout');
+    expect(error.message).toMatch(/^Estimated wait for openai:gpt-4.1 \(\d+ms\) exceeds the queue timeout of 50ms$/);
+    release();
+    await tick();
+  });
+
+  test('an aborted request leaves the queue', async () => {
+    const queue = new RequestQueue({ limits: { '*': 1 } });
+    const release = await queue.acquire('openai:gpt-4.1');
+    const controller = new AbortController();
+    const waiting = queue.acquire('openai:gpt-4.1', { signal: controller.signal });
+    const next = queue.acquire('openai:gpt-4.1');
+
+    controller.abort(new Error('client gone'));
+    await expect(waiting).rejects.toThrow('client gone');
+    expect(queue.getMetrics()['openai:gpt-4.1'].queued).toBe(1);
+
+    release();
+    (await next)();
+    await expect(queue.acquire('openai:gpt-4.1', { signal: controller.signal })).rejects.toThrow('client gone');
+  });
+
+  test('validates priorities', () => {
+    expect(normalizePriority(undefined)).toBe('interactive');
+    expect(normalizePriority('batch')).toBe('batch');
+    expect(() => normalizePriority('urgent')).toThrow('priority must be one of interactive, batch');
+  });
+});
@@ -1,3 +1,5 @@
+const { normalizeFinishReason } = require('./stream-events');
+
 class ResponseSerializer {
     static serializeMessage(message) {
       try {
@@ -27,6 +29,26 @@ class ResponseSerializer {
         result.tool_call_id = String(message.tool_call_id);
       }
       
+      // Metadata added by the LLM layer (error fallback, provider that answered)
+      if (message._error_metadata) {
+        result._error_metadata = message._error_metadata;
+      }
+      
+      if (message._provider_metadata) {
+        result._provider_metadata = message._provider_metadata;
+      }
+      
+      // Why the model stopped, normalized like the finish event of a stream (see stream-events.js)
+      if (message.provider_finish_reason) {
+        result.finish_reason = normalizeFinishReason(message.provider_finish_reason, Boolean(result.tool_calls));
+        result.provider_finish_reason = message.provider_finish_reason;
+      }
+      
+      // Normalized token usage (see usage.js)
+      if (message.usage) {
+        result.usage = message.usage;
+      }
+      
       return result;
     }
     
@@ -0,0 +1,57 @@
+/**
+ * Helpers to read the "retry later" hints providers attach to their errors
+ */
+
+const DURATION_UNITS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+/**
+ * Reads a header from a plain object or a fetch Headers instance
+ */
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Go/protobuf style durations: '20ms', '1s', '6m0s', '1h2m3.5s', '30s'
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.trim().match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+  if (!parts || parts.join('') !== value.trim()) return null;
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+    return total + Number(amount) * DURATION_UNITS[unit];
+  }, 0);
+}
+
+/**
+ * Retry-After: delay in seconds or an HTTP date
+ * @returns {number|null} Milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay from the standard headers: retry-after-ms (OpenAI, Azure) or retry-after
+ * @returns {number|null} Milliseconds
+ */
+function retryAfterFromHeaders(headers) {
+  const retryAfterMs = readHeader(headers, 'retry-after-ms');
+  if (retryAfterMs !== undefined && retryAfterMs !== null && retryAfterMs !== '' && Number.isFinite(Number(retryAfterMs))) {
+    return Math.max(0, Number(retryAfterMs));
+  }
+  return parseRetryAfter(readHeader(headers, 'retry-after'));
+}
+
+module.exports = { readHeader, parseDuration, parseRetryAfter, retryAfterFromHeaders };
@@ -0,0 +1,41 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { readHeader, parseDuration, parseRetryAfter, retryAfterFromHeaders } = require('./retry-hints');
+
+describe('retry hints', () => {
+  test('reads headers from plain objects and fetch Headers', () => {
+    expect(readHeader({ 'Retry-After': '5' }, 'retry-after')).toBe('5');
+    expect(readHeader(new Headers({ 'retry-after': '5' }), 'retry-after')).toBe('5');
+    expect(readHeader(new Headers(), 'retry-after')).toBeUndefined();
+    expect(readHeader(undefined, 'retry-after')).toBeUndefined();
+  });
+
+  test.each([
+    ['20ms', 20],
+    ['1s', 1000],
+    ['6m0s', 360000],
+    ['1h2m3.5s', 3723500],
+    ['0.5s', 500],
+    ['soon', null],
+    ['5', null],
+    [undefined, null]
+  ])('parseDuration(%j) = %j', (value, expected) => {
+    expect(parseDuration(value)).toBe(expected);
+  });
+
+  test('parses Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 11:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('later', now)).toBeNull();
+    expect(parseRetryAfter('', now)).toBeNull();
+  });
+
+  test('retry-after-ms wins over retry-after', () => {
+    expect(retryAfterFromHeaders({ 'retry-after-ms': '1500', 'retry-after': '2' })).toBe(1500);
+    expect(retryAfterFromHeaders({ 'retry-after': '2' })).toBe(2000);
+    expect(retryAfterFromHeaders({})).toBeNull();
+  });
+});
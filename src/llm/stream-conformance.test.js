@@ -0,0 +1,225 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { OpenAIClient } = require('../openai/openai-client');
+const { OpenAICompatibleClient } = require('../openai/openai-compatible-client');
+const { AzureOpenAIClient } = require('../openai/azure-openai-client');
+const { AnthropicClient } = require('../anthropic/anthropic-client');
+const { VertexAIClient } = require('../gemini/vertexai-client');
+const { LLMClient } = require('./llm-client');
+const { FallbackLLMClient } = require('./fallback-client');
+const { validateStreamEvents } = require('./stream-events');
+
+// Every client must produce streams that follow stream-events.js, whatever the SDK sends
+
+function iterable(items, error) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const item of items) {
+        yield item;
+      }
+      if (error) throw error;
+    }
+  };
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+function midStreamError() {
+  const error = new Error('Connection reset');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+const weatherTool = { type: 'function', function: { name: 'weather', parameters: { type: 'object' } } };
+
+// Chunks of the Chat Completions API, shared by the OpenAI based clients
+const openAIChunks = {
+  text: [
+    { choices: [{ index: 0, delta: { role: 'assistant', content: '' } }] },
+    { choices: [{ index: 0, delta: { content: 'Olá, ' } }] },
+    { choices: [{ index: 0, delta: { content: 'mundo' }, finish_reason: 'stop' }] },
+    { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } }
+  ],
+  tools: [
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'weather', arguments: '' } }] } }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":"Paris"}' } }] } }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'weather', arguments: '{"city":"Rome"}' } }] } }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }
+  ],
+  failing: [{ choices: [{ index: 0, delta: { content: 'Olá' } }] }]
+};
+
+function openAIBased(create) {
+  return (chunks, error) => {
+    const client = create();
+    client._client = { chat: { completions: { create: jest.fn().mockResolvedValue(iterable(chunks, error)) } } };
+    return client;
+  };
+}
+
+const anthropicEvents = {
+  text: [
+    { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Olá, ' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'mundo' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+    { type: 'message_stop' }
+  ],
+  tools: [
+    { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"city":"Paris"}' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'weather', input: {} } },
+    { type: 'content_block_stop', index: 1 },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+    { type: 'message_stop' }
+  ],
+  failing: [
+    { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Olá' } }
+  ]
+};
+
+const vertexChunks = {
+  text: [
+    { candidates: [{ content: { parts: [{ text: 'Olá, ' }] } }] },
+    { candidates: [{ content: { parts: [{ text: 'mundo' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2, totalTokenCount: 7 } }
+  ],
+  tools: [
+    { candidates: [{ content: { parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] } }] },
+    { candidates: [{ content: { parts: [{ functionCall: { name: 'weather', args: {} } }] }, finishReason: 'STOP' }] }
+  ],
+  failing: [{ candidates: [{ content: { parts: [{ text: 'Olá' }] } }] }]
+};
+
+const providers = [
+  {
+    name: 'OpenAIClient',
+    fixtures: openAIChunks,
+    create: openAIBased(() => new OpenAIClient({ llmToken: 'key', llmModel: 'gpt-test', enableRetry: false }))
+  },
+  {
+    name: 'OpenAICompatibleClient',
+    fixtures: openAIChunks,
+    create: openAIBased(() => new OpenAICompatibleClient({ llmBaseURL: 'http://localhost:11434/v1', llmModel: 'llama3.1', enableRetry: false }))
+  },
+  {
+    name: 'AzureOpenAIClient',
+    fixtures: openAIChunks,
+    create: openAIBased(() => new AzureOpenAIClient({
+      llmEndpoint: 'https://my-resource.openai.azure.com',
+      llmDeployment: 'gpt-4o-prod',
+      llmToken: 'key',
+      enableRetry: false
+    }))
+  },
+  {
+    name: 'AnthropicClient',
+    fixtures: anthropicEvents,
+    create: (events, error) => {
+      const client = new AnthropicClient({ llmToken: 'key', llmModel: 'claude-test', enableRetry: false });
+      client._client = { messages: { create: jest.fn().mockResolvedValue(iterable(events, error)) } };
+      return client;
+    }
+  },
+  {
+    name: 'VertexAIClient',
+    fixtures: vertexChunks,
+    create: (chunks, error) => {
+      const client = new VertexAIClient({ llmProject: 'test-project', llmLocation: 'us-central1', llmModel: 'gemini-test', enableRetry: false });
+      const model = { generateContentStream: jest.fn().mockResolvedValue({ stream: iterable(chunks, error) }) };
+      client.model = model;
+      client._models = { 'gemini-test': model };
+      return client;
+    }
+  }
+];
+
+// Cliente que nunca consegue abrir o stream, para os streams de desculpas
+class UnavailableClient extends LLMClient {
+  constructor() {
+    super({ llmModel: 'down-1', maxRetries: 1, initialRetryDelay: 1, maxRetryDelay: 2 });
+  }
+
+  validateConfig() {}
+
+  async _streamImplementation() {
+    const error = new Error('Service unavailable');
+    error.status = 503;
+    throw error;
+  }
+}
+
+describe('stream event conformance', () => {
+  beforeEach(() => {
+    // VertexAIClient logs to the console
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe.each(providers)('$name', ({ fixtures, create }) => {
+    test('text answer', async () => {
+      const events = await collect(await create(fixtures.text).stream([{ role: 'user', content: 'oi' }], []));
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      const finish = events[events.length - 1];
+      expect(finish).toMatchObject({ type: 'finish', finish_reason: 'stop', final_content: 'Olá, mundo', final_tool_calls: null });
+      expect(finish.usage).toEqual(expect.objectContaining({ prompt_tokens: 5 }));
+    });
+
+    test('parallel tool calls', async () => {
+      const events = await collect(await create(fixtures.tools).stream([{ role: 'user', content: 'Paris e Roma?' }], [weatherTool]));
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      const finish = events[events.length - 1];
+      expect(finish.finish_reason).toBe('tool_calls');
+      expect(finish.final_tool_calls.map(toolCall => toolCall.function.arguments)).toEqual(['{"city":"Paris"}', expect.stringMatching(/^\{.*\}$/)]);
+    });
+
+    test('error in the middle of the stream', async () => {
+      const events = await collect(await create(fixtures.failing, midStreamError()).stream([{ role: 'user', content: 'oi' }], []));
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      expect(events[events.length - 1]).toMatchObject({ type: 'error', error: 'Connection reset', details: 'ECONNRESET' });
+    });
+  });
+
+  test('apology stream of a client that gave up', async () => {
+    const events = await collect(await new UnavailableClient().stream([{ role: 'user', content: 'oi' }], []));
+
+    expect(validateStreamEvents(events)).toEqual([]);
+    expect(events[events.length - 1]).toMatchObject({ type: 'finish', finish_reason: 'stop', _error_metadata: expect.any(Object) });
+  });
+
+  test('fallback chain, after the primary provider failed', async () => {
+    const backup = providers[0].create(openAIChunks.text);
+    const fallback = new FallbackLLMClient([
+      { client: new UnavailableClient(), provider: 'down' },
+      { client: backup, provider: 'openai', model: 'gpt-test' }
+    ]);
+
+    const events = await collect(await fallback.stream([{ role: 'user', content: 'oi' }], []));
+
+    expect(validateStreamEvents(events)).toEqual([]);
+    expect(events[events.length - 1]._provider_metadata).toMatchObject({ provider: 'openai' });
+  });
+});
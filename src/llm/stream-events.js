@@ -0,0 +1,279 @@
+/**
+ * Stream events emitted by every client's stream(), whatever the provider.
+ *
+ * - { type: 'start', provider, model }: first event of each model call
+ * - { type: 'content_delta', delta }: a piece of the answer's text
+ * - { type: 'tool_call_start', index, id, name }: the model starts a tool call
+ * - { type: 'tool_call_delta', index, id, delta }: a piece of the call's JSON arguments
+ * - { type: 'tool_call_end', index, tool_call }: the complete call { id, type: 'function', function: { name, arguments } }
+ * - { type: 'usage', usage }: normalized token usage, when the provider reports it
+ * - { type: 'finish', finish_reason, provider_finish_reason, final_content, final_tool_calls, usage? }: last event
+ * - { type: 'error', error, details, status, retryable }: last event of a stream that failed
+ *
+ * A stream ends with exactly one finish or error event. The server adds its own
+ * events between model calls (tool_start, tool_result, structured_output_retry).
+ */
+
+const EVENT_TYPES = ['start', 'content_delta', 'tool_call_start', 'tool_call_delta', 'tool_call_end', 'usage', 'finish', 'error'];
+
+const FINISH_REASONS = ['stop', 'length', 'tool_calls', 'content_filter', 'interrupted', 'other'];
+
+// Provider values (OpenAI, Anthropic, Gemini, OpenAI-compatible servers) -> normalized finish reason
+const FINISH_REASON_MAP = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  eos: 'stop',
+  eos_token: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  model_length: 'length',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  tool_use: 'tool_calls',
+  content_filter: 'content_filter',
+  refusal: 'content_filter',
+  safety: 'content_filter',
+  recitation: 'content_filter',
+  blocklist: 'content_filter',
+  prohibited_content: 'content_filter',
+  spii: 'content_filter',
+  image_safety: 'content_filter',
+  interrupted: 'interrupted'
+};
+
+/**
+ * Normalized finish reason. A model that stopped to call tools always gets
+ * 'tool_calls' (Gemini reports STOP), unknown values get 'other'.
+ */
+function normalizeFinishReason(reason, hasToolCalls = false) {
+  if (!reason) return hasToolCalls ? 'tool_calls' : 'stop';
+  const normalized = FINISH_REASON_MAP[String(reason).toLowerCase()] || 'other';
+  return normalized === 'stop' && hasToolCalls ? 'tool_calls' : normalized;
+}
+
+/**
+ * Error event of a failed stream
+ */
+function streamErrorEvent(error, retryable = false) {
+  return {
+    type: 'error',
+    error: error.message,
+    details: error.code || null,
+    status: typeof error.status === 'number' ? error.status : null,
+    retryable: Boolean(retryable)
+  };
+}
+
+function isErrorEvent(event) {
+  return Boolean(event) && event.type === 'error';
+}
+
+/**
+ * Builds the events of one model call and keeps the text and tool calls for
+ * the finish event. Tool calls are identified by their index in the answer.
+ */
+class StreamEventBuilder {
+  constructor(provider, model) {
+    this.provider = provider;
+    this.model = model || null;
+    this.content = '';
+    this.toolCalls = new Map();
+    this.usageReported = null;
+  }
+
+  start() {
+    return { type: 'start', provider: this.provider, model: this.model };
+  }
+
+  /**
+   * @returns {Object|null} null for empty text
+   */
+  contentDelta(text) {
+    if (typeof text !== 'string' || text === '') return null;
+    this.content += text;
+    return { type: 'content_delta', delta: text };
+  }
+
+  hasToolCall(index) {
+    return this.toolCalls.has(index);
+  }
+
+  toolCallStart(index, id, name) {
+    this.toolCalls.set(index, { id, type: 'function', function: { name: name || '', arguments: '' }, ended: false });
+    return { type: 'tool_call_start', index, id, name: name || '' };
+  }
+
+  /**
+   * @returns {Object|null} null for an empty fragment
+   */
+  toolCallDelta(index, fragment) {
+    const toolCall = this.toolCalls.get(index);
+    if (!toolCall || typeof fragment !== 'string' || fragment === '') return null;
+    toolCall.function.arguments += fragment;
+    return { type: 'tool_call_delta', index, id: toolCall.id, delta: fragment };
+  }
+
+  /**
+   * @returns {Object|null} null when the call is unknown or already ended
+   */
+  toolCallEnd(index) {
+    const toolCall = this.toolCalls.get(index);
+    if (!toolCall || toolCall.ended) return null;
+    toolCall.ended = true;
+    // Tools without parameters stream no arguments at all
+    if (!toolCall.function.arguments) {
+      toolCall.function.arguments = '{}';
+    }
+    return { type: 'tool_call_end', index, tool_call: this._toolCall(toolCall) };
+  }
+
+  /**
+   * End events of the calls still open, in index order
+   */
+  endToolCalls() {
+    return this._indexes().map(index => this.toolCallEnd(index)).filter(Boolean);
+  }
+
+  usage(usage) {
+    this.usageReported = usage;
+    return { type: 'usage', usage };
+  }
+
+  /**
+   * The usage event (when known) and the finish event, closing the open tool calls first
+   */
+  finishEvents(providerReason, usage = this.usageReported) {
+    const events = this.endToolCalls();
+    if (usage && usage !== this.usageReported) {
+      events.push(this.usage(usage));
+    }
+    events.push(this.finish(providerReason));
+    return events;
+  }
+
+  finish(providerReason) {
+    const toolCalls = this._indexes().map(index => this._toolCall(this.toolCalls.get(index)));
+    const finish = {
+      type: 'finish',
+      finish_reason: normalizeFinishReason(providerReason, toolCalls.length > 0),
+      provider_finish_reason: providerReason || null,
+      final_content: this.content,
+      final_tool_calls: toolCalls.length > 0 ? toolCalls : null
+    };
+    if (this.usageReported) {
+      finish.usage = this.usageReported;
+    }
+    return finish;
+  }
+
+  _indexes() {
+    return [...this.toolCalls.keys()].sort((a, b) => a - b);
+  }
+
+  _toolCall({ id, type, function: fn }) {
+    return { id, type, function: { ...fn } };
+  }
+}
+
+/**
+ * Checks that a client stream follows the event model
+ *
+ * @param {Array<Object>} events - Every event of one stream()
+ * @returns {Array<string>} The violations, empty when the stream conforms
+ */
+function validateStreamEvents(events) {
+  const problems = [];
+  const openCalls = new Map();
+  const endedCalls = new Map();
+  let content = '';
+  let started = false;
+
+  events.forEach((event, position) => {
+    const at = `event ${position} (${event && event.type})`;
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      problems.push(`${at}: unknown event type`);
+      return;
+    }
+    if (position === 0 && event.type !== 'start') {
+      problems.push(`${at}: the first event must be start`);
+    }
+    if (event.type === 'start') {
+      if (started) problems.push(`${at}: start sent twice`);
+      if (typeof event.provider !== 'string' || !event.provider) problems.push(`${at}: start without provider`);
+      started = true;
+    }
+    if ((event.type === 'finish' || event.type === 'error') && position !== events.length - 1) {
+      problems.push(`${at}: ${event.type} must be the last event`);
+    }
+
+    switch (event.type) {
+      case 'content_delta':
+        if (typeof event.delta !== 'string' || event.delta === '') problems.push(`${at}: empty delta`);
+        else content += event.delta;
+        break;
+      case 'tool_call_start':
+        if (!Number.isInteger(event.index)) problems.push(`${at}: index must be an integer`);
+        if (!event.id || typeof event.name !== 'string') problems.push(`${at}: id and name are required`);
+        if (openCalls.has(event.index) || endedCalls.has(event.index)) problems.push(`${at}: index ${event.index} started twice`);
+        openCalls.set(event.index, { id: event.id, name: event.name, arguments: '' });
+        break;
+      case 'tool_call_delta': {
+        const call = openCalls.get(event.index);
+        if (!call) problems.push(`${at}: delta of a tool call that is not open`);
+        else if (typeof event.delta !== 'string' || event.delta === '') problems.push(`${at}: empty delta`);
+        else call.arguments += event.delta;
+        break;
+      }
+      case 'tool_call_end': {
+        const call = openCalls.get(event.index);
+        if (!call) {
+          problems.push(`${at}: end of a tool call that is not open`);
+          break;
+        }
+        const toolCall = event.tool_call || {};
+        const args = toolCall.function?.arguments;
+        if (toolCall.id !== call.id || toolCall.function?.name !== call.name) problems.push(`${at}: tool_call doesn't match its start`);
+        if (args !== call.arguments && !(call.arguments === '' && args === '{}')) problems.push(`${at}: arguments don't match the deltas`);
+        openCalls.delete(event.index);
+        endedCalls.set(event.index, toolCall);
+        break;
+      }
+      case 'usage':
+        if (!event.usage || typeof event.usage.total_tokens !== 'number') problems.push(`${at}: usage must be normalized`);
+        break;
+      case 'finish': {
+        if (!FINISH_REASONS.includes(event.finish_reason)) problems.push(`${at}: finish_reason ${event.finish_reason} is not normalized`);
+        if (openCalls.size > 0) problems.push(`${at}: tool calls ${[...openCalls.keys()].join(', ')} were not ended`);
+        if (event.final_content !== content) problems.push(`${at}: final_content doesn't match the content deltas`);
+        const ended = [...endedCalls.keys()].sort((a, b) => a - b).map(index => endedCalls.get(index));
+        const finalCalls = event.final_tool_calls || [];
+        if (JSON.stringify(finalCalls) !== JSON.stringify(ended)) problems.push(`${at}: final_tool_calls don't match the ended tool calls`);
+        if (finalCalls.length > 0 && event.finish_reason === 'stop') problems.push(`${at}: tool calls can't finish with stop`);
+        break;
+      }
+      case 'error':
+        if (typeof event.error !== 'string' || typeof event.retryable !== 'boolean') problems.push(`${at}: error and retryable are required`);
+        break;
+      default:
+        break;
+    }
+  });
+
+  const last = events[events.length - 1];
+  if (!last || (last.type !== 'finish' && last.type !== 'error')) {
+    problems.push('the stream must end with finish or error');
+  }
+  return problems;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  FINISH_REASONS,
+  normalizeFinishReason,
+  streamErrorEvent,
+  isErrorEvent,
+  StreamEventBuilder,
+  validateStreamEvents
+};
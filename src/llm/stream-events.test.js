@@ -0,0 +1,63 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { normalizeFinishReason, streamErrorEvent, StreamEventBuilder, validateStreamEvents } = require('./stream-events');
+
+describe('stream events', () => {
+  test('normalizes the provider finish reasons', () => {
+    expect(normalizeFinishReason('end_turn')).toBe('stop');
+    expect(normalizeFinishReason('MAX_TOKENS')).toBe('length');
+    expect(normalizeFinishReason('SAFETY')).toBe('content_filter');
+    expect(normalizeFinishReason('tool_use', true)).toBe('tool_calls');
+    // Gemini reports STOP when it calls functions
+    expect(normalizeFinishReason('STOP', true)).toBe('tool_calls');
+    expect(normalizeFinishReason(null)).toBe('stop');
+    expect(normalizeFinishReason('MALFORMED_FUNCTION_CALL')).toBe('other');
+  });
+
+  test('the builder closes open tool calls before finishing', () => {
+    const events = new StreamEventBuilder('openai', 'gpt-test');
+    const stream = [
+      events.start(),
+      events.contentDelta('Vou ver.'),
+      events.toolCallStart(0, 'call_1', 'weather'),
+      events.toolCallDelta(0, '{"city":"Paris"}'),
+      events.toolCallStart(1, 'call_2', 'time'),
+      ...events.finishEvents('tool_calls', { prompt_tokens: 3, completion_tokens: 4, cached_tokens: 0, total_tokens: 7 })
+    ];
+
+    expect(events.contentDelta('')).toBeNull();
+    expect(validateStreamEvents(stream)).toEqual([]);
+    expect(stream.map(event => event.type)).toEqual([
+      'start', 'content_delta', 'tool_call_start', 'tool_call_delta', 'tool_call_start', 'tool_call_end', 'tool_call_end', 'usage', 'finish'
+    ]);
+    expect(stream[stream.length - 1]).toEqual({
+      type: 'finish',
+      finish_reason: 'tool_calls',
+      provider_finish_reason: 'tool_calls',
+      final_content: 'Vou ver.',
+      final_tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+        { id: 'call_2', type: 'function', function: { name: 'time', arguments: '{}' } }
+      ],
+      usage: { prompt_tokens: 3, completion_tokens: 4, cached_tokens: 0, total_tokens: 7 }
+    });
+  });
+
+  test('reports the streams that break the model', () => {
+    const error = Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+
+    expect(validateStreamEvents([
+      { type: 'content', content: 'Olá' },
+      { type: 'tool_call_delta', index: 0, id: 'call_1', delta: '{}' },
+      { type: 'finish', finish_reason: 'STOP', final_content: 'Olá', final_tool_calls: null }
+    ])).toEqual([
+      'event 0 (content): unknown event type',
+      'event 1 (tool_call_delta): delta of a tool call that is not open',
+      'event 2 (finish): finish_reason STOP is not normalized',
+      "event 2 (finish): final_content doesn't match the content deltas"
+    ]);
+    expect(validateStreamEvents([{ type: 'start', provider: 'openai' }, streamErrorEvent(error, true)])).toEqual([]);
+    expect(validateStreamEvents([{ type: 'start', provider: 'openai' }])).toEqual(['the stream must end with finish or error']);
+  });
+});
@@ -0,0 +1,288 @@
+const Ajv = require('ajv');
+const { LLMError } = require('./llm-errors');
+const logger = require('../utils/logger');
+const { sumUsage } = require('./usage');
+const { isErrorEvent } = require('./stream-events');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Schemas come from the request body, they are limited before being compiled
+const MAX_SCHEMA_LENGTH = 65536;
+const MAX_SCHEMA_DEPTH = 32;
+// Regexes would run on the model output with the backtracking RegExp engine (ReDoS)
+const UNSUPPORTED_KEYWORDS = ['pattern', 'patternProperties'];
+// Keywords whose object keys are property or definition names, not keywords
+const NAMED_SCHEMAS = ['properties', 'patternProperties', 'dependentSchemas', '$defs', 'definitions'];
+// Keywords whose values are data, not schemas
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'examples'];
+const MAX_CACHED_SCHEMAS = 100;
+
+// addUsedSchema: false keeps $id out of Ajv's registry, requests can reuse an $id
+const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false, addUsedSchema: false });
+// Compiled validators by schema JSON, the oldest is dropped past MAX_CACHED_SCHEMAS
+const compiledSchemas = new Map();
+
+/**
+ * @returns {string|null} Why the schema can't be compiled, null when it can
+ */
+function schemaProblem(schema, depth = 1) {
+  if (depth > MAX_SCHEMA_DEPTH) return `schema is nested deeper than ${MAX_SCHEMA_DEPTH} levels`;
+  if (Array.isArray(schema)) {
+    return schema.reduce((problem, item) => problem || schemaProblem(item, depth + 1), null);
+  }
+  if (schema === null || typeof schema !== 'object') return null;
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (UNSUPPORTED_KEYWORDS.includes(keyword)) return `the ${keyword} keyword is not supported`;
+    if (DATA_KEYWORDS.includes(keyword)) continue;
+    const problem = NAMED_SCHEMAS.includes(keyword) && value !== null && typeof value === 'object'
+      ? Object.values(value).reduce((found, named) => found || schemaProblem(named, depth + 2), null)
+      : schemaProblem(value, depth + 1);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Compiles a response_format schema, reusing the validator of an identical
+ * schema. Ajv's own cache is keyed by the schema object, a new one on every
+ * request, so the schema is removed from it once compiled.
+ *
+ * @throws {Error} When the schema is too large, too deep, uses a regex or is invalid
+ */
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  const cached = compiledSchemas.get(key);
+  if (cached) return cached;
+
+  if (key.length > MAX_SCHEMA_LENGTH) throw new Error(`schema is larger than ${MAX_SCHEMA_LENGTH} characters`);
+  const problem = schemaProblem(schema);
+  if (problem) throw new Error(problem);
+
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } finally {
+    ajv.removeSchema(schema);
+  }
+  compiledSchemas.set(key, validate);
+  if (compiledSchemas.size > MAX_CACHED_SCHEMAS) {
+    compiledSchemas.delete(compiledSchemas.keys().next().value);
+  }
+  return validate;
+}
+
+function invalid(message) {
+  return new LLMError(message, { status: 400, code: 'invalid_response_format', retryable: false });
+}
+
+/**
+ * Validates a response_format (OpenAI shape) and returns its normalized copy,
+ * or null when plain text is requested.
+ *
+ * Accepted: { type: 'text' }, { type: 'json_object' } and
+ * { type: 'json_schema', json_schema: { name, schema, strict?, description? } }
+ *
+ * @throws {LLMError} 400 when the format or its schema is invalid
+ */
+function normalizeResponseFormat(responseFormat) {
+  if (responseFormat === undefined || responseFormat === null) return null;
+  if (typeof responseFormat !== 'object' || Array.isArray(responseFormat)) {
+    throw invalid('response_format must be an object');
+  }
+
+  const { type } = responseFormat;
+  if (type === 'text') return null;
+  if (type === 'json_object') return { type };
+  if (type !== 'json_schema') {
+    throw invalid(`response_format.type must be text, json_object or json_schema, got ${type}`);
+  }
+
+  const jsonSchema = responseFormat.json_schema;
+  if (!jsonSchema || typeof jsonSchema.schema !== 'object' || jsonSchema.schema === null) {
+    throw invalid('response_format.json_schema.schema must be a JSON schema object');
+  }
+  let validate;
+  try {
+    validate = compileSchema(jsonSchema.schema);
+  } catch (error) {
+    throw invalid(`Invalid response_format schema: ${error.message}`);
+  }
+
+  const normalized = {
+    name: jsonSchema.name || 'response',
+    schema: jsonSchema.schema
+  };
+  if (jsonSchema.description) normalized.description = jsonSchema.description;
+  if (jsonSchema.strict !== undefined) normalized.strict = jsonSchema.strict;
+  // Not enumerable: the format is sent to the providers as it is
+  Object.defineProperty(normalized, 'validate', { value: validate });
+  return { type, json_schema: normalized };
+}
+
+/**
+ * Models sometimes wrap the JSON in a markdown code block
+ */
+function extractJson(content) {
+  const text = (content || '').trim();
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(text);
+  return fenced ? fenced[1] : text;
+}
+
+/**
+ * Parses the content and validates it against the response format, with the
+ * validator compiled by normalizeResponseFormat
+ *
+ * @returns {{valid: boolean, parsed: *, errors: Array<string>}}
+ */
+function validateContent(content, responseFormat) {
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJson(content));
+  } catch (error) {
+    return { valid: false, parsed: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (responseFormat.type === 'json_object') {
+    const isObject = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+    return isObject
+      ? { valid: true, parsed, errors: [] }
+      : { valid: false, parsed: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const validate = responseFormat.json_schema.validate || compileSchema(responseFormat.json_schema.schema);
+  if (validate(parsed)) {
+    return { valid: true, parsed, errors: [] };
+  }
+  const errors = validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  return { valid: false, parsed: null, errors };
+}
+
+function repairMessages(content, errors) {
+  return [
+    { role: 'assistant', content: content || '' },
+    {
+      role: 'user',
+      content: `Your previous response does not match the required JSON format:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+        'Reply again with only the corrected JSON, without any other text.'
+    }
+  ];
+}
+
+/**
+ * Error responses (_error_metadata) and client tool calls are returned as they are
+ */
+function needsValidation(response) {
+  return !response._error_metadata && !(Array.isArray(response.tool_calls) && response.tool_calls.length > 0);
+}
+
+/**
+ * Runs a model call and validates its final content against the response
+ * format, re-asking the model with the validation errors until it answers
+ * with valid JSON or maxAttempts is reached.
+ *
+ * @param {Function} run - async (messages) => ({ response, messages? }), one model call (or tool loop)
+ * @param {Array} messages - Conversation so far
+ * @param {Object} responseFormat - Normalized response format
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=3] - Model answers validated, the first one included
+ * @returns {Promise<{response: Object, messages: Array, attempts: number}>}
+ *   The response carries `parsed` next to `content`, and `_structured_output`
+ */
+async function sendStructured(run, messages, responseFormat, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const produced = [];
+  let repair = [];
+  let usage = null;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await run([...messages, ...produced, ...repair]);
+    // Usage covers the repair attempts too
+    usage = sumUsage(usage, result.response.usage);
+    const response = usage ? { ...result.response, usage } : result.response;
+    produced.push(...(result.messages || []));
+
+    if (!needsValidation(response)) {
+      return { response, messages: produced, attempts: attempt };
+    }
+
+    const { valid, parsed, errors } = validateContent(response.content, responseFormat);
+    if (valid || attempt >= maxAttempts) {
+      if (!valid) {
+        logger.warn(`Structured output still invalid after ${attempt} attempts: ${errors.join('; ')}`);
+      }
+      return {
+        response: {
+          ...response,
+          parsed,
+          _structured_output: valid ? { attempts: attempt, valid } : { attempts: attempt, valid, errors }
+        },
+        messages: produced,
+        attempts: attempt
+      };
+    }
+
+    repair = repairMessages(response.content, errors);
+  }
+}
+
+/**
+ * Streaming version of sendStructured. Events are forwarded as they arrive;
+ * when an answer is invalid a `structured_output_retry` event is emitted and
+ * the next attempt is streamed. The last finish event carries `parsed`.
+ *
+ * @param {Function} start - async (messages) => stream, starts one model stream (or streaming tool loop)
+ */
+async function streamStructured(start, messages, responseFormat, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      const produced = [];
+      let repair = [];
+      let usage = null;
+
+      for (let attempt = 1; ; attempt++) {
+        const stream = await start([...messages, ...produced, ...repair]);
+        let finish = null;
+
+        for await (const event of stream) {
+          if (event && event.type === 'finish') {
+            finish = event;
+            continue;
+          }
+          yield event;
+          if (isErrorEvent(event)) {
+            return;
+          }
+        }
+
+        if (!finish) return;
+        produced.push(...(finish.messages || []));
+        usage = sumUsage(usage, finish.usage);
+        if (usage) {
+          finish = { ...finish, usage };
+        }
+
+        const response = { content: finish.final_content, tool_calls: finish.final_tool_calls, _error_metadata: finish._error_metadata };
+        if (!needsValidation(response)) {
+          yield finish;
+          return;
+        }
+
+        const { valid, parsed, errors } = validateContent(finish.final_content, responseFormat);
+        if (valid || attempt >= maxAttempts) {
+          yield {
+            ...finish,
+            ...(finish.messages ? { messages: produced } : {}),
+            parsed,
+            _structured_output: valid ? { attempts: attempt, valid } : { attempts: attempt, valid, errors }
+          };
+          return;
+        }
+
+        yield { type: 'structured_output_retry', attempt, errors };
+        repair = repairMessages(finish.final_content, errors);
+      }
+    }
+  };
+}
+
+module.exports = { normalizeResponseFormat, validateContent, sendStructured, streamStructured };
@@ -0,0 +1,178 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, jest } = require('@jest/globals');
+const { normalizeResponseFormat, validateContent, sendStructured, streamStructured } = require('./structured-output');
+
+const personFormat = normalizeResponseFormat({
+  type: 'json_schema',
+  json_schema: {
+    name: 'person',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: { name: { type: 'string' }, age: { type: 'integer' } },
+      required: ['name', 'age'],
+      additionalProperties: false
+    }
+  }
+});
+
+function streamOf(events) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('structured output', () => {
+  test('normalizes response formats', () => {
+    expect(normalizeResponseFormat(undefined)).toBeNull();
+    expect(normalizeResponseFormat({ type: 'text' })).toBeNull();
+    expect(normalizeResponseFormat({ type: 'json_object' })).toEqual({ type: 'json_object' });
+    expect(personFormat.json_schema.name).toBe('person');
+    expect(personFormat.json_schema.strict).toBe(true);
+  });
+
+  test.each([
+    [{ type: 'xml' }, 'response_format.type must be text, json_object or json_schema'],
+    [{ type: 'json_schema', json_schema: {} }, 'json_schema.schema must be a JSON schema object'],
+    [{ type: 'json_schema', json_schema: { schema: { type: 'objekt' } } }, 'Invalid response_format schema']
+  ])('rejects %j with a 400', (responseFormat, message) => {
+    expect(() => normalizeResponseFormat(responseFormat)).toThrow(message);
+    try {
+      normalizeResponseFormat(responseFormat);
+    } catch (error) {
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('invalid_response_format');
+    }
+  });
+
+  test('validates content, including JSON wrapped in a code block', () => {
+    expect(validateContent('```json\n{"name":"Ana","age":30}\n```', personFormat)).toEqual({
+      valid: true, parsed: { name: 'Ana', age: 30 }, errors: []
+    });
+    expect(validateContent('{"name":"Ana","age":"30"}', personFormat).errors).toEqual(['/age must be integer']);
+    expect(validateContent('Sure! Here it is', personFormat).errors[0]).toContain('Response is not valid JSON');
+    expect(validateContent('[1]', { type: 'json_object' }).errors).toEqual(['Response must be a JSON object']);
+  });
+
+  test('a schema with an $id can be sent by every request', () => {
+    const responseFormat = {
+      type: 'json_schema',
+      json_schema: { name: 'city', schema: { $id: 'https://example.com/city.json', type: 'object', required: ['name'] } }
+    };
+
+    const first = normalizeResponseFormat(responseFormat);
+    const second = normalizeResponseFormat(responseFormat);
+
+    expect(validateContent('{"name":"Lisboa"}', second).valid).toBe(true);
+    expect(validateContent('{}', first).errors).toEqual(["/ must have required property 'name'"]);
+    // The compiled validator isn't sent to the providers
+    expect(JSON.parse(JSON.stringify(second))).toEqual(responseFormat);
+  });
+
+  test('different schemas can use the same $id', () => {
+    const city = (required) => normalizeResponseFormat({
+      type: 'json_schema',
+      json_schema: { name: 'city', schema: { $id: 'https://example.com/city.json', type: 'object', required } }
+    });
+
+    const byName = city(['name']);
+    const byCountry = city(['country']);
+
+    expect(validateContent('{"name":"Lisboa"}', byName).valid).toBe(true);
+    expect(validateContent('{"name":"Lisboa"}', byCountry).errors).toEqual(["/ must have required property 'country'"]);
+  });
+
+  test('identical schemas reuse the compiled validator', () => {
+    const format = () => ({ type: 'json_schema', json_schema: { name: 'city', schema: { type: 'object', required: ['name'] } } });
+
+    expect(normalizeResponseFormat(format()).json_schema.validate).toBe(normalizeResponseFormat(format()).json_schema.validate);
+  });
+
+  test('rejects regex keywords, and too deep or too large schemas', () => {
+    const withSchema = (schema) => () => normalizeResponseFormat({ type: 'json_schema', json_schema: { name: 'x', schema } });
+    let deep = { type: 'string' };
+    for (let i = 0; i < 40; i++) {
+      deep = { type: 'array', items: deep };
+    }
+
+    expect(withSchema({ type: 'object', properties: { code: { type: 'string', pattern: '^(a+)+$' } } }))
+      .toThrow('Invalid response_format schema: the pattern keyword is not supported');
+    expect(withSchema({ type: 'object', patternProperties: { '^x-': { type: 'string' } } })).toThrow('patternProperties keyword is not supported');
+    expect(withSchema(deep)).toThrow('schema is nested deeper than 32 levels');
+    expect(withSchema({ type: 'string', enum: Array.from({ length: 10000 }, (_, i) => `value-${i}`) })).toThrow('schema is larger than 65536 characters');
+    // Property names and enum values are not keywords
+    expect(withSchema({ type: 'object', properties: { pattern: { type: 'string', enum: [{ pattern: 'x' }] } } })).not.toThrow();
+  });
+
+  test('sendStructured re-asks the model with the validation errors', async () => {
+    const run = jest.fn()
+      .mockResolvedValueOnce({ response: { role: 'assistant', content: '{"name":"Ana"}' } })
+      .mockResolvedValueOnce({ response: { role: 'assistant', content: '{"name":"Ana","age":30}' } });
+
+    const { response, attempts } = await sendStructured(run, [{ role: 'user', content: 'Who?' }], personFormat);
+
+    expect(attempts).toBe(2);
+    expect(response.content).toBe('{"name":"Ana","age":30}');
+    expect(response.parsed).toEqual({ name: 'Ana', age: 30 });
+    expect(response._structured_output).toEqual({ attempts: 2, valid: true });
+
+    const retry = run.mock.calls[1][0];
+    expect(retry).toHaveLength(3);
+    expect(retry[1]).toEqual({ role: 'assistant', content: '{"name":"Ana"}' });
+    expect(retry[2].content).toContain("- / must have required property 'age'");
+  });
+
+  test('sendStructured gives up after maxAttempts and skips error responses', async () => {
+    const run = jest.fn().mockResolvedValue({ response: { role: 'assistant', content: 'nope' } });
+    const { response } = await sendStructured(run, [], personFormat, { maxAttempts: 2 });
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(response.parsed).toBeNull();
+    expect(response._structured_output.valid).toBe(false);
+
+    const failing = jest.fn().mockResolvedValue({ response: { role: 'assistant', content: 'Desculpe', _error_metadata: {} } });
+    const result = await sendStructured(failing, [], personFormat);
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(result.response).not.toHaveProperty('parsed');
+  });
+
+  test('streamStructured emits a retry event and streams the next attempt', async () => {
+    const start = jest.fn()
+      .mockResolvedValueOnce(streamOf([
+        { type: 'content_delta', delta: 'oops' },
+        { type: 'finish', finish_reason: 'stop', final_content: 'oops', final_tool_calls: null }
+      ]))
+      .mockResolvedValueOnce(streamOf([
+        { type: 'content_delta', delta: '{"name":"Ana","age":30}' },
+        { type: 'finish', finish_reason: 'stop', final_content: '{"name":"Ana","age":30}', final_tool_calls: null }
+      ]));
+
+    const events = await collect(await streamStructured(start, [{ role: 'user', content: 'Who?' }], personFormat));
+
+    expect(events.map(e => e.type)).toEqual(['content_delta', 'structured_output_retry', 'content_delta', 'finish']);
+    expect(events[1].attempt).toBe(1);
+    expect(events[3].parsed).toEqual({ name: 'Ana', age: 30 });
+    expect(start.mock.calls[1][0]).toHaveLength(3);
+  });
+});
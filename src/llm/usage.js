@@ -0,0 +1,170 @@
+const logger = require('../utils/logger');
+
+// Prices are given in USD per million tokens
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+function usage(prompt, completion, cached, total) {
+  const promptTokens = prompt || 0;
+  const completionTokens = completion || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    cached_tokens: cached || 0,
+    total_tokens: total || promptTokens + completionTokens
+  };
+}
+
+/**
+ * OpenAI `usage` (Chat Completions) -> normalized usage
+ */
+function fromOpenAIUsage(raw) {
+  if (!raw) return null;
+  return usage(raw.prompt_tokens, raw.completion_tokens, raw.prompt_tokens_details?.cached_tokens, raw.total_tokens);
+}
+
+/**
+ * Gemini `usageMetadata` -> normalized usage
+ */
+function fromGeminiUsage(raw) {
+  if (!raw) return null;
+  return usage(raw.promptTokenCount, raw.candidatesTokenCount, raw.cachedContentTokenCount, raw.totalTokenCount);
+}
+
+/**
+ * Anthropic `usage` -> normalized usage. Anthropic's input_tokens leave out
+ * the tokens read from or written to the prompt cache, so they are added back.
+ */
+function fromAnthropicUsage(raw) {
+  if (!raw) return null;
+  const cached = raw.cache_read_input_tokens || 0;
+  const prompt = (raw.input_tokens || 0) + cached + (raw.cache_creation_input_tokens || 0);
+  return usage(prompt, raw.output_tokens, cached);
+}
+
+/**
+ * Adds two usage blocks (several model calls for one request). Costs are
+ * dropped: they are computed once for the total.
+ */
+function sumUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return {
+    prompt_tokens: a.prompt_tokens + b.prompt_tokens,
+    completion_tokens: a.completion_tokens + b.completion_tokens,
+    cached_tokens: a.cached_tokens + b.cached_tokens,
+    total_tokens: a.total_tokens + b.total_tokens
+  };
+}
+
+/**
+ * Usage of a stream seen so far, to meter streams that stop before their
+ * finish event (client gone, timeout). Every model call starts with a start
+ * event and its usage events carry the call's usage so far; the finish event
+ * has the total of the whole request.
+ */
+class StreamUsage {
+  constructor() {
+    this._completed = null;
+    this._current = null;
+    this._final = null;
+  }
+
+  track(event) {
+    if (!event) return;
+    if (event.type === 'start') {
+      this._completed = sumUsage(this._completed, this._current);
+      this._current = null;
+    } else if (event.type === 'usage') {
+      this._current = event.usage || null;
+    } else if (event.type === 'finish' && event.usage) {
+      this._final = event.usage;
+    }
+  }
+
+  get usage() {
+    return this._final || sumUsage(this._completed, this._current);
+  }
+}
+
+/**
+ * Converts a normalized usage block into the Chat Completions format
+ */
+function toOpenAIUsage(normalized) {
+  const source = normalized || usage();
+  return {
+    prompt_tokens: source.prompt_tokens,
+    completion_tokens: source.completion_tokens,
+    total_tokens: source.total_tokens,
+    prompt_tokens_details: { cached_tokens: source.cached_tokens }
+  };
+}
+
+/**
+ * Prices the usage of each request and reports it to the usage hook.
+ *
+ * Price table entries are keyed by 'provider:model' or 'model', in USD per
+ * million tokens: { input, output, cached_input? }. Cached prompt tokens use
+ * `cached_input` when set, `input` otherwise.
+ */
+class UsageMeter {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, {input: number, output: number, cached_input?: number}>} [options.prices]
+   * @param {Function} [options.onUsage] - async ({ req, principal, endpoint, provider, model, streaming, usage }) => void
+   */
+  constructor({ prices, onUsage } = {}) {
+    this.prices = prices || {};
+    this.onUsage = onUsage;
+  }
+
+  _findPrice(provider, model) {
+    if (!model) return null;
+    return this.prices[`${provider}:${model}`] || this.prices[model] || null;
+  }
+
+  /**
+   * Returns the usage with `estimated_cost` (USD) when the model has a price
+   */
+  price(normalized, provider, model) {
+    const priced = { ...(normalized || usage()) };
+    delete priced.estimated_cost;
+    const price = this._findPrice(provider, model);
+    if (!price) return priced;
+
+    const cachedPrice = price.cached_input !== undefined ? price.cached_input : price.input;
+    const cost = ((priced.prompt_tokens - priced.cached_tokens) * (price.input || 0)
+      + priced.cached_tokens * (cachedPrice || 0)
+      + priced.completion_tokens * (price.output || 0)) / TOKENS_PER_PRICE_UNIT;
+    priced.estimated_cost = Number(cost.toFixed(8));
+    return priced;
+  }
+
+  /**
+   * Prices the usage and fires the usage hook. Hook failures are logged and
+   * never fail the request.
+   *
+   * @param {Object} details - { req, endpoint, provider, model, streaming, usage }
+   * @returns {Object} The priced usage
+   */
+  record(details) {
+    const priced = this.price(details.usage, details.provider, details.model);
+    if (typeof this.onUsage === 'function') {
+      // The authenticated principal (req.principal) is passed along for billing
+      const principal = details.req ? details.req.principal : undefined;
+      Promise.resolve()
+        .then(() => this.onUsage({ ...details, principal, usage: priced }))
+        .catch(error => logger.error(`Usage hook failed: ${error.message}`));
+    }
+    return priced;
+  }
+}
+
+module.exports = {
+  UsageMeter,
+  fromOpenAIUsage,
+  fromGeminiUsage,
+  fromAnthropicUsage,
+  sumUsage,
+  toOpenAIUsage,
+  StreamUsage
+};
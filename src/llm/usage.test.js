@@ -0,0 +1,83 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, jest } = require('@jest/globals');
+const { UsageMeter, fromOpenAIUsage, fromGeminiUsage, fromAnthropicUsage, sumUsage, toOpenAIUsage, StreamUsage } = require('./usage');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('usage', () => {
+  test('normalizes the provider usage formats', () => {
+    expect(fromOpenAIUsage({ prompt_tokens: 100, completion_tokens: 20, total_tokens: 120, prompt_tokens_details: { cached_tokens: 64 } }))
+      .toEqual({ prompt_tokens: 100, completion_tokens: 20, cached_tokens: 64, total_tokens: 120 });
+    expect(fromGeminiUsage({ promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }))
+      .toEqual({ prompt_tokens: 10, completion_tokens: 5, cached_tokens: 0, total_tokens: 15 });
+    expect(fromAnthropicUsage({ input_tokens: 10, cache_read_input_tokens: 80, cache_creation_input_tokens: 10, output_tokens: 7 }))
+      .toEqual({ prompt_tokens: 100, completion_tokens: 7, cached_tokens: 80, total_tokens: 107 });
+    expect(fromOpenAIUsage(undefined)).toBeNull();
+  });
+
+  test('sums usage and converts it back to the Chat Completions format', () => {
+    const a = { prompt_tokens: 10, completion_tokens: 5, cached_tokens: 2, total_tokens: 15, estimated_cost: 1 };
+    const b = { prompt_tokens: 20, completion_tokens: 1, cached_tokens: 0, total_tokens: 21 };
+
+    expect(sumUsage(null, b)).toBe(b);
+    expect(sumUsage(a, b)).toEqual({ prompt_tokens: 30, completion_tokens: 6, cached_tokens: 2, total_tokens: 36 });
+    expect(toOpenAIUsage(null)).toEqual({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, prompt_tokens_details: { cached_tokens: 0 } });
+  });
+
+  test('StreamUsage sums the model calls of a stream that never finished', () => {
+    const call = (tokens) => ({ prompt_tokens: tokens, completion_tokens: 1, cached_tokens: 0, total_tokens: tokens + 1 });
+    const seen = new StreamUsage();
+    expect(seen.usage).toBeNull();
+
+    [
+      { type: 'start' },
+      { type: 'usage', usage: call(10) },
+      { type: 'usage', usage: call(12) },
+      { type: 'tool_result' },
+      { type: 'start' },
+      { type: 'usage', usage: call(30) },
+      { type: 'content_delta', delta: 'par' }
+    ].forEach(event => seen.track(event));
+    expect(seen.usage).toEqual({ prompt_tokens: 42, completion_tokens: 2, cached_tokens: 0, total_tokens: 44 });
+
+    seen.track({ type: 'finish', usage: call(50) });
+    expect(seen.usage).toEqual(call(50));
+  });
+
+  test('prices usage with the price table', () => {
+    const meter = new UsageMeter({
+      prices: {
+        'openai:gpt-4.1': { input: 2, output: 8, cached_input: 0.5 },
+        'gemini-2.5-pro': { input: 1.25, output: 10 }
+      }
+    });
+    const usage = { prompt_tokens: 1000000, completion_tokens: 500000, cached_tokens: 200000, total_tokens: 1500000 };
+
+    expect(meter.price(usage, 'openai', 'gpt-4.1').estimated_cost).toBe(1.6 + 0.1 + 4);
+    expect(meter.price(usage, 'gemini', 'gemini-2.5-pro').estimated_cost).toBe(1.25 + 5);
+    expect(meter.price(usage, 'openai', 'unknown')).not.toHaveProperty('estimated_cost');
+    expect(meter.price(null, 'openai', 'gpt-4.1')).toEqual({ prompt_tokens: 0, completion_tokens: 0, cached_tokens: 0, total_tokens: 0, estimated_cost: 0 });
+  });
+
+  test('record fires the usage hook without failing on hook errors', async () => {
+    const onUsage = jest.fn().mockRejectedValueOnce(new Error('billing down'));
+    const meter = new UsageMeter({ prices: { 'gpt-4.1': { input: 1, output: 1 } }, onUsage });
+    const usage = { prompt_tokens: 1, completion_tokens: 1, cached_tokens: 0, total_tokens: 2 };
+
+    const priced = meter.record({ endpoint: 'message', provider: 'openai', model: 'gpt-4.1', streaming: false, usage });
+    await flush();
+
+    expect(priced.estimated_cost).toBe(0.000002);
+    expect(onUsage).toHaveBeenCalledWith({ endpoint: 'message', principal: undefined, provider: 'openai', model: 'gpt-4.1', streaming: false, usage: priced });
+    expect(mockLogger.error).toHaveBeenCalledWith('Usage hook failed: billing down');
+  });
+});
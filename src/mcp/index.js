@@ -0,0 +1,3 @@
+const { MCPToolProvider } = require('./mcp-tool-provider');
+
+module.exports = { MCPToolProvider };
\ No newline at end of file
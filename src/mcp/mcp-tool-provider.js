@@ -0,0 +1,195 @@
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const logger = require('../utils/logger');
+
+const CLIENT_INFO = { name: 'ajent-api', version: '1.0.0' };
+
+// A server that doesn't connect (and list its tools) in time is skipped
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+// Function names accepted by OpenAI, Anthropic and Gemini
+const MAX_TOOL_NAME_LENGTH = 64;
+
+/**
+ * Registered name of an MCP tool: namespaced with toolPrefix (the server name
+ * followed by '_' by default), other characters than letters, digits, '_' and
+ * '-' replaced with '_', cut at 64 characters
+ */
+function toolNameFor(server, toolName) {
+  const prefix = server.toolPrefix ?? `${server.name}_`;
+  return `${prefix}${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+function createTransport(server) {
+  // An already built MCP transport can be passed as is
+  if (server.transport && typeof server.transport === 'object') {
+    return server.transport;
+  }
+  const transport = server.transport || (server.url ? 'http' : 'stdio');
+  if (transport === 'stdio') {
+    if (!server.command) {
+      throw new Error(`MCP server ${server.name} requires a command for the stdio transport.`);
+    }
+    return new StdioClientTransport({
+      command: server.command,
+      args: server.args || [],
+      env: server.env,
+      cwd: server.cwd
+    });
+  }
+  if (transport === 'http') {
+    if (!server.url) {
+      throw new Error(`MCP server ${server.name} requires a url for the http transport.`);
+    }
+    return new StreamableHTTPClientTransport(new URL(server.url), {
+      requestInit: server.headers ? { headers: server.headers } : undefined
+    });
+  }
+  throw new Error(`Unsupported MCP transport: ${transport}`);
+}
+
+/**
+ * Converts an MCP tools/call result into the content of a tool message
+ */
+function toToolContent(result) {
+  const text = (result.content || [])
+    .map(part => (part.type === 'text' ? part.text : JSON.stringify(part)))
+    .join('\n');
+  const content = text || (result.structuredContent ? JSON.stringify(result.structuredContent) : '');
+  return result.isError ? JSON.stringify({ error: content || 'MCP tool failed' }) : content;
+}
+
+/**
+ * Connects to MCP servers and registers their tools in a ToolRegistry, so the
+ * server tool loop dispatches the calls to the MCP server that owns each tool.
+ */
+class MCPToolProvider {
+  /**
+   * @param {Array<Object>} servers - MCP servers:
+   *   { name, transport?: 'stdio'|'http', command?, args?, env?, cwd?, url?, headers?, toolPrefix?, connectTimeout? }
+   * @param {ToolRegistry} registry - Registry receiving the discovered tools
+   */
+  constructor(servers, registry) {
+    this.servers = servers || [];
+    this.registry = registry;
+    this._connections = new Map();
+  }
+
+  /**
+   * Connects to every server. A server that fails to connect, or doesn't in
+   * connectTimeout ms, is logged and skipped so the others remain usable.
+   * Never rejects.
+   */
+  async connect() {
+    await Promise.all(this.servers.map(async (server) => {
+      try {
+        await this._connectServer(server);
+      } catch (error) {
+        logger.error(`Failed to connect to MCP server ${server.name}: ${error.message}`);
+      }
+    }));
+  }
+
+  async _connectServer(server) {
+    if (!server.name) {
+      throw new Error("MCP servers require a name.");
+    }
+    const connection = { server, client: new Client(CLIENT_INFO), toolNames: [], closed: false };
+    const timeout = server.connectTimeout ?? DEFAULT_CONNECT_TIMEOUT;
+    const opening = this._open(connection);
+    // Late failures of a server that already timed out are not reported twice
+    opening.catch(() => {});
+
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer after ${timeout}ms`)), timeout);
+    });
+    try {
+      await Promise.race([opening, timedOut]);
+    } catch (error) {
+      await this._disconnect(connection);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this._connections.set(server.name, connection);
+    logger.info(`Connected to MCP server ${server.name} (${connection.toolNames.length} tools)`);
+  }
+
+  async _open(connection) {
+    const { server, client } = connection;
+    await client.connect(createTransport(server));
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, async () => {
+      try {
+        await this._registerTools(connection);
+      } catch (error) {
+        logger.error(`Failed to refresh tools of MCP server ${server.name}: ${error.message}`);
+      }
+    });
+
+    await this._registerTools(connection);
+  }
+
+  async _listTools(client) {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await client.listTools(cursor ? { cursor } : undefined);
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  async _registerTools(connection) {
+    const { server, client } = connection;
+    const tools = await this._listTools(client);
+    // Closed (or timed out) while the tools were being listed
+    if (connection.closed) return;
+
+    connection.toolNames.forEach(name => this.registry.unregister(name));
+    connection.toolNames = [];
+
+    for (const tool of tools) {
+      const name = toolNameFor(server, tool.name);
+      if (this.registry.has(name)) {
+        logger.warn(`Skipping MCP tool ${name} from ${server.name}: a tool with this name is already registered`);
+        continue;
+      }
+      this.registry.register({
+        name,
+        description: tool.description,
+        parameters: tool.inputSchema,
+        // The signal of the request cancels the call on the MCP server too
+        handler: async (args, context = {}) => toToolContent(
+          await client.callTool({ name: tool.name, arguments: args }, undefined, { signal: context.signal })
+        )
+      });
+      connection.toolNames.push(name);
+    }
+  }
+
+  async _disconnect(connection) {
+    const { server, client, toolNames } = connection;
+    connection.closed = true;
+    toolNames.forEach(name => this.registry.unregister(name));
+    connection.toolNames = [];
+    try {
+      await client.close();
+    } catch (error) {
+      logger.warn(`Error closing MCP server ${server.name}: ${error.message}`);
+    }
+  }
+
+  async close() {
+    const connections = Array.from(this._connections.values());
+    this._connections.clear();
+    await Promise.all(connections.map(connection => this._disconnect(connection)));
+  }
+}
+
+module.exports = { MCPToolProvider, toToolContent };
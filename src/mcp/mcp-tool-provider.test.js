@@ -0,0 +1,142 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { z } = require('zod');
+const { MCPToolProvider, toToolContent } = require('./mcp-tool-provider');
+const { ToolRegistry } = require('../tools');
+
+function createWeatherServer() {
+  const server = new McpServer({ name: 'weather', version: '1.0.0' });
+  server.tool('forecast', 'Forecast for a city', { city: z.string() }, async ({ city }) => ({
+    content: [{ type: 'text', text: `Sunny in ${city}` }]
+  }));
+  server.tool('fail', 'Always fails', {}, async () => ({
+    content: [{ type: 'text', text: 'upstream down' }],
+    isError: true
+  }));
+  return server;
+}
+
+describe('MCPToolProvider', () => {
+  let registry;
+  let provider;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    registry = new ToolRegistry([{ name: 'local_tool', handler: () => 'local' }]);
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createWeatherServer().connect(serverTransport);
+
+    provider = new MCPToolProvider([
+      { name: 'weather', transport: clientTransport, toolPrefix: 'weather_' },
+      { name: 'broken', transport: 'stdio' }
+    ], registry);
+    await provider.connect();
+  });
+
+  afterEach(async () => {
+    await provider.close();
+  });
+
+  test('registers discovered tools next to the local ones', () => {
+    const definitions = registry.getDefinitions();
+    expect(definitions.map(d => d.function.name)).toEqual(['local_tool', 'weather_forecast', 'weather_fail']);
+
+    const forecast = definitions.find(d => d.function.name === 'weather_forecast');
+    expect(forecast.function.description).toBe('Forecast for a city');
+    expect(forecast.function.parameters.properties.city.type).toBe('string');
+  });
+
+  test('skips servers that fail to connect', () => {
+    expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to connect to MCP server broken'));
+  });
+
+  test('dispatches tool calls to the MCP server', async () => {
+    const result = await registry.execute({
+      id: 'c1',
+      function: { name: 'weather_forecast', arguments: '{"city":"Paris"}' }
+    });
+    expect(result).toBe('Sunny in Paris');
+
+    const failure = await registry.execute({ id: 'c2', function: { name: 'weather_fail', arguments: '{}' } });
+    expect(JSON.parse(failure)).toEqual({ error: 'upstream down' });
+  });
+
+  test('unregisters tools on close', async () => {
+    await provider.close();
+    expect(registry.has('weather_forecast')).toBe(false);
+    expect(registry.has('local_tool')).toBe(true);
+  });
+
+  test('namespaces tool names and keeps them to the characters providers accept', async () => {
+    const mcpServer = new McpServer({ name: 'geo', version: '1.0.0' });
+    mcpServer.tool('lookup.city v2', 'Finds a city', async () => ({ content: [{ type: 'text', text: 'Paris' }] }));
+    mcpServer.tool(`long_${'x'.repeat(80)}`, 'Long name', async () => ({ content: [] }));
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await mcpServer.connect(serverTransport);
+    const geo = new MCPToolProvider([{ name: 'geo data', transport: clientTransport }], registry);
+
+    try {
+      await geo.connect();
+      const names = registry.getDefinitions().map(d => d.function.name).slice(3);
+      expect(names).toEqual(['geo_data_lookup_city_v2', `geo_data_long_${'x'.repeat(50)}`]);
+      expect(names.every(name => /^[a-zA-Z0-9_-]{1,64}$/.test(name))).toBe(true);
+      expect(await registry.execute({ id: 'c1', function: { name: 'geo_data_lookup_city_v2', arguments: '{}' } })).toBe('Paris');
+    } finally {
+      await geo.close();
+    }
+  });
+
+  test('skips a server that does not answer within connectTimeout', async () => {
+    const hung = { start: async () => {}, send: async () => {}, close: async () => {} };
+    const slow = new MCPToolProvider([{ name: 'hung', transport: hung, connectTimeout: 20 }], registry);
+
+    await slow.connect();
+
+    expect(mockLogger.error).toHaveBeenCalledWith('Failed to connect to MCP server hung: no answer after 20ms');
+    expect(registry.getDefinitions()).toHaveLength(3);
+  });
+
+  test('cancels the MCP call when the request is aborted', async () => {
+    let cancelled = false;
+    const mcpServer = new McpServer({ name: 'slow', version: '1.0.0' });
+    mcpServer.tool('wait', 'Never answers', async (extra) => new Promise((resolve) => {
+      extra.signal.addEventListener('abort', () => {
+        cancelled = true;
+        resolve({ content: [] });
+      });
+    }));
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await mcpServer.connect(serverTransport);
+    const slow = new MCPToolProvider([{ name: 'slow', transport: clientTransport }], registry);
+    const controller = new AbortController();
+
+    try {
+      await slow.connect();
+      const result = registry.execute({ id: 'c1', function: { name: 'slow_wait', arguments: '{}' } }, { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      controller.abort(new Error('Client closed the request'));
+
+      expect(JSON.parse(await result)).toEqual({ error: 'Client closed the request' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(cancelled).toBe(true);
+    } finally {
+      await slow.close();
+    }
+  });
+
+  test('toToolContent falls back to structured content', () => {
+    expect(toToolContent({ content: [], structuredContent: { temp: 21 } })).toBe('{"temp":21}');
+  });
+});
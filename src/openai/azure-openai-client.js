@@ -0,0 +1,106 @@
+const { OpenAIClient } = require('./openai-client');
+const { AzureOpenAI } = require('openai');
+const { LLMError } = require('../llm/llm-errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+// Azure error codes that will never succeed on a retry
+const NON_RETRYABLE_CODES = [
+  'DeploymentNotFound',
+  'content_filter',
+  'ResponsibleAIPolicyViolation',
+  'OperationNotSupported',
+];
+
+/**
+ * Client for Azure OpenAI deployments. Reuses OpenAIClient's send, stream and
+ * stt logic; only the SDK client, the model (deployment) resolution and the
+ * error classification are Azure specific.
+ *
+ * Config:
+ * - llmEndpoint: https://<resource>.openai.azure.com (required)
+ * - llmDeployment: deployment name used for chat completions (required)
+ * - llmApiVersion: api-version query parameter (default 2024-10-21)
+ * - llmToken: api-key auth, or
+ * - llmBearerToken / azureADTokenProvider: Microsoft Entra ID bearer token auth
+ * - llmSttModel: deployment name of the Whisper model used by stt()
+ */
+class AzureOpenAIClient extends OpenAIClient {
+  validateConfig() {
+    if (!this.config || !this.config.llmEndpoint || !this.config.llmDeployment) {
+      throw new Error("AzureOpenAIClient requires a valid configuration with an endpoint and a deployment.");
+    }
+
+    const { llmToken, llmBearerToken, azureADTokenProvider } = this.config;
+    if (!llmToken && !llmBearerToken && !azureADTokenProvider) {
+      throw new Error("AzureOpenAIClient requires an api-key (llmToken) or a bearer token (llmBearerToken or azureADTokenProvider).");
+    }
+
+    const options = {
+      endpoint: this.config.llmEndpoint,
+      apiVersion: this.config.llmApiVersion || DEFAULT_API_VERSION,
+    };
+    if (azureADTokenProvider || llmBearerToken) {
+      options.azureADTokenProvider = azureADTokenProvider || (async () => llmBearerToken);
+    } else {
+      options.apiKey = llmToken;
+    }
+
+    // The deployment is sent as the model, so stt() can target a different deployment
+    this._client = new AzureOpenAI(options);
+  }
+
+  _buildRequest(messages, tools, model, options) {
+    return {
+      ...super._buildRequest(messages, tools, model, options),
+      model: model || this.config.llmDeployment
+    };
+  }
+
+  _validateChoice(choice) {
+    if (choice?.finish_reason === 'content_filter') {
+      logger.warn(`Azure content filter blocked the completion on deployment ${this.config.llmDeployment}`);
+      throw new LLMError('Azure OpenAI content filter blocked the completion', {
+        status: 400,
+        code: 'content_filter',
+        retryable: false,
+        provider: 'azure'
+      });
+    }
+  }
+
+  _wrapError(message, error) {
+    const wrapped = super._wrapError(message, error);
+    const code = this._getAzureErrorCode(error);
+    if (code) {
+      wrapped.code = code;
+    }
+    if (code === 'DeploymentNotFound') {
+      wrapped.message = `Azure deployment not found (${this.config.llmDeployment}): ${error.message}`;
+    }
+    return wrapped;
+  }
+
+  /**
+   * Azure puts the meaningful code either on the error itself or on
+   * error.innererror (content filter results)
+   */
+  _getAzureErrorCode(error) {
+    return error?.error?.innererror?.code || error?.innererror?.code || error?.error?.code || error?.code;
+  }
+
+  _isRetryableError(error) {
+    const code = this._getAzureErrorCode(error);
+    if (typeof code === 'string' && NON_RETRYABLE_CODES.includes(code)) {
+      return false;
+    }
+    // Azure answers 408 when the deployment takes too long to start the response
+    if ((error.status || error.code) === 408) {
+      return true;
+    }
+    return super._isRetryableError(error);
+  }
+}
+
+module.exports = { AzureOpenAIClient };
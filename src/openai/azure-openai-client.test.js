@@ -0,0 +1,141 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { AzureOpenAIClient } = require('./azure-openai-client');
+const { OpenAIClient } = require('./openai-client');
+const { LLMError } = require('../llm/llm-errors');
+const { validateStreamEvents } = require('../llm/stream-events');
+
+describe('AzureOpenAIClient', () => {
+  const config = {
+    llmEndpoint: 'https://my-resource.openai.azure.com',
+    llmDeployment: 'gpt-4o-prod',
+    llmApiVersion: '2024-10-21',
+    llmToken: 'azure-key',
+    maxRetries: 2,
+    initialRetryDelay: 1,
+    maxRetryDelay: 2,
+  };
+  const mockCreate = jest.fn();
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new AzureOpenAIClient(config);
+    client._client = { chat: { completions: { create: mockCreate } } };
+  });
+
+  test('should extend OpenAIClient', () => {
+    expect(client).toBeInstanceOf(OpenAIClient);
+  });
+
+  describe('validateConfig', () => {
+    test('requires endpoint and deployment', () => {
+      expect(() => new AzureOpenAIClient({ llmToken: 'k' })).toThrow('requires a valid configuration with an endpoint and a deployment');
+    });
+
+    test('requires api-key or bearer token auth', () => {
+      expect(() => new AzureOpenAIClient({ llmEndpoint: config.llmEndpoint, llmDeployment: 'd' }))
+        .toThrow('requires an api-key');
+    });
+
+    test('uses api-version and api-key', () => {
+      const azure = new AzureOpenAIClient(config);
+      expect(azure._client.apiVersion).toBe('2024-10-21');
+      expect(azure._client.apiKey).toBe('azure-key');
+    });
+
+    test('supports bearer token auth', async () => {
+      const azure = new AzureOpenAIClient({ ...config, llmToken: undefined, llmBearerToken: 'entra-token' });
+      expect(await azure._client._azureADTokenProvider()).toBe('entra-token');
+    });
+  });
+
+  test('sends the deployment as the model', async () => {
+    mockCreate.mockResolvedValue({ choices: [{ message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }] });
+
+    const result = await client.send([{ role: 'user', content: 'hi' }], []);
+
+    expect(mockCreate.mock.calls[0][0].model).toBe('gpt-4o-prod');
+    expect(result.content).toBe('ok');
+  });
+
+  test('content filter finish reason is not retried', async () => {
+    mockCreate.mockResolvedValue({ choices: [{ message: { role: 'assistant', content: null }, finish_reason: 'content_filter' }] });
+
+    await expect(client._sendImplementation([{ role: 'user', content: 'hi' }], [])).rejects.toBeInstanceOf(LLMError);
+
+    const result = await client.send([{ role: 'user', content: 'hi' }], []);
+    expect(result.content).toContain('problema técnico');
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+  });
+
+  test('a streamed answer stopped by the content filter ends with an error event', async () => {
+    const chunks = [
+      { choices: [], prompt_filter_results: [{ prompt_index: 0, content_filter_results: {} }] },
+      { choices: [{ index: 0, delta: { role: 'assistant', content: 'Here is how to' } }] },
+      { choices: [{ index: 0, delta: {}, finish_reason: 'content_filter' }] }
+    ];
+    mockCreate.mockResolvedValue({
+      [Symbol.asyncIterator]: async function* () {
+        yield* chunks;
+      }
+    });
+
+    const events = [];
+    for await (const event of await client.stream([{ role: 'user', content: 'hi' }], [])) {
+      events.push(event);
+    }
+
+    expect(validateStreamEvents(events)).toEqual([]);
+    expect(events.some(event => event.type === 'finish')).toBe(false);
+    expect(events[events.length - 1]).toEqual({
+      type: 'error',
+      error: 'Azure OpenAI content filter blocked the completion',
+      details: 'content_filter',
+      status: 400,
+      retryable: false
+    });
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+
+  test('deployment not found is not retried', async () => {
+    const error = new Error('The API deployment for this resource does not exist.');
+    error.name = 'NotFoundError';
+    error.status = 404;
+    error.code = 'DeploymentNotFound';
+    mockCreate.mockRejectedValue(error);
+
+    await expect(client._sendImplementation([], [])).rejects.toThrow('Azure deployment not found (gpt-4o-prod)');
+    await client.send([], []);
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+  });
+
+  test('classifies Azure specific errors', () => {
+    expect(client._isRetryableError({ status: 400, error: { innererror: { code: 'ResponsibleAIPolicyViolation' } } })).toBe(false);
+    expect(client._isRetryableError({ status: 404, code: 'DeploymentNotFound' })).toBe(false);
+    expect(client._isRetryableError({ status: 408 })).toBe(true);
+    expect(client._isRetryableError({ status: 429, code: '429' })).toBe(true);
+  });
+
+  test('rate limits are retried', async () => {
+    const error = new Error('Requests to the ChatCompletions_Create Operation have exceeded call rate limit');
+    error.name = 'RateLimitError';
+    error.status = 429;
+    mockCreate
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }] });
+
+    const result = await client.send([{ role: 'user', content: 'hi' }], []);
+    expect(result.content).toBe('ok');
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,3 +1,5 @@
 const { OpenAIClient } = require('./openai-client');
+const { OpenAICompatibleClient } = require('./openai-compatible-client');
+const { AzureOpenAIClient } = require('./azure-openai-client');
 
-module.exports = { OpenAIClient };
\ No newline at end of file
+module.exports = { OpenAIClient, OpenAICompatibleClient, AzureOpenAIClient };
\ No newline at end of file
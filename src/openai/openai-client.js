@@ -1,9 +1,33 @@
 const { LLMClient } = require('../llm/llm-client');
 const { ResponseSerializer } = require('../llm/response-serializer');
+const { LLMError } = require('../llm/llm-errors');
+const { GENERATION_OPTIONS } = require('../llm/generation-options');
+const { fromOpenAIUsage } = require('../llm/usage');
+const { streamErrorEvent } = require('../llm/stream-events');
+const { readHeader, parseDuration } = require('../llm/retry-hints');
 const OpenAI = require('openai');
 const fs = require('fs');
 const logger = require('../utils/logger');
 
+function isJSON(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function invalidToolArguments(toolCall, finishReason) {
+  // Cut by max_tokens, asking again gives the same result
+  const truncated = finishReason === 'length';
+  return new LLMError(`Tool call ${toolCall.id} (${toolCall.function.name}) has invalid JSON arguments${truncated ? ', the answer was truncated' : ''}`, {
+    status: 502,
+    code: 'invalid_tool_arguments',
+    retryable: !truncated
+  });
+}
+
 class OpenAIClient extends LLMClient {
   constructor(config) {
     super(config);
@@ -17,160 +41,263 @@ class OpenAIClient extends LLMClient {
       this._client = new OpenAI({ apiKey: this.config.llmToken });
     }
 
-  async _sendImplementation(messages, tools, model) {
+  // Chat Completions has no top_k
+  getSupportedGenerationOptions() {
+    return Object.keys(GENERATION_OPTIONS).filter(name => name !== 'top_k');
+  }
+
+  /**
+   * Builds the chat.completions request body. Subclasses can override it to
+   * adapt the payload to a different server.
+   */
+  _buildRequest(messages, tools, model, options = {}) {
+    const request = {
+      model: model || this.config.model || this.config.llmModel || "gpt-4.1",
+      messages: messages,
+      tools: tools,
+      ...this._buildGenerationParams(options.generation, tools)
+    };
+    if (options.responseFormat) {
+      request.response_format = options.responseFormat;
+    }
+    return request;
+  }
+
+  /**
+   * Generation options already use the Chat Completions names; tool_choice is
+   * only sent along with tools, the API rejects it otherwise
+   */
+  _buildGenerationParams(generation, tools) {
+    const { tool_choice, ...params } = generation || {};
+    if (tool_choice && tools && tools.length > 0) {
+      params.tool_choice = tool_choice;
+    }
+    return params;
+  }
+
+  async _sendImplementation(messages, tools, model, options = {}) {
     try {
-      const response = await this._client.chat.completions.create({
-        model: model || this.config.model || "gpt-4.1",
-        messages: messages,
-        tools: tools
-      });
+      const response = await this._client.chat.completions.create(this._buildRequest(messages, tools, model, options), ...this._sdkOptions(options));
       
-      const message = response.choices[0].message;
-      return this.serializeResponse(message);
+      const choice = response.choices[0];
+      this._validateChoice(choice);
+      const message = { ...choice.message, provider_finish_reason: choice.finish_reason };
+      const usage = fromOpenAIUsage(response.usage);
+      return this.serializeResponse(usage ? { ...message, usage } : message);
     } catch (error) {
-      if (error.name === 'APIError') {
+      if (error instanceof LLMError) {
+        throw error;
+      } else if (error.name === 'APIError') {
         logger.error(`OpenAI API error: ${error}`);
-        throw new Error(`OpenAI API error: ${error.message}`, error.code);
+        throw this._wrapError(`OpenAI API error: ${error.message}`, error);
       } else if (error.name === 'RateLimitError') {
         logger.warn("Rate limit exceeded. Please slow down your requests.");
-        throw new Error(`Rate limit exceeded: ${error.message}`, error.code);
+        throw this._wrapError(`Rate limit exceeded: ${error.message}`, error);
       } else if (error.name === 'InvalidRequestError') {
         logger.error(`Invalid request: ${error}`);
-        throw new Error(`Invalid request: ${error.message}`, error.code);
+        throw this._wrapError(`Invalid request: ${error.message}`, error);
       } else if (error.name === 'AuthenticationError') {
         logger.error(`Authentication error: ${error}`);
-        throw new Error(`Authentication error: ${error.message}`, error.code);
+        throw this._wrapError(`Authentication error: ${error.message}`, error);
       } else if (error.name === 'OpenAIError') {
         logger.error(`General OpenAI error: ${error}`);
-        throw new Error(`OpenAI error: ${error.message}`, error.code);
+        throw this._wrapError(`OpenAI error: ${error.message}`, error);
       } else {
         logger.error(`Unexpected error occurred: ${error}`);
-        throw new Error(`Unexpected error: ${error.message}`, error.code);
+        throw this._wrapError(`Unexpected error: ${error.message}`, error);
       }
     }
   }
 
+  /**
+   * Hook to reject a completion choice before it is returned (no-op for OpenAI)
+   */
+  _validateChoice() {}
+
+  /**
+   * Wraps an SDK error keeping status, code and headers for the retry logic
+   */
+  _wrapError(message, error) {
+    const wrapped = new Error(message);
+    wrapped.status = error.status;
+    wrapped.code = error.code;
+    wrapped.headers = error.headers;
+    return wrapped;
+  }
+
+  /**
+   * Besides retry-after, OpenAI tells when the exhausted request/token limits
+   * reset (x-ratelimit-reset-requests / x-ratelimit-reset-tokens, ex: '6m0s')
+   */
+  _getRetryAfterMs(error) {
+    const hint = super._getRetryAfterMs(error);
+    if (hint !== null) return hint;
+
+    const resets = ['requests', 'tokens']
+      .filter(limit => readHeader(error.headers, `x-ratelimit-remaining-${limit}`) === '0')
+      .map(limit => parseDuration(readHeader(error.headers, `x-ratelimit-reset-${limit}`)))
+      .filter(delay => delay !== null);
+    return resets.length > 0 ? Math.max(...resets) : null;
+  }
+
   serializeResponse(response) {
     return ResponseSerializer.serializeMessage(response);
   }
 
-  async _streamImplementation(messages, tools, model) {
+  /**
+   * Extracts the delta and finish reason from a streamed chunk.
+   * Subclasses can override it to cope with servers that deviate from OpenAI's format.
+   */
+  _parseStreamChunk(chunk) {
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return null;
+    }
+    return {
+      delta: choice.delta || {},
+      finishReason: choice.finish_reason
+    };
+  }
+
+  async _streamImplementation(messages, tools, model, options = {}) {
     try {
-      const stream = await this._client.chat.completions.create({
-        model: model,
-        messages: messages,
-        tools: tools,
+      const request = {
+        ...this._buildRequest(messages, tools, model, options),
+        ...this._streamOptions(),
         stream: true
-      });
+      };
+      const stream = await this._client.chat.completions.create(request, ...this._sdkOptions(options));
+      return this._processStream(stream, request.model);
+    } catch (error) {
+      // Rethrow so the retry logic (and provider fallback) can handle it
+      logger.error(`Error initializing stream: ${error}`);
+      throw this._wrapError(`Stream initialization error: ${error.message}`, error);
+    }
+  }
 
-      // Initialize variables to accumulate the response
-      const currentToolCalls = {};
-      let currentContent = "";
-      let currentToolCallId = null;
-
-      // Return an async generator
-      return {
-        [Symbol.asyncIterator]: async function* () {
-          try {
-            for await (const chunk of stream) {
-              const delta = chunk.choices[0]?.delta;
-              
-              // Handle tool calls
-              if (delta.tool_calls && delta.tool_calls.length > 0) {
-                for (const toolCall of delta.tool_calls) {
-                  if (toolCall.id) {
-                    currentToolCallId = toolCall.id;
-                    console.log(`Tool call id: ${currentToolCallId}`);
-                  } else {
-                    console.log("Tool call id not found, keep using the previous one");
-                  }
-                  
-                  if (!currentToolCalls[currentToolCallId]) {
-                    console.log(`Tool call not found, creating new one. Tool call id: ${currentToolCallId}`);
-                    console.log(`Existing tool calls: ${JSON.stringify(currentToolCalls)}`);
-                    currentToolCalls[currentToolCallId] = {
-                      id: currentToolCallId,
-                      type: "function",
-                      function: { name: "", arguments: "" }
-                    };
-                  }
-                  
-                  if (toolCall.function?.name) {
-                    console.log("Tool call function name found");
-                    currentToolCalls[currentToolCallId].function.name = toolCall.function.name;
-                  }
-                  
-                  if (toolCall.function?.arguments) {
-                    console.log("Tool call function arguments found");
-                    currentToolCalls[currentToolCallId].function.arguments += toolCall.function.arguments;
-                  }
-                  
-                  yield {
-                    type: "tool_call",
-                    tool_call: currentToolCalls[currentToolCallId]
-                  };
-                }
-              }
-              
-              // Handle content
-              if (delta.content) {
-                currentContent += delta.content;
-                yield {
-                  type: "content",
-                  content: delta.content
-                };
+  /**
+   * Asks for the usage chunk OpenAI sends after the last choice chunk
+   */
+  _streamOptions() {
+    return { stream_options: { include_usage: true } };
+  }
+
+  /**
+   * Turns a chat.completions stream into the client's stream events. Parallel
+   * tool calls are told apart by their delta index: only the first chunk of a
+   * call carries its id, and the chunks of several calls can be interleaved.
+   */
+  _processStream(stream, model) {
+    const events = this._streamEvents(model);
+    // Event index of each tool call, by delta index (or by id for servers that send no index)
+    const toolCallIndexes = new Map();
+    let lastKey = null;
+    let finishReason = null;
+    let usage = null;
+
+    // Return an async generator
+    return {
+      [Symbol.asyncIterator]: async function* () {
+        yield events.start();
+        try {
+          for await (const chunk of stream) {
+            // The usage chunk has no choices
+            if (chunk.usage) {
+              usage = fromOpenAIUsage(chunk.usage);
+            }
+            const parsed = this._parseStreamChunk(chunk);
+            if (!parsed) continue;
+            const { delta } = parsed;
+            
+            // Handle tool calls
+            for (const toolCall of delta.tool_calls || []) {
+              // Without index nor id, the chunk continues the previous call
+              const key = Number.isInteger(toolCall.index) ? toolCall.index : (toolCall.id ?? lastKey);
+              if (key === null) continue;
+              lastKey = key;
+
+              if (!toolCallIndexes.has(key)) {
+                toolCallIndexes.set(key, toolCallIndexes.size);
+                yield events.toolCallStart(toolCallIndexes.get(key), toolCall.id, toolCall.function?.name);
               }
-              
-              // Handle end of response
-              if (chunk.choices[0]?.finish_reason) {
-                yield {
-                  type: "finish",
-                  finish_reason: chunk.choices[0].finish_reason,
-                  final_content: currentContent,
-                  final_tool_calls: Object.values(currentToolCalls).length > 0 ? Object.values(currentToolCalls) : null
-                };
+
+              const argumentsDelta = events.toolCallDelta(toolCallIndexes.get(key), toolCall.function?.arguments);
+              if (argumentsDelta) {
+                yield argumentsDelta;
               }
             }
-          } catch (error) {
-            logger.error(`Error in stream generator: ${error}`);
-            yield { error: "Stream error", details: error.message, status: error.status || error.code, retryable: this._isRetryableErrorWithCustom ? this._isRetryableErrorWithCustom(error) : false };
+            
+            // Handle content
+            const contentDelta = events.contentDelta(delta.content);
+            if (contentDelta) {
+              yield contentDelta;
+            }
+            
+            // The finish event waits for the end of the stream, the usage chunk comes last
+            if (parsed.finishReason) {
+              // Same check as send (Azure content filter), ends the stream with an error event
+              this._validateChoice(chunk.choices[0]);
+              finishReason = parsed.finishReason;
+            }
           }
+
+          // Tool calls must not be run with broken arguments
+          const ends = events.endToolCalls();
+          yield* ends;
+          const invalid = ends.find(end => !isJSON(end.tool_call.function.arguments));
+          if (invalid) {
+            const error = invalidToolArguments(invalid.tool_call, finishReason);
+            logger.error(error.message);
+            yield streamErrorEvent(error, error.retryable);
+            return;
+          }
+
+          // Some servers close the stream without ever sending a finish_reason
+          yield* events.finishEvents(finishReason, usage);
+        } catch (error) {
+          logger.error(`Error in stream generator: ${error}`);
+          yield streamErrorEvent(error, this._isRetryableErrorWithCustom(error));
         }
-      };
-    } catch (error) {
-      logger.error(`Error initializing stream: ${error}`);
-      return {
-        [Symbol.asyncIterator]: async function* () {
-          yield { error: "Stream initialization error", details: error.message, status: error.status || error.code };
-        }
-      };
-    }
+      }.bind(this)
+    };
   }
 
-  async stt(audioFilePath) {
+  /**
+   * Whisper transcription; LLMClient.stt adds the retries and the fallback text
+   *
+   * @param {string} audioFilePath
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Locale of the request, the audio language unless llmSttLanguage is set
+   */
+  async _sttImplementation(audioFilePath, options = {}) {
     try {
-      const audioFile = fs.createReadStream(audioFilePath);
-      
       const transcription = await this._client.audio.transcriptions.create({
-        model: "whisper-1",
-        file: audioFile,
-        language: "pt"
+        model: this.config.llmSttModel || "whisper-1",
+        file: fs.createReadStream(audioFilePath),
+        language: this._sttLanguage(options.locale)
       });
-      
-      const textContent = transcription.text;
-      
-      if (!textContent) {
-        logger.warn("Failed to transcribe audio content");
-        throw new Error("Failed to transcribe audio content");
+
+      if (!transcription.text) {
+        throw new LLMError("Failed to transcribe audio content", { status: 502, code: 'empty_transcription', retryable: false });
       }
-      
+
       logger.info("Audio transcribed successfully");
-      return textContent;
+      return transcription.text;
     } catch (error) {
+      if (error instanceof LLMError) throw error;
       logger.error(`Whisper transcription error: ${error}`);
-      throw new Error(`Speech-to-text transcription failed: ${error.message}`);
+      throw this._wrapError(`Speech-to-text transcription failed: ${error.message}`, error);
     }
   }
+
+  /**
+   * ISO-639-1 language of the audio: llmSttLanguage, else the primary subtag of
+   * the locale ('pt-BR' -> 'pt'), else of the default fallback locale
+   */
+  _sttLanguage(locale) {
+    const tag = this.config.llmSttLanguage || locale || this.fallbackMessages.defaultLocale;
+    return String(tag).split('-')[0].toLowerCase();
+  }
 }
 
 module.exports = { OpenAIClient };
\ No newline at end of file
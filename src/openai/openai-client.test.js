@@ -22,6 +22,7 @@ jest.spyOn(fs, 'createReadStream').mockImplementation((path) => `stream:${path}`
 // Importações do código de produção (após mocks)
 const { OpenAIClient } = require('./openai-client');
 const { LLMClient } = require('../llm/llm-client');
+const { validateStreamEvents } = require('../llm/stream-events');
 
 // Mocks
 
@@ -114,6 +115,69 @@ describe('OpenAIClient', () => {
       expect(result.role).toBe('assistant');
     });
 
+    test('passes generation options, tool_choice only along with tools', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: 'ok' } }],
+      });
+      const tools = [{ type: 'function', function: { name: 'weather' } }];
+      const generation = { temperature: 0.2, max_tokens: 100, stop: ['END'], seed: 7, tool_choice: 'required' };
+
+      await client._sendImplementation([{ role: 'user', content: 'hi' }], tools, 'gpt-test', { generation });
+      expect(mockCreate).toHaveBeenLastCalledWith({
+        model: 'gpt-test',
+        messages: [{ role: 'user', content: 'hi' }],
+        tools,
+        temperature: 0.2,
+        max_tokens: 100,
+        stop: ['END'],
+        seed: 7,
+        tool_choice: 'required'
+      });
+
+      await client._sendImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test', { generation });
+      expect(mockCreate.mock.calls[1][0]).not.toHaveProperty('tool_choice');
+    });
+
+    test('keeps the normalized usage next to the message', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: 'ok' } }],
+        usage: { prompt_tokens: 9, completion_tokens: 1, total_tokens: 10 },
+      });
+      const result = await client._sendImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test');
+      expect(result.usage).toEqual({ prompt_tokens: 9, completion_tokens: 1, cached_tokens: 0, total_tokens: 10 });
+    });
+
+    test('keeps the finish reason of the choice', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: 'Once upon a' }, finish_reason: 'length' }],
+      });
+      const result = await client._sendImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test');
+      expect(result.provider_finish_reason).toBe('length');
+    });
+
+    test('passes the abort signal to the SDK', async () => {
+      mockCreate.mockResolvedValue({ choices: [{ message: { role: 'assistant', content: 'ok' } }] });
+      const controller = new AbortController();
+      await client._sendImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test', { signal: controller.signal });
+      expect(mockCreate.mock.calls[0][1]).toEqual({ signal: controller.signal });
+    });
+
+    test('sends the response_format as is', async () => {
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: '{}' } }],
+      });
+      const responseFormat = { type: 'json_schema', json_schema: { name: 'x', schema: { type: 'object' }, strict: true } };
+
+      await client._sendImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test', { responseFormat });
+      expect(mockCreate.mock.calls[0][0].response_format).toBe(responseFormat);
+    });
+
+    test('send rejects unsupported generation options without calling the API', async () => {
+      await expect(client.send([{ role: 'user', content: 'hi' }], [], 'gpt-test', { generation: { top_k: 5 } }))
+        .rejects.toMatchObject({ status: 400, code: 'unsupported_generation_option' });
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
     test('handles OpenAI.APIError', async () => {
       const error = new (require('openai').OpenAI.APIError)('api fail');
       error.message = 'api fail';
@@ -169,6 +233,113 @@ describe('OpenAIClient', () => {
     });
   });
 
+  describe('retry hints', () => {
+    const rateLimited = (headers) => Object.assign(new Error('Rate limit exceeded'), { status: 429, headers });
+
+    test('uses retry-after-ms and retry-after first', () => {
+      expect(client._getRetryAfterMs(rateLimited({ 'retry-after-ms': '250', 'x-ratelimit-reset-requests': '6m0s' }))).toBe(250);
+      expect(client._getRetryAfterMs(rateLimited({ 'retry-after': '3' }))).toBe(3000);
+    });
+
+    test('waits for the reset of the exhausted limit', () => {
+      const headers = {
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '1.5s',
+        'x-ratelimit-remaining-tokens': '1200',
+        'x-ratelimit-reset-tokens': '6m0s'
+      };
+      expect(client._getRetryAfterMs(rateLimited(headers))).toBe(1500);
+      expect(client._getRetryAfterMs(rateLimited({ ...headers, 'x-ratelimit-remaining-tokens': '0' }))).toBe(360000);
+      expect(client._getRetryAfterMs(rateLimited({ 'x-ratelimit-reset-requests': '1s' }))).toBeNull();
+    });
+
+    test('the wrapped SDK error keeps the headers', async () => {
+      client.validateConfig();
+      client._client = { chat: { completions: { create: mockCreate } } };
+      const error = new (require('openai').OpenAI.RateLimitError)('rate limit');
+      error.status = 429;
+      error.headers = { 'retry-after': '2' };
+      mockCreate.mockRejectedValue(error);
+
+      const wrapped = await client._sendImplementation([], [], 'gpt-test').catch(e => e);
+      expect(client._getRetryAfterMs(wrapped)).toBe(2000);
+    });
+  });
+
+  describe('_streamImplementation', () => {
+    // Streams recorded from the APIs, see ./fixtures
+    const recorded = name => require(`./fixtures/${name}.json`);
+    const streamOf = chunks => ({
+      [Symbol.asyncIterator]: async function* () {
+        for (const chunk of chunks) {
+          yield chunk;
+        }
+      }
+    });
+    const collect = async (stream) => {
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+      return events;
+    };
+    const streamRecorded = async (name) => {
+      mockCreate.mockResolvedValue(streamOf(recorded(name)));
+      return collect(await client._streamImplementation([{ role: 'user', content: 'hi' }], [], 'gpt-test'));
+    };
+
+    beforeEach(() => {
+      client.validateConfig();
+      client._client = { chat: { completions: { create: mockCreate } } };
+    });
+
+    test('parallel tool calls sent one after the other', async () => {
+      const events = await streamRecorded('parallel-tool-calls');
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      expect(events.filter(e => e.type === 'tool_call_delta').map(e => [e.index, e.delta])).toEqual([
+        [0, '{"ci'], [0, 'ty": "L'], [0, 'isboa"}'], [1, '{"ci'], [1, 'ty": "P'], [1, 'orto"}']
+      ]);
+      expect(events[events.length - 1].final_tool_calls).toEqual([
+        { id: 'call_Qm3vX8kPz1LrT5yN7wB2cD4e', type: 'function', function: { name: 'get_weather', arguments: '{"city": "Lisboa"}' } },
+        { id: 'call_H6jR9sV2nK4pW8tY1xZ3aF5g', type: 'function', function: { name: 'get_weather', arguments: '{"city": "Porto"}' } }
+      ]);
+    });
+
+    test('interleaved tool call deltas go to the call of their index', async () => {
+      const events = await streamRecorded('interleaved-tool-calls');
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      expect(events.filter(e => e.type === 'tool_call_delta').map(e => e.id)).toEqual([
+        'call_a1B2c3D4e5F6g7H8i9J0kL1m',
+        'call_N2o3P4q5R6s7T8u9V0w1X2yZ',
+        'call_a1B2c3D4e5F6g7H8i9J0kL1m',
+        'call_N2o3P4q5R6s7T8u9V0w1X2yZ'
+      ]);
+      const finish = events[events.length - 1];
+      expect(finish.final_tool_calls.map(toolCall => [toolCall.function.name, JSON.parse(toolCall.function.arguments)])).toEqual([
+        ['search_flights', { from: 'LIS', to: 'MAD' }],
+        ['search_hotels', { city: 'Madrid', nights: 2 }],
+        ['get_time', {}]
+      ]);
+      expect(finish.usage).toEqual({ prompt_tokens: 240, completion_tokens: 71, cached_tokens: 128, total_tokens: 311 });
+    });
+
+    test('ends with an error instead of finishing with unparseable arguments', async () => {
+      const events = await streamRecorded('truncated-tool-call');
+
+      expect(validateStreamEvents(events)).toEqual([]);
+      expect(events.some(e => e.type === 'finish')).toBe(false);
+      expect(events[events.length - 1]).toEqual({
+        type: 'error',
+        error: 'Tool call call_T9uV0wX1yZ2aB3cD4eF5gH6i (create_report) has invalid JSON arguments, the answer was truncated',
+        details: 'invalid_tool_arguments',
+        status: 502,
+        retryable: false
+      });
+    });
+  });
+
   describe('stt', () => {
     beforeEach(() => {
       client.validateConfig();
@@ -180,18 +351,46 @@ describe('OpenAIClient', () => {
       const result = await client.stt('file.wav');
       expect(result).toBe('audio text');
       expect(mockLogger.info).toHaveBeenCalledWith('Audio transcribed successfully');
+      // Default fallback locale
+      expect(mockAudio.transcriptions.create.mock.calls[0][0]).toEqual({ model: 'whisper-1', file: 'stream:file.wav', language: 'pt' });
     });
 
-    test('throws if no text', async () => {
-      mockAudio.transcriptions.create.mockResolvedValue({});
-      await expect(client.stt('file.wav')).rejects.toThrow('Failed to transcribe audio content');
-      expect(mockLogger.warn).toHaveBeenCalled();
+    test('takes the audio language from llmSttLanguage, else from the locale', async () => {
+      mockAudio.transcriptions.create.mockResolvedValue({ text: 'hola' });
+
+      await client.stt('file.wav', { locale: 'es-MX' });
+      const configured = new OpenAIClient({ ...config, llmSttLanguage: 'fr' });
+      configured._client = { audio: mockAudio };
+      await configured.stt('file.wav', { locale: 'es' });
+
+      expect(mockAudio.transcriptions.create.mock.calls.map(call => call[0].language)).toEqual(['es', 'fr']);
     });
 
-    test('logs and throws on error', async () => {
-      mockAudio.transcriptions.create.mockRejectedValue(new Error('fail'));
-      await expect(client.stt('file.wav')).rejects.toThrow('Speech-to-text transcription failed: fail');
+    test('failures go through the localized fallback', async () => {
+      const error = new Error('Invalid file format');
+      error.status = 400;
+      mockAudio.transcriptions.create.mockRejectedValue(error);
+
+      const result = await client.stt('file.wav', { locale: 'es' });
+
+      expect(result).toEqual({
+        text: 'Lo siento, no fue posible procesar el audio en este momento. Inténtalo de nuevo en unos instantes.',
+        error_details: { message: 'Speech-to-text transcription failed: Invalid file format', status: 400, retryable: false }
+      });
       expect(mockLogger.error).toHaveBeenCalled();
     });
+
+    test('throws a ProviderError in the throw fallback mode, also for empty transcriptions', async () => {
+      const throwing = new OpenAIClient({ ...config, fallbackMode: 'throw', enableRetry: false });
+      throwing._client = { audio: mockAudio };
+      mockAudio.transcriptions.create.mockResolvedValue({});
+
+      await expect(throwing.stt('file.wav', { locale: 'en' })).rejects.toMatchObject({
+        name: 'ProviderError',
+        message: 'OpenAI request failed: Failed to transcribe audio content',
+        code: 'provider_error',
+        localizedMessage: "Sorry, the audio couldn't be processed right now. Please try again in a few moments."
+      });
+    });
       });
 });
\ No newline at end of file
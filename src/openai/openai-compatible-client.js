@@ -0,0 +1,155 @@
+const { OpenAIClient } = require('./openai-client');
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+
+// Self-hosted servers usually ignore the API key, but the SDK refuses to start without one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+const TOOLS_UNSUPPORTED_PATTERNS = [
+  'does not support tools',
+  'tools is not supported',
+  'tool calling is not supported',
+  'tool_choice is not supported',
+  'unrecognized request argument supplied: tools',
+];
+
+/**
+ * Client for servers that implement the OpenAI Chat Completions API
+ * (Ollama, vLLM, LM Studio, LocalAI, ...).
+ *
+ * Config:
+ * - llmBaseURL: base URL of the server, e.g. http://localhost:11434/v1 (required)
+ * - llmHeaders: extra headers sent with every request
+ * - llmToken: API token, optional
+ * - supportsTools: set to false for servers/models without tool calling
+ * - streamUsage: set to true when the server supports stream_options.include_usage
+ */
+class OpenAICompatibleClient extends OpenAIClient {
+  validateConfig() {
+    if (!this.config || !this.config.llmBaseURL) {
+      throw new Error("OpenAICompatibleClient requires a valid configuration with a base URL.");
+    }
+    this._client = new OpenAI({
+      apiKey: this.config.llmToken || PLACEHOLDER_API_KEY,
+      baseURL: this.config.llmBaseURL,
+      defaultHeaders: this.config.llmHeaders
+    });
+    // Models of the server that rejected tools, they are sent without them from then on
+    this._modelsWithoutTools = new Set();
+  }
+
+  _modelFor(model) {
+    return model || this.config.llmModel || this.config.model;
+  }
+
+  /**
+   * Tool support is tracked per model: one server often hosts models with and
+   * without tool calling
+   */
+  _supportsTools(model) {
+    return this.config.supportsTools !== false && !this._modelsWithoutTools.has(this._modelFor(model));
+  }
+
+  _buildRequest(messages, tools, model, options = {}) {
+    // Many local servers reject an empty (or any) tools array
+    const effectiveTools = this._supportsTools(model) && tools && tools.length > 0 ? tools : null;
+    const request = {
+      model: this._modelFor(model),
+      messages: messages,
+      ...this._buildGenerationParams(options.generation, effectiveTools)
+    };
+    if (effectiveTools) {
+      request.tools = effectiveTools;
+    }
+    if (options.responseFormat) {
+      request.response_format = options.responseFormat;
+    }
+    return request;
+  }
+
+  /**
+   * stream_options is rejected by some servers, so it is opt-in here. Servers
+   * that send usage anyway are still picked up.
+   */
+  _streamOptions() {
+    return this.config.streamUsage ? super._streamOptions() : {};
+  }
+
+  _isToolsUnsupportedError(error) {
+    const errorMessage = (error.message || '').toLowerCase();
+    return TOOLS_UNSUPPORTED_PATTERNS.some(pattern => errorMessage.includes(pattern));
+  }
+
+  /**
+   * Retries once without tools when the server says the model can't handle
+   * them, and remembers it for the following requests to that model
+   */
+  async _withToolsFallback(model, tools, operation) {
+    try {
+      return await operation(tools);
+    } catch (error) {
+      if (!this._supportsTools(model) || !tools || tools.length === 0 || !this._isToolsUnsupportedError(error)) {
+        throw error;
+      }
+      const resolvedModel = this._modelFor(model);
+      logger.warn(`${resolvedModel} on ${this.config.llmBaseURL} does not support tool calling, retrying without tools`);
+      this._modelsWithoutTools.add(resolvedModel);
+      return await operation([]);
+    }
+  }
+
+  async _sendImplementation(messages, tools, model, options = {}) {
+    return this._withToolsFallback(model, tools, (effectiveTools) =>
+      super._sendImplementation(messages, effectiveTools, model, options)
+    );
+  }
+
+  async _streamImplementation(messages, tools, model, options = {}) {
+    const stream = await this._withToolsFallback(model, tools, (effectiveTools) =>
+      this._client.chat.completions.create({
+        ...this._buildRequest(messages, effectiveTools, model, options),
+        ...this._streamOptions(),
+        stream: true
+      }, ...this._sdkOptions(options))
+    );
+    return this._processStream(stream, this._modelFor(model));
+  }
+
+  /**
+   * Normalizes chunks from servers that deviate from OpenAI's streaming format:
+   * missing choices, full `message` objects instead of deltas, tool calls
+   * without ids or with object arguments, and non-standard finish reasons.
+   */
+  _parseStreamChunk(chunk) {
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return null;
+    }
+
+    const source = choice.delta || choice.message || {};
+    const delta = { content: source.content || null };
+
+    if (Array.isArray(source.tool_calls) && source.tool_calls.length > 0) {
+      delta.tool_calls = source.tool_calls.map((toolCall, position) => {
+        const args = toolCall.function?.arguments;
+        return {
+          ...toolCall,
+          id: toolCall.id || (toolCall.function?.name ? `call_${toolCall.index ?? position}_${Date.now()}` : undefined),
+          function: {
+            name: toolCall.function?.name,
+            arguments: args && typeof args === 'object' ? JSON.stringify(args) : args
+          }
+        };
+      });
+    }
+
+    let finishReason = choice.finish_reason;
+    if (finishReason === 'eos' || finishReason === 'eos_token' || finishReason === 'end_turn') {
+      finishReason = 'stop';
+    }
+
+    return { delta, finishReason };
+  }
+}
+
+module.exports = { OpenAICompatibleClient };
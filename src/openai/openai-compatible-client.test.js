@@ -0,0 +1,178 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { OpenAICompatibleClient } = require('./openai-compatible-client');
+const { OpenAIClient } = require('./openai-client');
+
+function streamOf(chunks) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    }
+  };
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+const weatherTool = { type: 'function', function: { name: 'weather', parameters: { type: 'object' } } };
+
+describe('OpenAICompatibleClient', () => {
+  const config = { llmBaseURL: 'http://localhost:11434/v1', llmModel: 'llama3.1', enableRetry: false };
+  const mockCreate = jest.fn();
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new OpenAICompatibleClient(config);
+    client._client = { chat: { completions: { create: mockCreate } } };
+  });
+
+  test('should extend OpenAIClient', () => {
+    expect(client).toBeInstanceOf(OpenAIClient);
+  });
+
+  test('requires a base URL but no token', () => {
+    expect(() => new OpenAICompatibleClient({})).toThrow('OpenAICompatibleClient requires a valid configuration with a base URL.');
+    expect(() => new OpenAICompatibleClient({ llmBaseURL: 'http://localhost:8000/v1' })).not.toThrow();
+  });
+
+  test('passes baseURL and headers to the SDK', () => {
+    const custom = new OpenAICompatibleClient({ ...config, llmHeaders: { 'X-Team': 'ai' } });
+    expect(custom._client.baseURL).toBe('http://localhost:11434/v1');
+    expect(custom._client._options.defaultHeaders).toEqual({ 'X-Team': 'ai' });
+  });
+
+  test('omits empty or unsupported tools from the request', () => {
+    expect(client._buildRequest([], [], undefined)).toEqual({ model: 'llama3.1', messages: [] });
+
+    const noTools = new OpenAICompatibleClient({ ...config, supportsTools: false });
+    expect(noTools._buildRequest([], [weatherTool], 'other')).toEqual({ model: 'other', messages: [] });
+  });
+
+  test('retries without tools when the server rejects them', async () => {
+    mockCreate
+      .mockRejectedValueOnce(new Error('registry.ollama.ai/library/gemma does not support tools'))
+      .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'ok' } }] });
+
+    const result = await client._sendImplementation([{ role: 'user', content: 'hi' }], [weatherTool]);
+
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+    expect(mockCreate.mock.calls[0][0].tools).toEqual([weatherTool]);
+    expect(mockCreate.mock.calls[1][0].tools).toBeUndefined();
+    expect(result.content).toBe('ok');
+  });
+
+  test('remembers the lack of tool support per model', async () => {
+    mockCreate
+      .mockRejectedValueOnce(new Error('registry.ollama.ai/library/gemma does not support tools'))
+      .mockResolvedValue({ choices: [{ message: { role: 'assistant', content: 'ok' } }] });
+
+    await client._sendImplementation([{ role: 'user', content: 'hi' }], [weatherTool], 'gemma');
+    await client._sendImplementation([{ role: 'user', content: 'hi' }], [weatherTool], 'gemma');
+    await client._sendImplementation([{ role: 'user', content: 'hi' }], [weatherTool], 'llama3.1');
+
+    expect(mockCreate.mock.calls.map(([request]) => [request.model, Boolean(request.tools)])).toEqual([
+      ['gemma', true],
+      ['gemma', false],
+      ['gemma', false],
+      ['llama3.1', true]
+    ]);
+  });
+
+  test('streams report the configured model when none is requested', async () => {
+    mockCreate.mockResolvedValue(streamOf([{ choices: [{ delta: { content: 'ok' }, finish_reason: 'stop' }] }]));
+
+    const chunks = await collect(await client._streamImplementation([{ role: 'user', content: 'hi' }], []));
+
+    expect(chunks[0]).toEqual({ type: 'start', provider: expect.any(String), model: 'llama3.1' });
+  });
+
+  test('does not swallow unrelated errors', async () => {
+    mockCreate.mockRejectedValue(new Error('model not found'));
+    await expect(client._sendImplementation([], [weatherTool])).rejects.toThrow('model not found');
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+
+  test('normalizes non-standard streaming chunks', async () => {
+    mockCreate.mockResolvedValue(streamOf([
+      { choices: [] },
+      { choices: [{ message: { content: 'Hel' } }] },
+      { choices: [{ delta: { content: 'lo' } }] },
+      { choices: [{ delta: { tool_calls: [{ function: { name: 'weather', arguments: { city: 'Paris' } } }] } }] },
+    ]));
+
+    const chunks = await collect(await client._streamImplementation([{ role: 'user', content: 'hi' }], [weatherTool]));
+    const finish = chunks[chunks.length - 1];
+
+    expect(chunks.filter(c => c.type === 'content_delta').map(c => c.delta)).toEqual(['Hel', 'lo']);
+    expect(finish.type).toBe('finish');
+    expect(finish.finish_reason).toBe('tool_calls');
+    expect(finish.final_content).toBe('Hello');
+    expect(finish.final_tool_calls).toHaveLength(1);
+    expect(finish.final_tool_calls[0].id).toMatch(/^call_0_/);
+    expect(finish.final_tool_calls[0].function).toEqual({ name: 'weather', arguments: '{"city":"Paris"}' });
+  });
+
+  test('reports the usage chunk sent after the finish reason', async () => {
+    mockCreate.mockResolvedValue(streamOf([
+      { choices: [{ delta: { content: 'done' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } },
+    ]));
+
+    const chunks = await collect(await client._streamImplementation([], []));
+    expect(chunks.filter(c => c.type === 'finish')).toEqual([{
+      type: 'finish',
+      finish_reason: 'stop',
+      provider_finish_reason: 'stop',
+      final_content: 'done',
+      final_tool_calls: null,
+      usage: { prompt_tokens: 12, completion_tokens: 3, cached_tokens: 0, total_tokens: 15 }
+    }]);
+    // stream_options is opt-in for compatible servers
+    expect(mockCreate.mock.calls[0][0]).not.toHaveProperty('stream_options');
+
+    const withUsage = new OpenAICompatibleClient({ ...config, streamUsage: true });
+    withUsage._client = client._client;
+    mockCreate.mockResolvedValue(streamOf([]));
+    await collect(await withUsage._streamImplementation([], []));
+    expect(mockCreate.mock.calls[1][0].stream_options).toEqual({ include_usage: true });
+  });
+
+  test('tells apart whole tool calls sent without index (recorded from Ollama)', async () => {
+    mockCreate.mockResolvedValue(streamOf(require('./fixtures/ollama-tool-calls.json')));
+
+    const chunks = await collect(await client._streamImplementation([{ role: 'user', content: 'hi' }], [weatherTool]));
+    const finish = chunks[chunks.length - 1];
+
+    expect(chunks.filter(c => c.type === 'tool_call_start').map(c => c.index)).toEqual([0, 1]);
+    expect(finish.final_tool_calls.map(toolCall => [toolCall.id, toolCall.function.arguments])).toEqual([
+      ['call_k7xq2m9d', '{"city":"Lisboa"}'],
+      ['call_p4vn8w1s', '{"city":"Porto"}']
+    ]);
+  });
+
+  test('maps non-standard finish reasons', async () => {
+    mockCreate.mockResolvedValue(streamOf([
+      { choices: [{ delta: { content: 'done' }, finish_reason: 'eos' }] },
+    ]));
+
+    const chunks = await collect(await client._streamImplementation([], []));
+    expect(chunks[chunks.length - 1].finish_reason).toBe('stop');
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { addToPeriods, removePeriods } = require('./memory-quota-store');
+
+/**
+ * Persists the quota counters in a JSON file, so they survive restarts.
+ * Meant for a single server process: writes are serialized in memory and the
+ * file is replaced atomically (write to a temporary file, then rename).
+ */
+class FileQuotaStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file holding the counters, created when missing
+   */
+  constructor({ filePath } = {}) {
+    if (!filePath) {
+      throw new Error("FileQuotaStore requires a filePath.");
+    }
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this._loading = null;
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the file once; concurrent callers share the same records object
+   */
+  _load() {
+    this._loading ??= this._read().catch((error) => {
+      // A failed read is tried again by the next call
+      this._loading = null;
+      throw error;
+    });
+    return this._loading;
+  }
+
+  async _read() {
+    try {
+      this._records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this._records = {};
+    }
+    return this._records;
+  }
+
+  _save() {
+    const data = JSON.stringify(this._records, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    this._writing = this._writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    return this._writing;
+  }
+
+  async get(key) {
+    const records = await this._load();
+    return { ...(records[key] || {}) };
+  }
+
+  async increment(key, periodIds, amount) {
+    const records = await this._load();
+    records[key] = addToPeriods(records[key], periodIds, amount);
+    await this._save();
+  }
+
+  async reset(key, periodIds) {
+    const records = await this._load();
+    records[key] = removePeriods(records[key], periodIds);
+    await this._save();
+  }
+
+  async keys() {
+    return Object.keys(await this._load());
+  }
+}
+
+module.exports = { FileQuotaStore };
@@ -0,0 +1,55 @@
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, test, expect, afterAll } = require('@jest/globals');
+const { FileQuotaStore } = require('./file-quota-store');
+
+describe('FileQuotaStore', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quotas-'));
+  const filePath = path.join(dir, 'nested', 'quotas.json');
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the counters across instances', async () => {
+    const store = new FileQuotaStore({ filePath });
+    expect(await store.get('key-a')).toEqual({});
+
+    await Promise.all([
+      store.increment('key-a', ['daily:2026-10-19', 'monthly:2026-10'], { tokens: 100, cost: 0.5 }),
+      store.increment('key-a', ['daily:2026-10-19', 'monthly:2026-10'], { tokens: 50, cost: 0.25 })
+    ]);
+    // A new period drops the previous day
+    await store.increment('key-b', ['daily:2026-10-19'], { tokens: 1 });
+    await store.increment('key-b', ['daily:2026-10-20'], { tokens: 2 });
+
+    const reloaded = new FileQuotaStore({ filePath });
+    expect(await reloaded.get('key-a')).toEqual({
+      'daily:2026-10-19': { tokens: 150, cost: 0.75 },
+      'monthly:2026-10': { tokens: 150, cost: 0.75 }
+    });
+    expect(await reloaded.get('key-b')).toEqual({ 'daily:2026-10-20': { tokens: 2, cost: 0 } });
+
+    await reloaded.reset('key-a', ['daily:2026-10-19']);
+    expect(Object.keys(await new FileQuotaStore({ filePath }).get('key-a'))).toEqual(['monthly:2026-10']);
+    expect(await reloaded.keys()).toEqual(['key-a', 'key-b']);
+  });
+
+  test('concurrent calls on a fresh instance share the loaded counters', async () => {
+    const restarted = new FileQuotaStore({ filePath });
+    await Promise.all([
+      restarted.increment('key-c', ['daily:2026-10-20'], { tokens: 10 }),
+      restarted.increment('key-c', ['daily:2026-10-20'], { tokens: 20 }),
+      restarted.increment('key-c', ['daily:2026-10-20'], { tokens: 30 })
+    ]);
+
+    expect(await new FileQuotaStore({ filePath }).get('key-c')).toEqual({ 'daily:2026-10-20': { tokens: 60, cost: 0 } });
+  });
+
+  test('requires a file path', () => {
+    expect(() => new FileQuotaStore()).toThrow('FileQuotaStore requires a filePath.');
+  });
+});
@@ -0,0 +1,5 @@
+const { QuotaManager } = require('./quota-manager');
+const { MemoryQuotaStore } = require('./memory-quota-store');
+const { FileQuotaStore } = require('./file-quota-store');
+
+module.exports = { QuotaManager, MemoryQuotaStore, FileQuotaStore };
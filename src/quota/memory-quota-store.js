@@ -0,0 +1,55 @@
+/**
+ * Keeps the quota counters in memory. Counters are lost on restart and are not
+ * shared between processes; use the file store or a custom one for that.
+ *
+ * Every store keeps, per key, the usage of each period id
+ * ('daily:2026-10-19', 'monthly:2026-10'): { [periodId]: { tokens, cost } }
+ */
+class MemoryQuotaStore {
+  constructor() {
+    this._records = new Map();
+  }
+
+  async get(key) {
+    return { ...(this._records.get(key) || {}) };
+  }
+
+  /**
+   * Adds the amount to the given (current) periods. Older periods of the key are dropped.
+   */
+  async increment(key, periodIds, amount) {
+    this._records.set(key, addToPeriods(this._records.get(key), periodIds, amount));
+  }
+
+  /**
+   * Clears the given periods of a key, or all of them
+   */
+  async reset(key, periodIds) {
+    this._records.set(key, removePeriods(this._records.get(key), periodIds));
+  }
+
+  async keys() {
+    return Array.from(this._records.keys());
+  }
+}
+
+function addToPeriods(record = {}, periodIds, amount) {
+  const updated = {};
+  for (const periodId of periodIds) {
+    const current = record[periodId] || { tokens: 0, cost: 0 };
+    updated[periodId] = {
+      tokens: current.tokens + (amount.tokens || 0),
+      cost: Number((current.cost + (amount.cost || 0)).toFixed(8))
+    };
+  }
+  return updated;
+}
+
+function removePeriods(record = {}, periodIds) {
+  if (!periodIds) return {};
+  const updated = { ...record };
+  periodIds.forEach(periodId => delete updated[periodId]);
+  return updated;
+}
+
+module.exports = { MemoryQuotaStore, addToPeriods, removePeriods };
@@ -0,0 +1,173 @@
+const { LLMError } = require('../llm/llm-errors');
+const { MemoryQuotaStore } = require('./memory-quota-store');
+const { FileQuotaStore } = require('./file-quota-store');
+
+const PERIODS = ['daily', 'monthly'];
+const LIMITS = ['tokens', 'cost'];
+const ANONYMOUS_KEY = 'anonymous';
+
+/**
+ * Current period ids and when they end (UTC)
+ */
+function currentPeriods(date) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  return {
+    daily: { id: `daily:${date.toISOString().slice(0, 10)}`, resetsAt: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { id: `monthly:${date.toISOString().slice(0, 7)}`, resetsAt: new Date(Date.UTC(year, month + 1, 1)) }
+  };
+}
+
+function validateBudgets(budgets) {
+  for (const [key, budget] of Object.entries(budgets)) {
+    for (const [period, limits] of Object.entries(budget || {})) {
+      if (!PERIODS.includes(period)) {
+        throw new Error(`Invalid quota period "${period}" for ${key}, use daily or monthly.`);
+      }
+      for (const [limit, value] of Object.entries(limits || {})) {
+        if (!LIMITS.includes(limit) || typeof value !== 'number' || value < 0) {
+          throw new Error(`Invalid ${period} quota "${limit}" for ${key}, use tokens or cost with a positive number.`);
+        }
+      }
+    }
+  }
+  return budgets;
+}
+
+function createStore(store, filePath) {
+  if (!store || store === 'memory') return new MemoryQuotaStore();
+  if (store === 'file') return new FileQuotaStore({ filePath: filePath || './quotas.json' });
+  if (typeof store === 'object') return store;
+  throw new Error(`Unknown quota store: ${store}`);
+}
+
+/**
+ * Daily and monthly token/cost budgets per API key.
+ *
+ * Budgets are keyed by the id of the authenticated principal, with '*' applying
+ * to keys without their own entry: { '*': { daily: { tokens: 200000 } }, 'acme': { monthly: { cost: 50 } } }.
+ * Requests that aren't authenticated all share the 'anonymous' key.
+ * Costs are the `estimated_cost` of the usage, so they need modelPrices.
+ *
+ * The budget is checked before the model is called and the usage is added once
+ * the request is done, so concurrent requests may go slightly over it.
+ */
+class QuotaManager {
+  /**
+   * @param {Object} [options]
+   * @param {('memory'|'file'|Object)} [options.store='memory'] - Built-in store name or a store instance
+   *   ({ get, increment, reset, keys })
+   * @param {string} [options.filePath='./quotas.json'] - JSON file of the 'file' store
+   * @param {Object<string, Object>} [options.budgets] - Budgets per API key, '*' for the others
+   * @param {Function} [options.keyFor] - (req) => key, replaces the principal lookup
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ store, filePath, budgets = {}, keyFor, now } = {}) {
+    this.store = createStore(store, filePath);
+    this.budgets = validateBudgets(budgets);
+    this._keyFor = keyFor;
+    this._now = now || (() => new Date());
+  }
+
+  /**
+   * Quota key of a request: the authenticated principal's id. Unverified
+   * credentials (a raw x-api-key header) don't count, otherwise a client
+   * would get a fresh '*' budget by changing its key, and the keys would be
+   * stored and listed in clear. Requests without a principal share the
+   * 'anonymous' key.
+   */
+  keyFor(req) {
+    const key = typeof this._keyFor === 'function' ? this._keyFor(req) : req.principal?.id;
+    return key ? String(key) : ANONYMOUS_KEY;
+  }
+
+  budgetFor(key) {
+    return this.budgets[key] || this.budgets['*'] || null;
+  }
+
+  /**
+   * Usage, limits and remaining budget of a key for the current periods
+   */
+  async status(key) {
+    const budget = this.budgetFor(key) || {};
+    const periods = currentPeriods(this._now());
+    const record = await this.store.get(key);
+
+    const status = { key };
+    for (const period of PERIODS) {
+      const used = record[periods[period].id] || { tokens: 0, cost: 0 };
+      const limits = budget[period] || {};
+      const remaining = {};
+      for (const limit of Object.keys(limits)) {
+        remaining[limit] = Math.max(0, Number((limits[limit] - used[limit]).toFixed(8)));
+      }
+      status[period] = {
+        used: { tokens: used.tokens, cost: used.cost },
+        limits,
+        remaining,
+        resets_at: periods[period].resetsAt.toISOString()
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Rejects the request when a budget of its key is exhausted: 402 for a
+   * cost budget, 429 for a token budget
+   *
+   * @throws {LLMError} 402 budget_exceeded or 429 quota_exceeded, with retryAfter
+   */
+  async check(req) {
+    const key = this.keyFor(req);
+    if (!this.budgetFor(key)) return;
+
+    const status = await this.status(key);
+    for (const period of PERIODS) {
+      const { remaining, limits, resets_at: resetsAt } = status[period];
+      const retryAfter = Math.max(1, Math.ceil((Date.parse(resetsAt) - this._now().getTime()) / 1000));
+
+      if (remaining.cost === 0) {
+        throw new LLMError(`The ${period} cost budget of ${limits.cost} USD is exhausted, it resets at ${resetsAt}`, {
+          status: 402, code: 'budget_exceeded', retryable: false, retryAfter
+        });
+      }
+      if (remaining.tokens === 0) {
+        throw new LLMError(`The ${period} quota of ${limits.tokens} tokens is exhausted, it resets at ${resetsAt}`, {
+          status: 429, code: 'quota_exceeded', retryable: false, retryAfter
+        });
+      }
+    }
+  }
+
+  /**
+   * Adds the usage of a finished request to its key (usage hook details)
+   */
+  async consume({ req, usage }) {
+    if (!usage) return;
+    const periods = currentPeriods(this._now());
+    await this.store.increment(this.keyFor(req), PERIODS.map(period => periods[period].id), {
+      tokens: usage.total_tokens || 0,
+      cost: usage.estimated_cost || 0
+    });
+  }
+
+  /**
+   * Clears the usage of a key, for one period ('daily' or 'monthly') or both
+   */
+  async reset(key, period) {
+    if (period && !PERIODS.includes(period)) {
+      throw new LLMError(`Invalid quota period: ${period}`, { status: 400, code: 'invalid_quota_period' });
+    }
+    const periods = currentPeriods(this._now());
+    await this.store.reset(key, period ? [periods[period].id] : undefined);
+    return this.status(key);
+  }
+
+  async list() {
+    const keys = await this.store.keys();
+    return Promise.all(keys.map(key => this.status(key)));
+  }
+}
+
+module.exports = { QuotaManager };
@@ -0,0 +1,90 @@
+/* eslint-env jest */
+
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { QuotaManager } = require('./quota-manager');
+
+const usage = (total, cost) => ({ prompt_tokens: total, completion_tokens: 0, cached_tokens: 0, total_tokens: total, estimated_cost: cost });
+const request = (key) => ({ principal: key ? { id: key } : undefined, headers: {} });
+
+async function errorOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('QuotaManager', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = new Date('2026-10-19T22:00:00Z');
+  });
+
+  test('rejects a key with 429 once its token quota is used up', async () => {
+    const quotas = new QuotaManager({ budgets: { '*': { daily: { tokens: 1000 } } }, now });
+
+    await quotas.check(request('key-a'));
+    await quotas.consume({ req: request('key-a'), usage: usage(1000) });
+
+    const error = await errorOf(quotas.check(request('key-a')));
+    expect(error.status).toBe(429);
+    expect(error.code).toBe('quota_exceeded');
+    expect(error.message).toBe('The daily quota of 1000 tokens is exhausted, it resets at 2026-10-20T00:00:00.000Z');
+    expect(error.retryAfter).toBe(7200);
+
+    // Other keys have their own counters, and the next day starts over
+    await quotas.check(request('key-b'));
+    clock = new Date('2026-10-20T00:00:01Z');
+    await quotas.check(request('key-a'));
+  });
+
+  test('rejects with 402 when the cost budget is exhausted', async () => {
+    const quotas = new QuotaManager({ budgets: { 'key-a': { monthly: { cost: 1, tokens: 100000 } } }, now });
+
+    await quotas.consume({ req: request('key-a'), usage: usage(500, 0.6) });
+    await quotas.consume({ req: request('key-a'), usage: usage(500, 0.4) });
+
+    const error = await errorOf(quotas.check(request('key-a')));
+    expect(error.status).toBe(402);
+    expect(error.code).toBe('budget_exceeded');
+
+    // Unverified API key headers don't get a budget of their own
+    expect((await errorOf(quotas.check({ headers: { 'x-api-key': 'key-a' } })))).toBeNull();
+
+    // Keys without a budget are tracked but never rejected
+    await quotas.consume({ req: request(), usage: usage(10) });
+    await quotas.consume({ req: { headers: { 'x-api-key': 'sk-live-123' } }, usage: usage(5) });
+    await quotas.check(request());
+    expect((await quotas.status('anonymous')).daily.used).toEqual({ tokens: 15, cost: 0 });
+    expect(await quotas.store.keys()).toEqual(['key-a', 'anonymous']);
+  });
+
+  test('reports and resets the usage of a key', async () => {
+    const quotas = new QuotaManager({ budgets: { '*': { daily: { tokens: 1000 }, monthly: { tokens: 5000 } } }, keyFor: req => req.tenant, now });
+
+    await quotas.consume({ req: { tenant: 'acme' }, usage: usage(300, 0.01) });
+
+    expect(await quotas.status('acme')).toEqual({
+      key: 'acme',
+      daily: { used: { tokens: 300, cost: 0.01 }, limits: { tokens: 1000 }, remaining: { tokens: 700 }, resets_at: '2026-10-20T00:00:00.000Z' },
+      monthly: { used: { tokens: 300, cost: 0.01 }, limits: { tokens: 5000 }, remaining: { tokens: 4700 }, resets_at: '2026-11-01T00:00:00.000Z' }
+    });
+
+    const afterReset = await quotas.reset('acme', 'daily');
+    expect(afterReset.daily.used.tokens).toBe(0);
+    expect(afterReset.monthly.used.tokens).toBe(300);
+    expect((await quotas.list()).map(status => status.key)).toEqual(['acme']);
+
+    const invalid = await errorOf(quotas.reset('acme', 'weekly'));
+    expect(invalid.status).toBe(400);
+  });
+
+  test('validates the budgets', () => {
+    expect(() => new QuotaManager({ budgets: { '*': { weekly: { tokens: 1 } } } })).toThrow('Invalid quota period "weekly"');
+    expect(() => new QuotaManager({ budgets: { '*': { daily: { requests: 1 } } } })).toThrow('Invalid daily quota "requests"');
+    expect(() => new QuotaManager({ store: 'redis' })).toThrow('Unknown quota store: redis');
+  });
+});
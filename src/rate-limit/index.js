@@ -0,0 +1,4 @@
+const { RateLimiter } = require('./rate-limiter');
+const { MemoryRateLimitStore } = require('./memory-rate-limit-store');
+
+module.exports = { RateLimiter, MemoryRateLimitStore };
@@ -0,0 +1,69 @@
+/**
+ * In-memory counters for the rate limiter: fixed windows and concurrency
+ * slots. Not shared between processes; a Redis (or similar) store with the
+ * same async methods can replace it.
+ */
+class MemoryRateLimitStore {
+  constructor({ now } = {}) {
+    this._now = now || Date.now;
+    this._windows = new Map();
+    this._slots = new Map();
+    this._nextSweep = 0;
+  }
+
+  _window(key, windowMs) {
+    const now = this._now();
+    this._sweep(now);
+    let window = this._windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { value: 0, resetAt: now + windowMs };
+      this._windows.set(key, window);
+    }
+    return window;
+  }
+
+  // Drops expired windows now and then, so idle keys don't pile up
+  _sweep(now) {
+    if (now < this._nextSweep) return;
+    this._nextSweep = now + 60000;
+    for (const [key, window] of this._windows) {
+      if (window.resetAt <= now) this._windows.delete(key);
+    }
+  }
+
+  /**
+   * Adds to the counter of the current window
+   * @returns {Promise<{value: number, resetAt: number}>} resetAt in ms since epoch
+   */
+  async increment(key, amount, windowMs) {
+    const window = this._window(key, windowMs);
+    window.value += amount;
+    return { ...window };
+  }
+
+  async get(key, windowMs) {
+    return { ...this._window(key, windowMs) };
+  }
+
+  /**
+   * Takes one of `max` slots
+   * @returns {Promise<boolean>} false when every slot is taken
+   */
+  async acquire(key, max) {
+    const used = this._slots.get(key) || 0;
+    if (used >= max) return false;
+    this._slots.set(key, used + 1);
+    return true;
+  }
+
+  async release(key) {
+    const used = (this._slots.get(key) || 0) - 1;
+    if (used > 0) {
+      this._slots.set(key, used);
+    } else {
+      this._slots.delete(key);
+    }
+  }
+}
+
+module.exports = { MemoryRateLimitStore };
@@ -0,0 +1,152 @@
+const { LLMError } = require('../llm/llm-errors');
+const logger = require('../utils/logger');
+const { MemoryRateLimitStore } = require('./memory-rate-limit-store');
+
+const WINDOW_MS = 60000;
+
+function tooManyRequests(message, code, retryAfter) {
+  return new LLMError(message, { status: 429, code, retryable: false, retryAfter });
+}
+
+function rateLimitHeaders(limit, used, resetAt, now) {
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - used)),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((resetAt - now) / 1000))),
+    'RateLimit-Policy': `${limit};w=${WINDOW_MS / 1000}`
+  };
+}
+
+/**
+ * Server side rate limits per client: requests per minute, tokens per minute
+ * and concurrent streams. Clients are told apart by their authenticated
+ * principal, else by their IP; an unverified API key header is not trusted.
+ *
+ * Windows are fixed one-minute windows. Tokens are counted once a request is
+ * done (usage hook), so a request is only rejected when the previous ones
+ * already used up the minute.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestsPerMinute] - Requests per client and minute
+   * @param {number} [options.tokensPerMinute] - Tokens (prompt + completion) per client and minute
+   * @param {number} [options.maxConcurrentStreams] - Streams a client may have open at once
+   * @param {Object<string, Object>} [options.keys] - Limits replacing the defaults for some clients, keyed like keyFor
+   * @param {Function} [options.keyFor] - (req) => key, replaces principal/IP
+   * @param {Object} [options.store] - Store with increment/get/acquire/release, in memory by default
+   */
+  constructor({ requestsPerMinute, tokensPerMinute, maxConcurrentStreams, keys = {}, keyFor, store, now } = {}) {
+    this.defaults = { requestsPerMinute, tokensPerMinute, maxConcurrentStreams };
+    this.keys = keys;
+    this._keyFor = keyFor;
+    this._now = now || Date.now;
+    this.store = store || new MemoryRateLimitStore({ now: this._now });
+  }
+
+  /**
+   * Principal id (set by the authenticator), else `ip:<address>`. Headers are
+   * never used: a client could send a new key with each request to get a new bucket.
+   */
+  keyFor(req) {
+    if (typeof this._keyFor === 'function') return String(this._keyFor(req));
+    if (req.principal?.id) return String(req.principal.id);
+    return `ip:${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+  }
+
+  limitsFor(key) {
+    return { ...this.defaults, ...(this.keys[key] || {}) };
+  }
+
+  /**
+   * Counts a request and takes a stream slot when needed
+   *
+   * @param {Object} req
+   * @param {boolean} [streaming=false]
+   * @returns {Promise<{headers: Object, error: (LLMError|null), release: (Function|null)}>}
+   *   `error` is set when the request must be rejected; `release` frees the stream slot
+   */
+  async acquire(req, streaming = false) {
+    const key = this.keyFor(req);
+    const { requestsPerMinute, tokensPerMinute, maxConcurrentStreams } = this.limitsFor(key);
+    const now = this._now();
+    let headers = {};
+
+    if (requestsPerMinute) {
+      const { value, resetAt } = await this.store.increment(`requests:${key}`, 1, WINDOW_MS);
+      headers = rateLimitHeaders(requestsPerMinute, value, resetAt, now);
+      if (value > requestsPerMinute) {
+        const error = tooManyRequests(`Rate limit of ${requestsPerMinute} requests per minute exceeded`, 'rate_limit_exceeded',
+          Number(headers['RateLimit-Reset']) || 1);
+        return { headers, error, release: null };
+      }
+    }
+
+    if (tokensPerMinute) {
+      const { value, resetAt } = await this.store.get(`tokens:${key}`, WINDOW_MS);
+      const tokenHeaders = rateLimitHeaders(tokensPerMinute, value, resetAt, now);
+      if (value >= tokensPerMinute) {
+        const error = tooManyRequests(`Rate limit of ${tokensPerMinute} tokens per minute exceeded`, 'token_rate_limit_exceeded',
+          Number(tokenHeaders['RateLimit-Reset']) || 1);
+        return { headers: tokenHeaders, error, release: null };
+      }
+      // The request limit is reported when both are set
+      if (!requestsPerMinute) headers = tokenHeaders;
+    }
+
+    let release = null;
+    if (streaming && maxConcurrentStreams) {
+      const slot = `streams:${key}`;
+      if (!(await this.store.acquire(slot, maxConcurrentStreams))) {
+        const error = tooManyRequests(`At most ${maxConcurrentStreams} concurrent streams are allowed`, 'too_many_concurrent_streams', 1);
+        return { headers, error, release: null };
+      }
+      let released = false;
+      release = () => {
+        if (released) return;
+        released = true;
+        Promise.resolve(this.store.release(slot)).catch(error => logger.error(`Failed to release stream slot: ${error.message}`));
+      };
+    }
+
+    return { headers, error: null, release };
+  }
+
+  /**
+   * Adds the tokens of a finished request to its client (usage hook details)
+   */
+  async consume({ req, usage }) {
+    if (!usage || !usage.total_tokens || !req) return;
+    const key = this.keyFor(req);
+    if (!this.limitsFor(key).tokensPerMinute) return;
+    await this.store.increment(`tokens:${key}`, usage.total_tokens, WINDOW_MS);
+  }
+
+  /**
+   * Express middleware: sets the RateLimit-* headers, rejects the request with
+   * 429 + Retry-After when a limit is hit, and frees the stream slot once the
+   * response is closed
+   *
+   * @param {Function} isStreaming - (req) => boolean
+   * @param {Function} onError - (error, req, res) => void, writes the error in the route's format
+   */
+  middleware(isStreaming, onError) {
+    return (req, res, next) => {
+      this.acquire(req, isStreaming(req))
+        .then(({ headers, error, release }) => {
+          Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+          if (error) {
+            res.setHeader('Retry-After', String(error.retryAfter));
+            return onError(error, req, res);
+          }
+          if (release) {
+            res.on('close', release);
+          }
+          next();
+        })
+        .catch(error => onError(error, req, res));
+    };
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,117 @@
+/* eslint-env jest */
+
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const express = require('express');
+const { RateLimiter } = require('./rate-limiter');
+
+const request = (key) => ({ headers: {}, principal: { id: key } });
+
+describe('RateLimiter', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = Date.parse('2026-10-19T12:00:00Z');
+  });
+
+  test('limits requests per minute with RateLimit headers', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2, keys: { vip: { requestsPerMinute: 100 } }, now });
+
+    expect((await limiter.acquire(request('acme'))).headers).toEqual({
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '2;w=60'
+    });
+    clock += 15000;
+    expect((await limiter.acquire(request('acme'))).error).toBeNull();
+
+    const { error, headers } = await limiter.acquire(request('acme'));
+    expect(error.status).toBe(429);
+    expect(error.code).toBe('rate_limit_exceeded');
+    expect(error.retryAfter).toBe(45);
+    expect(headers['RateLimit-Remaining']).toBe('0');
+
+    expect((await limiter.acquire(request('vip'))).error).toBeNull();
+    clock += 45000;
+    expect((await limiter.acquire(request('acme'))).error).toBeNull();
+  });
+
+  test('limits tokens per minute once the usage is reported', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 1000, now });
+
+    expect((await limiter.acquire(request('acme'))).error).toBeNull();
+    await limiter.consume({ req: request('acme'), usage: { total_tokens: 1200 } });
+
+    const { error, headers } = await limiter.acquire(request('acme'));
+    expect(error.code).toBe('token_rate_limit_exceeded');
+    expect(headers['RateLimit-Limit']).toBe('1000');
+    expect(headers['RateLimit-Remaining']).toBe('0');
+  });
+
+  test('limits concurrent streams until they are released', async () => {
+    const limiter = new RateLimiter({ maxConcurrentStreams: 1, now });
+
+    const first = await limiter.acquire(request('acme'), true);
+    expect(first.error).toBeNull();
+    expect((await limiter.acquire(request('acme'), true)).error.code).toBe('too_many_concurrent_streams');
+    // Non streaming requests don't need a slot
+    expect((await limiter.acquire(request('acme'), false)).error).toBeNull();
+
+    first.release();
+    first.release();
+    await new Promise(resolve => setImmediate(resolve));
+    expect((await limiter.acquire(request('acme'), true)).error).toBeNull();
+    expect((await limiter.acquire(request('acme'), true)).error).not.toBeNull();
+  });
+
+  test('identifies clients by principal or IP', () => {
+    const limiter = new RateLimiter();
+    expect(limiter.keyFor({ principal: { id: 'acme' }, headers: { 'x-api-key': 'sk-1' } })).toBe('acme');
+    expect(limiter.keyFor({ headers: { 'x-api-key': 'sk-1' }, ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+    expect(limiter.keyFor({ headers: {}, ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+  });
+
+  test('rotating an unverified x-api-key does not reset the limit', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2, now });
+    const anonymous = (apiKey) => ({ headers: { 'x-api-key': apiKey }, ip: '10.0.0.1' });
+
+    expect((await limiter.acquire(anonymous('sk-1'))).error).toBeNull();
+    expect((await limiter.acquire(anonymous('sk-2'))).error).toBeNull();
+    expect((await limiter.acquire(anonymous('sk-3'))).error.code).toBe('rate_limit_exceeded');
+  });
+
+  test('middleware rejects with Retry-After and frees the slot when the response closes', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 10, maxConcurrentStreams: 1 });
+    let finishStream;
+    const app = express();
+    app.use(limiter.middleware(req => req.path === '/stream', (error, req, res) => res.status(error.status).json({ error: error.code })));
+    app.get('/stream', (req, res) => {
+      res.write('data: {}\n\n');
+      finishStream = () => res.end();
+    });
+    const server = app.listen(0);
+    const url = `http://localhost:${server.address().port}/stream`;
+
+    try {
+      const open = await fetch(url);
+      expect(open.status).toBe(200);
+      expect(open.headers.get('ratelimit-remaining')).toBe('9');
+
+      const rejected = await fetch(url);
+      expect(rejected.status).toBe(429);
+      expect(rejected.headers.get('retry-after')).toBe('1');
+      expect(await rejected.json()).toEqual({ error: 'too_many_concurrent_streams' });
+
+      finishStream();
+      await open.text();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const next = await fetch(url);
+      expect(next.status).toBe(200);
+      finishStream();
+      await next.text();
+    } finally {
+      server.close();
+    }
+  });
+});
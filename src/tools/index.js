@@ -0,0 +1,4 @@
+const { ToolRegistry } = require('./tool-registry');
+const { runToolLoop, streamToolLoop, mergeTools } = require('./tool-loop');
+
+module.exports = { ToolRegistry, runToolLoop, streamToolLoop, mergeTools };
\ No newline at end of file
@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const { sumUsage } = require('../llm/usage');
+const { isErrorEvent } = require('../llm/stream-events');
+
+const DEFAULT_MAX_ITERATIONS = 10;
+
+/**
+ * Server tools first, then the request tools that don't clash with them
+ */
+function mergeTools(requestTools, registry) {
+  const serverTools = registry ? registry.getDefinitions() : [];
+  const clientTools = (requestTools || []).filter(tool => !registry || !registry.has(tool.function?.name));
+  return [...serverTools, ...clientTools];
+}
+
+function splitToolCalls(toolCalls, registry) {
+  const server = [];
+  const client = [];
+  for (const toolCall of toolCalls || []) {
+    (registry.has(toolCall.function?.name) ? server : client).push(toolCall);
+  }
+  return { server, client };
+}
+
+/**
+ * A forced tool_choice ('required' or a named function) only applies to the
+ * first model call, otherwise the model could never give its final answer
+ */
+function generationFor(iteration, generation) {
+  if (!generation || iteration === 1) return generation;
+  const { tool_choice, ...rest } = generation;
+  return tool_choice === 'none' || tool_choice === 'auto' ? generation : rest;
+}
+
+// The usage reported for the loop covers every model call it made
+function withUsage(response, usage) {
+  return usage ? { ...response, usage } : response;
+}
+
+function assistantMessage(content, toolCalls) {
+  return { role: 'assistant', content: content || '', tool_calls: toolCalls };
+}
+
+async function executeToolCalls(toolCalls, registry, context) {
+  // Parallel calls run concurrently; results keep the order of the calls
+  const contents = await Promise.all(toolCalls.map(toolCall => registry.execute(toolCall, context)));
+  return toolCalls.map((toolCall, index) => ({
+    role: 'tool',
+    tool_call_id: toolCall.id,
+    name: toolCall.function.name,
+    content: contents[index]
+  }));
+}
+
+/**
+ * Calls the model and executes the server tools it requests until it gives a
+ * final answer (or asks for a tool only the caller can run).
+ *
+ * @param {LLMClient} client - Client used for every model call
+ * @param {Array} messages - Conversation so far
+ * @param {Array} tools - Request tools (server tools are added automatically)
+ * @param {string} [model] - Model passed to the client
+ * @param {Object} options
+ * @param {ToolRegistry} options.registry - Server tools
+ * @param {number} [options.maxIterations=10] - Maximum number of model calls
+ * @param {Object} [options.context] - Passed to tool handlers
+ * @param {Object} [options.generation] - Generation options passed to the client
+ * @param {Object} [options.responseFormat] - Response format passed to the client
+ * @param {string} [options.priority] - Request queue priority passed to the client
+ * @param {string} [options.locale] - Locale of the client's fallback message
+ * @param {AbortSignal} [options.signal] - Cancels the model calls, also passed to the tool handlers' context
+ * @returns {Promise<{response: Object, messages: Array, iterations: number}>}
+ *   The final response and the assistant/tool messages produced on the server
+ */
+async function runToolLoop(client, messages, tools, model, options) {
+  const { registry, maxIterations = DEFAULT_MAX_ITERATIONS, context = {}, generation, responseFormat, priority, locale, signal } = options;
+  const allTools = mergeTools(tools, registry);
+  const conversation = [...messages];
+  const produced = [];
+  let usage = null;
+
+  for (let iteration = 1; ; iteration++) {
+    const response = await client.send(conversation, allTools, model, {
+      generation: generationFor(iteration, generation),
+      responseFormat,
+      priority,
+      locale,
+      signal
+    });
+    usage = sumUsage(usage, response.usage);
+    const { server, client: clientCalls } = splitToolCalls(response.tool_calls, registry);
+
+    if (server.length === 0) {
+      return { response: withUsage(response, usage), messages: produced, iterations: iteration };
+    }
+
+    if (iteration >= maxIterations) {
+      logger.warn(`Tool loop stopped after ${iteration} iterations`);
+      return {
+        response: { ...withUsage(response, usage), _tool_loop: { iterations: iteration, max_iterations_reached: true } },
+        messages: produced,
+        iterations: iteration
+      };
+    }
+
+    const toolMessages = await executeToolCalls(server, registry, { ...context, signal, messages: conversation });
+    const turn = [assistantMessage(response.content, response.tool_calls), ...toolMessages];
+    conversation.push(...turn);
+    produced.push(...turn);
+
+    // The caller has to run its own tools; server results are already in `messages`
+    if (clientCalls.length > 0) {
+      return {
+        response: { ...withUsage(response, usage), tool_calls: clientCalls },
+        messages: produced,
+        iterations: iteration
+      };
+    }
+  }
+}
+
+/**
+ * Streaming version of runToolLoop. Model events are forwarded as they arrive;
+ * tool executions are reported with tool_start/tool_result events and only the
+ * last finish event is forwarded, with the server produced messages attached.
+ */
+async function streamToolLoop(client, messages, tools, model, options) {
+  const { registry, maxIterations = DEFAULT_MAX_ITERATIONS, context = {}, generation, responseFormat, priority, locale, signal } = options;
+  const allTools = mergeTools(tools, registry);
+  const conversation = [...messages];
+  const produced = [];
+
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      let usage = null;
+      for (let iteration = 1; ; iteration++) {
+        const stream = await client.stream(conversation, allTools, model, {
+          generation: generationFor(iteration, generation),
+          responseFormat,
+          priority,
+          locale,
+          signal
+        });
+        let finish = null;
+
+        for await (const event of stream) {
+          if (event && event.type === 'finish') {
+            finish = event;
+            continue;
+          }
+          yield event;
+          if (isErrorEvent(event)) {
+            return;
+          }
+        }
+
+        if (!finish) return;
+
+        usage = sumUsage(usage, finish.usage);
+        const { server, client: clientCalls } = splitToolCalls(finish.final_tool_calls, registry);
+        if (server.length === 0 || iteration >= maxIterations) {
+          const extra = { messages: produced };
+          if (usage) {
+            extra.usage = usage;
+          }
+          if (server.length > 0) {
+            logger.warn(`Tool loop stopped after ${iteration} iterations`);
+            extra._tool_loop = { iterations: iteration, max_iterations_reached: true };
+          }
+          yield { ...finish, ...extra };
+          return;
+        }
+
+        for (const toolCall of server) {
+          yield { type: 'tool_start', tool_call: toolCall };
+        }
+        const toolMessages = await executeToolCalls(server, registry, { ...context, signal, messages: conversation });
+        for (const toolMessage of toolMessages) {
+          yield {
+            type: 'tool_result',
+            tool_call_id: toolMessage.tool_call_id,
+            name: toolMessage.name,
+            content: toolMessage.content
+          };
+        }
+
+        const turn = [assistantMessage(finish.final_content, finish.final_tool_calls), ...toolMessages];
+        conversation.push(...turn);
+        produced.push(...turn);
+
+        if (clientCalls.length > 0) {
+          yield { ...withUsage(finish, usage), final_tool_calls: clientCalls, messages: produced };
+          return;
+        }
+      }
+    }
+  };
+}
+
+module.exports = { runToolLoop, streamToolLoop, mergeTools };
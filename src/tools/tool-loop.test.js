@@ -0,0 +1,177 @@
+/* eslint-env jest */
+
+const mockLogger = {
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
+jest.mock('../utils/logger', () => mockLogger);
+
+const { describe, test, expect, beforeEach, jest } = require('@jest/globals');
+const { ToolRegistry } = require('./tool-registry');
+const { runToolLoop, streamToolLoop, mergeTools } = require('./tool-loop');
+
+const call = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+function streamOf(events) {
+  return {
+    [Symbol.asyncIterator]: async function* () {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('ToolRegistry', () => {
+  test('validates tools and exposes OpenAI definitions', () => {
+    expect(() => new ToolRegistry([{ name: 'x' }])).toThrow('requires tools with a name and a handler');
+
+    const registry = new ToolRegistry([{ name: 'weather', description: 'Weather', parameters: { type: 'object' }, handler: () => 'ok' }]);
+    expect(() => registry.register({ name: 'weather', handler: () => 1 })).toThrow('Tool already registered: weather');
+    expect(registry.getDefinitions()).toEqual([
+      { type: 'function', function: { name: 'weather', description: 'Weather', parameters: { type: 'object' } } }
+    ]);
+  });
+
+  test('returns handler errors and bad arguments to the model', async () => {
+    const registry = new ToolRegistry([{ name: 'boom', handler: () => { throw new Error('kaboom'); } }]);
+
+    expect(await registry.execute(call('1', 'boom', {}))).toBe('{"error":"kaboom"}');
+    expect(await registry.execute({ id: '2', function: { name: 'boom', arguments: '{oops' } })).toContain('Invalid JSON arguments');
+  });
+});
+
+describe('tool loop', () => {
+  let registry;
+  let weather;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    weather = jest.fn(async ({ city }) => ({ city, forecast: 'sunny' }));
+    registry = new ToolRegistry([{ name: 'weather', parameters: { type: 'object' }, handler: weather }]);
+  });
+
+  test('mergeTools puts server tools first and drops clashing request tools', () => {
+    const merged = mergeTools([
+      { type: 'function', function: { name: 'weather' } },
+      { type: 'function', function: { name: 'open_url' } }
+    ], registry);
+    expect(merged.map(t => t.function.name)).toEqual(['weather', 'open_url']);
+    expect(merged[0].function.parameters).toEqual({ type: 'object' });
+  });
+
+  test('runToolLoop executes server tools until the final answer', async () => {
+    const client = {
+      send: jest.fn()
+        .mockResolvedValueOnce({
+          role: 'assistant',
+          content: '',
+          tool_calls: [call('c1', 'weather', { city: 'Paris' }), call('c2', 'weather', { city: 'Rome' })],
+          usage: { prompt_tokens: 10, completion_tokens: 5, cached_tokens: 0, total_tokens: 15 }
+        })
+        .mockResolvedValueOnce({
+          role: 'assistant',
+          content: 'Sunny in both.',
+          usage: { prompt_tokens: 30, completion_tokens: 5, cached_tokens: 10, total_tokens: 35 }
+        })
+    };
+
+    const { response, messages, iterations } = await runToolLoop(client, [{ role: 'user', content: 'hi' }], [], 'gpt-4.1', {
+      registry,
+      context: { user: 'u1' }
+    });
+
+    expect(response.content).toBe('Sunny in both.');
+    expect(response.usage).toEqual({ prompt_tokens: 40, completion_tokens: 10, cached_tokens: 10, total_tokens: 50 });
+    expect(iterations).toBe(2);
+    expect(weather).toHaveBeenCalledWith({ city: 'Paris' }, expect.objectContaining({ user: 'u1' }));
+    expect(messages.map(m => [m.role, m.tool_call_id])).toEqual([
+      ['assistant', undefined],
+      ['tool', 'c1'],
+      ['tool', 'c2']
+    ]);
+    expect(messages[2].content).toBe('{"city":"Rome","forecast":"sunny"}');
+
+    const secondCall = client.send.mock.calls[1];
+    expect(secondCall[0]).toHaveLength(4);
+    expect(secondCall[2]).toBe('gpt-4.1');
+  });
+
+  test('runToolLoop returns client tool calls to the caller', async () => {
+    const client = {
+      send: jest.fn().mockResolvedValueOnce({
+        role: 'assistant',
+        content: '',
+        tool_calls: [call('c1', 'weather', { city: 'Paris' }), call('c2', 'open_url', { url: 'x' })]
+      })
+    };
+
+    const { response, messages } = await runToolLoop(client, [], [{ type: 'function', function: { name: 'open_url' } }], undefined, { registry });
+
+    expect(client.send).toHaveBeenCalledTimes(1);
+    expect(response.tool_calls.map(tc => tc.id)).toEqual(['c2']);
+    expect(messages.map(m => m.role)).toEqual(['assistant', 'tool']);
+  });
+
+  test('runToolLoop only forces tool_choice on the first model call', async () => {
+    const client = {
+      send: jest.fn()
+        .mockResolvedValueOnce({ role: 'assistant', content: '', tool_calls: [call('c1', 'weather', { city: 'Paris' })] })
+        .mockResolvedValueOnce({ role: 'assistant', content: 'Sunny.' })
+    };
+
+    await runToolLoop(client, [], [], undefined, { registry, generation: { temperature: 0, tool_choice: 'required' } });
+
+    expect(client.send.mock.calls[0][3].generation).toEqual({ temperature: 0, tool_choice: 'required' });
+    expect(client.send.mock.calls[1][3].generation).toEqual({ temperature: 0 });
+  });
+
+  test('runToolLoop stops at maxIterations', async () => {
+    const client = {
+      send: jest.fn().mockResolvedValue({ role: 'assistant', content: '', tool_calls: [call('c1', 'weather', { city: 'Paris' })] })
+    };
+
+    const { response, iterations } = await runToolLoop(client, [], [], undefined, { registry, maxIterations: 3 });
+
+    expect(iterations).toBe(3);
+    expect(client.send).toHaveBeenCalledTimes(3);
+    expect(response._tool_loop).toEqual({ iterations: 3, max_iterations_reached: true });
+  });
+
+  test('streamToolLoop emits tool_start/tool_result and a single final finish', async () => {
+    const toolCall = call('c1', 'weather', { city: 'Paris' });
+    const client = {
+      stream: jest.fn()
+        .mockResolvedValueOnce(streamOf([
+          { type: 'tool_call_start', index: 0, id: 'c1', name: 'weather' },
+          { type: 'tool_call_delta', index: 0, id: 'c1', delta: toolCall.function.arguments },
+          { type: 'tool_call_end', index: 0, tool_call: toolCall },
+          { type: 'finish', finish_reason: 'tool_calls', final_content: '', final_tool_calls: [toolCall] }
+        ]))
+        .mockResolvedValueOnce(streamOf([
+          { type: 'content_delta', delta: 'Sunny.' },
+          { type: 'finish', finish_reason: 'stop', final_content: 'Sunny.', final_tool_calls: null }
+        ]))
+    };
+
+    const events = await collect(await streamToolLoop(client, [{ role: 'user', content: 'hi' }], [], undefined, { registry }));
+
+    expect(events.map(e => e.type)).toEqual([
+      'tool_call_start', 'tool_call_delta', 'tool_call_end', 'tool_start', 'tool_result', 'content_delta', 'finish'
+    ]);
+    expect(events[4]).toEqual({ type: 'tool_result', tool_call_id: 'c1', name: 'weather', content: '{"city":"Paris","forecast":"sunny"}' });
+    expect(events[6].final_content).toBe('Sunny.');
+    expect(events[6].messages).toHaveLength(2);
+    expect(client.stream.mock.calls[1][0]).toHaveLength(3);
+  });
+});
@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+
+/**
+ * Holds the tools the server executes itself. Each tool has a name, a JSON
+ * schema for its arguments and an async handler.
+ */
+class ToolRegistry {
+  constructor(tools = []) {
+    this._tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * @param {Object} tool
+   * @param {string} tool.name - Function name exposed to the model
+   * @param {string} [tool.description] - Description exposed to the model
+   * @param {Object} [tool.parameters] - JSON schema of the arguments
+   * @param {Function} tool.handler - async (args, context) => result
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error("ToolRegistry requires tools with a name and a handler function.");
+    }
+    if (this._tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    this._tools.set(tool.name, tool);
+    return this;
+  }
+
+  unregister(name) {
+    return this._tools.delete(name);
+  }
+
+  has(name) {
+    return this._tools.has(name);
+  }
+
+  get size() {
+    return this._tools.size;
+  }
+
+  /**
+   * Tool definitions in the OpenAI format accepted by every client
+   */
+  getDefinitions() {
+    return Array.from(this._tools.values()).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Runs the handler for a tool call and returns the content of the tool message.
+   * Failures are returned to the model as an error payload instead of aborting the loop.
+   */
+  async execute(toolCall, context = {}) {
+    const name = toolCall.function?.name;
+    const tool = this._tools.get(name);
+    if (!tool) {
+      return JSON.stringify({ error: `Unknown tool: ${name}` });
+    }
+
+    let args;
+    try {
+      args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (error) {
+      logger.warn(`Invalid arguments for tool ${name}: ${error.message}`);
+      return JSON.stringify({ error: `Invalid JSON arguments: ${error.message}` });
+    }
+
+    try {
+      const result = await tool.handler(args, { ...context, toolCall });
+      if (result === undefined || result === null) return '';
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+      logger.error(`Tool ${name} failed: ${error.message}`);
+      return JSON.stringify({ error: error.message });
+    }
+  }
+}
+
+module.exports = { ToolRegistry };
@@ -0,0 +1,211 @@
+// Converts the OpenAI-shaped payloads accepted by /agent/message into the
+// Anthropic Messages API format, and Anthropic responses back again.
+
+function convertTools(tools) {
+  if (!tools || tools.length === 0) return [];
+  return tools.map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description,
+    input_schema: tool.function.parameters || { type: 'object', properties: {} },
+  }));
+}
+
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+function contentToText(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return String(content);
+}
+
+function convertImagePart(part) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+  if (!url) return null;
+
+  const dataUrl = /^data:([^;]+);base64,(.*)$/.exec(url);
+  if (dataUrl) {
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] },
+    };
+  }
+  return { type: 'image', source: { type: 'url', url } };
+}
+
+function convertContent(content) {
+  if (typeof content === 'string' || content === null || content === undefined) {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    return [{ type: 'text', text: String(content) }];
+  }
+
+  const blocks = [];
+  for (const part of content) {
+    if (!part) continue;
+    if (part.type === 'text' && part.text) {
+      blocks.push({ type: 'text', text: part.text });
+    } else if (part.type === 'image_url') {
+      const image = convertImagePart(part);
+      if (image) blocks.push(image);
+    }
+  }
+  return blocks;
+}
+
+function convertAssistantMessage(msg) {
+  const blocks = convertContent(msg.content);
+
+  if (msg.tool_calls) {
+    for (const tc of msg.tool_calls) {
+      blocks.push({
+        type: 'tool_use',
+        id: tc.id,
+        name: tc.function.name,
+        input: parseToolArguments(tc.function.arguments),
+      });
+    }
+  } else if (msg.function_call) {
+    blocks.push({
+      type: 'tool_use',
+      id: msg.function_call.name,
+      name: msg.function_call.name,
+      input: parseToolArguments(msg.function_call.arguments),
+    });
+  }
+
+  return { role: 'assistant', content: blocks };
+}
+
+function convertToolMessage(msg) {
+  return {
+    role: 'user',
+    content: [{
+      type: 'tool_result',
+      tool_use_id: msg.tool_call_id,
+      content: contentToText(msg.content),
+    }],
+  };
+}
+
+/**
+ * Converts OpenAI-style chat messages to Anthropic's { system, messages } pair.
+ * System messages are lifted into the top-level system prompt, tool results
+ * become tool_result blocks and consecutive turns of the same role are merged,
+ * since Anthropic requires user/assistant turns to alternate.
+ */
+function convertMessages(messages) {
+  const systemParts = [];
+  const converted = [];
+
+  for (const msg of messages || []) {
+    const role = (msg.role || 'user').toLowerCase();
+    let next;
+
+    if (role === 'system' || role === 'developer') {
+      const text = contentToText(msg.content);
+      if (text) systemParts.push(text);
+      continue;
+    } else if (role === 'assistant') {
+      next = convertAssistantMessage(msg);
+    } else if (role === 'tool' || role === 'function') {
+      next = convertToolMessage(msg);
+    } else {
+      next = { role: 'user', content: convertContent(msg.content) };
+    }
+
+    if (next.content.length === 0) continue;
+
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === next.role) {
+      previous.content.push(...next.content);
+    } else {
+      converted.push(next);
+    }
+  }
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    messages: converted,
+  };
+}
+
+/**
+ * Converts an OpenAI tool_choice: required -> any, a named function -> tool
+ */
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (typeof toolChoice === 'object') {
+    return { type: 'tool', name: toolChoice.function.name };
+  }
+  const type = { auto: 'auto', none: 'none', required: 'any' }[toolChoice];
+  return type ? { type } : undefined;
+}
+
+/**
+ * System prompt instruction asking for the JSON an OpenAI response_format describes
+ */
+function responseFormatInstruction(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') return undefined;
+  if (responseFormat.type === 'json_schema' && responseFormat.json_schema?.schema) {
+    return 'Respond only with a JSON value that matches this JSON schema, without any other text or markdown:\n' +
+      JSON.stringify(responseFormat.json_schema.schema);
+  }
+  return 'Respond only with a valid JSON object, without any other text or markdown.';
+}
+
+/**
+ * Converts an Anthropic message into an OpenAI-style assistant message.
+ */
+function parseMessage(message) {
+  let content = '';
+  const tool_calls = [];
+
+  for (const block of message?.content || []) {
+    if (block.type === 'text') {
+      content += block.text;
+    } else if (block.type === 'tool_use') {
+      tool_calls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {}),
+        },
+      });
+    }
+  }
+
+  const result = {
+    role: 'assistant',
+    content,
+  };
+
+  if (tool_calls.length > 0) {
+    result.tool_calls = tool_calls;
+  }
+
+  return result;
+}
+
+module.exports = {
+  convertTools,
+  convertToolChoice,
+  convertMessages,
+  parseMessage,
+  responseFormatInstruction
+};
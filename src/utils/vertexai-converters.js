@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 function convertTools(tools) {
   if (!tools || tools.length === 0) return [];
   return [{
@@ -9,33 +11,285 @@ function convertTools(tools) {
   }];
 }
 
-function convertMessages(messages) {
-  return messages.map(msg => {
+/**
+ * Gemini doesn't identify function calls, so ids are generated on our side
+ * in the same format OpenAI uses
+ */
+function createToolCallId() {
+  return `call_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+function contentToText(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return String(content);
+}
+
+const EXTENSION_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+};
+
+function convertImagePart(part) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+  if (!url) return null;
+
+  const dataUrl = /^data:([^;]+);base64,(.*)$/.exec(url);
+  if (dataUrl) {
+    return { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } };
+  }
+  const extension = (/\.([a-z0-9]+)(?:\?|#|$)/i.exec(url)?.[1] || '').toLowerCase();
+  return { fileData: { mimeType: EXTENSION_MIME_TYPES[extension] || 'image/jpeg', fileUri: url } };
+}
+
+function convertContentParts(content) {
+  if (Array.isArray(content)) {
     const parts = [];
+    for (const part of content) {
+      if (!part) continue;
+      if (part.type === 'text' && part.text) {
+        parts.push({ text: part.text });
+      } else if (part.type === 'image_url') {
+        const image = convertImagePart(part);
+        if (image) parts.push(image);
+      }
+    }
+    return parts;
+  }
+  const text = contentToText(content);
+  return text ? [{ text }] : [];
+}
 
-    if (msg.function_call) {
-      parts.push({
-        functionCall: {
-          name: msg.function_call.name,
-          args: msg.function_call.arguments,
-        },
-      });
-    } else if (msg.tool_calls) {
-      parts.push(...msg.tool_calls.map(tc => ({
-        functionCall: {
-          name: tc.function.name,
-          args: JSON.parse(tc.function.arguments),
+/**
+ * Gemini expects the function response as an object: JSON objects are passed
+ * through, anything else is wrapped in { content }
+ */
+function toFunctionResponse(content) {
+  const text = contentToText(content);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {
+    // plain text result
+  }
+  return { content: text };
+}
+
+/**
+ * Converts the system messages into Gemini's systemInstruction
+ */
+function convertSystemInstruction(messages) {
+  const texts = (messages || [])
+    .filter(msg => msg.role && ['system', 'developer'].includes(msg.role.toLowerCase()))
+    .map(msg => contentToText(msg.content))
+    .filter(Boolean);
+
+  if (texts.length === 0) return undefined;
+  return { role: 'system', parts: texts.map(text => ({ text })) };
+}
+
+/**
+ * Converts OpenAI-style messages into Gemini contents.
+ *
+ * - system messages are left out (see convertSystemInstruction)
+ * - assistant messages keep both their text and their tool calls
+ * - tool messages become functionResponse parts, named after the matching
+ *   tool call of an earlier assistant message (or resolveToolName when the
+ *   call isn't part of the history)
+ * - consecutive turns of the same role are merged, so the function responses
+ *   to parallel calls end up in a single turn, in the order of the calls
+ *
+ * @param {Array} messages - OpenAI-style messages
+ * @param {Function} [resolveToolName] - (toolCallId) => function name fallback
+ */
+function convertMessages(messages, resolveToolName) {
+  const toolCallNames = new Map();
+  const toolCallOrder = new Map();
+  const responseOrder = new WeakMap();
+  const contents = [];
+
+  for (const msg of messages || []) {
+    const role = (msg.role || 'user').toLowerCase();
+    let converted;
+
+    if (role === 'system' || role === 'developer') {
+      continue;
+    } else if (role === 'assistant') {
+      const parts = convertContentParts(msg.content);
+      if (msg.tool_calls) {
+        msg.tool_calls.forEach((tc, index) => toolCallOrder.set(tc.id, index));
+        for (const tc of msg.tool_calls) {
+          toolCallNames.set(tc.id, tc.function.name);
+          parts.push({
+            functionCall: {
+              name: tc.function.name,
+              args: parseArguments(tc.function.arguments),
+            },
+          });
+        }
+      } else if (msg.function_call) {
+        parts.push({
+          functionCall: {
+            name: msg.function_call.name,
+            args: parseArguments(msg.function_call.arguments),
+          },
+        });
+      }
+      converted = { role: 'model', parts };
+    } else if (role === 'tool' || role === 'function') {
+      const name = toolCallNames.get(msg.tool_call_id)
+        || (resolveToolName && resolveToolName(msg.tool_call_id))
+        || msg.name;
+      const part = {
+        functionResponse: {
+          name,
+          response: toFunctionResponse(msg.content),
         },
-      })));
-    } else if (msg.content) {
-      parts.push({ text: msg.content });
+      };
+      if (toolCallOrder.has(msg.tool_call_id)) {
+        responseOrder.set(part, toolCallOrder.get(msg.tool_call_id));
+      }
+      converted = { role: 'user', parts: [part] };
+    } else {
+      converted = { role: 'user', parts: convertContentParts(msg.content) };
+    }
+
+    if (converted.parts.length === 0) continue;
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === converted.role) {
+      previous.parts.push(...converted.parts);
+    } else {
+      contents.push(converted);
+    }
+  }
+
+  // Function responses follow the order of the calls, whatever order the results came in
+  for (const content of contents) {
+    if (content.parts.length > 1 && content.parts.every(part => responseOrder.has(part))) {
+      content.parts.sort((a, b) => responseOrder.get(a) - responseOrder.get(b));
+    }
+  }
+
+  return contents;
+}
+
+// Normalized generation option -> generationConfig field
+const GENERATION_CONFIG_FIELDS = {
+  temperature: 'temperature',
+  top_p: 'topP',
+  top_k: 'topK',
+  max_tokens: 'maxOutputTokens',
+  stop: 'stopSequences',
+  seed: 'seed',
+  presence_penalty: 'presencePenalty',
+  frequency_penalty: 'frequencyPenalty',
+};
+
+/**
+ * Converts the normalized generation options into Gemini's generationConfig
+ */
+function convertGenerationConfig(generation) {
+  const config = {};
+  for (const [name, field] of Object.entries(GENERATION_CONFIG_FIELDS)) {
+    if (generation && generation[name] !== undefined) {
+      config[field] = generation[name];
+    }
+  }
+  return Object.keys(config).length > 0 ? config : undefined;
+}
+
+/**
+ * Converts an OpenAI tool_choice into Gemini's toolConfig:
+ * auto -> AUTO, none -> NONE, required -> ANY, a named function -> ANY restricted to it
+ */
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (typeof toolChoice === 'object') {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  const mode = { auto: 'AUTO', none: 'NONE', required: 'ANY' }[toolChoice];
+  return mode ? { functionCallingConfig: { mode } } : undefined;
+}
+
+// JSON schema keywords supported by Gemini's responseSchema (OpenAPI 3 subset)
+const RESPONSE_SCHEMA_KEYWORDS = [
+  'format', 'title', 'description', 'nullable', 'enum', 'required', 'minItems', 'maxItems',
+  'minProperties', 'maxProperties', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+  'propertyOrdering', 'example', 'default',
+];
+
+/**
+ * Converts a JSON schema into Gemini's responseSchema: upper case types,
+ * ['x', 'null'] types become nullable and unsupported keywords are dropped
+ */
+function convertResponseSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    if (type.includes('null')) converted.nullable = true;
+    type = type.find(t => t !== 'null');
+  }
+  if (typeof type === 'string') converted.type = type.toUpperCase();
+
+  for (const keyword of RESPONSE_SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) converted[keyword] = schema[keyword];
+  }
+  if (schema.const !== undefined) converted.enum = [schema.const];
+  if (schema.properties) {
+    converted.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      converted.properties[name] = convertResponseSchema(property);
     }
+  }
+  if (schema.items) converted.items = convertResponseSchema(schema.items);
+  if (Array.isArray(schema.anyOf)) converted.anyOf = schema.anyOf.map(convertResponseSchema);
+  return converted;
+}
 
-    return {
-      role: msg.role.toLowerCase() === 'assistant' ? 'model' : 'user',
-      parts,
-    };
-  });
+/**
+ * Converts an OpenAI response_format into the generationConfig JSON mode fields
+ */
+function convertResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') return undefined;
+  const config = { responseMimeType: 'application/json' };
+  if (responseFormat.type === 'json_schema' && responseFormat.json_schema?.schema) {
+    config.responseSchema = convertResponseSchema(responseFormat.json_schema.schema);
+  }
+  return config;
 }
 
-module.exports = { convertTools, convertMessages };
\ No newline at end of file
+module.exports = {
+  convertTools,
+  convertMessages,
+  convertSystemInstruction,
+  convertGenerationConfig,
+  convertToolChoice,
+  convertResponseFormat,
+  convertResponseSchema,
+  createToolCallId
+};
@@ -0,0 +1,133 @@
+/* eslint-env jest */
+
+const { describe, test, expect } = require('@jest/globals');
+const { convertTools, convertMessages, convertSystemInstruction, convertResponseFormat, createToolCallId } = require('./vertexai-converters');
+
+const call = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+describe('vertexai-converters', () => {
+  test('convertTools builds function declarations', () => {
+    expect(convertTools([])).toEqual([]);
+    expect(convertTools([{ type: 'function', function: { name: 'weather', description: 'd', parameters: { type: 'object' } } }])).toEqual([
+      { function_declarations: [{ name: 'weather', description: 'd', parameters: { type: 'object' } }] }
+    ]);
+  });
+
+  test('system messages become the systemInstruction', () => {
+    const messages = [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'system', content: [{ type: 'text', text: 'Answer in English.' }] },
+      { role: 'user', content: 'Hi' }
+    ];
+
+    expect(convertSystemInstruction(messages)).toEqual({
+      role: 'system',
+      parts: [{ text: 'Be brief.' }, { text: 'Answer in English.' }]
+    });
+    expect(convertSystemInstruction([{ role: 'user', content: 'Hi' }])).toBeUndefined();
+    expect(convertMessages(messages)).toEqual([{ role: 'user', parts: [{ text: 'Hi' }] }]);
+  });
+
+  test('multi-turn function calling keeps text, calls and responses', () => {
+    const contents = convertMessages([
+      { role: 'user', content: 'Weather in Paris and Rome?' },
+      { role: 'assistant', content: 'Let me check.', tool_calls: [call('c1', 'weather', { city: 'Paris' }), call('c2', 'weather', { city: 'Rome' })] },
+      { role: 'tool', tool_call_id: 'c1', content: '{"forecast":"sunny"}' },
+      { role: 'tool', tool_call_id: 'c2', content: 'rainy' },
+      { role: 'assistant', content: 'Sunny in Paris, rainy in Rome.' },
+      { role: 'user', content: 'Thanks' }
+    ]);
+
+    expect(contents).toEqual([
+      { role: 'user', parts: [{ text: 'Weather in Paris and Rome?' }] },
+      {
+        role: 'model',
+        parts: [
+          { text: 'Let me check.' },
+          { functionCall: { name: 'weather', args: { city: 'Paris' } } },
+          { functionCall: { name: 'weather', args: { city: 'Rome' } } }
+        ]
+      },
+      {
+        role: 'user',
+        parts: [
+          { functionResponse: { name: 'weather', response: { forecast: 'sunny' } } },
+          { functionResponse: { name: 'weather', response: { content: 'rainy' } } }
+        ]
+      },
+      { role: 'model', parts: [{ text: 'Sunny in Paris, rainy in Rome.' }] },
+      { role: 'user', parts: [{ text: 'Thanks' }] }
+    ]);
+  });
+
+  test('tool results are matched by tool_call_id, with the message name as fallback', () => {
+    const contents = convertMessages([
+      { role: 'assistant', content: null, tool_calls: [call('c1', 'lookup', {})] },
+      { role: 'tool', tool_call_id: 'c1', content: 'found' },
+      { role: 'tool', tool_call_id: 'unknown', name: 'search', content: 'nothing' }
+    ]);
+
+    expect(contents[1].parts.map(p => p.functionResponse.name)).toEqual(['lookup', 'search']);
+
+    const resolved = convertMessages([{ role: 'tool', tool_call_id: 'c9', content: 'ok' }], (id) => id === 'c9' && 'weather');
+    expect(resolved[0].parts[0].functionResponse.name).toBe('weather');
+  });
+
+  test('convertResponseFormat turns a JSON schema into responseSchema', () => {
+    expect(convertResponseFormat(undefined)).toBeUndefined();
+    expect(convertResponseFormat({ type: 'json_object' })).toEqual({ responseMimeType: 'application/json' });
+    expect(convertResponseFormat({
+      type: 'json_schema',
+      json_schema: {
+        name: 'person',
+        schema: {
+          $schema: 'http://json-schema.org/draft-07/schema#',
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', description: 'Full name' },
+            nickname: { type: ['string', 'null'] },
+            tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } }
+          },
+          required: ['name']
+        }
+      }
+    })).toEqual({
+      responseMimeType: 'application/json',
+      responseSchema: {
+        type: 'OBJECT',
+        required: ['name'],
+        properties: {
+          name: { type: 'STRING', description: 'Full name' },
+          nickname: { type: 'STRING', nullable: true },
+          tags: { type: 'ARRAY', items: { type: 'STRING', enum: ['a', 'b'] } }
+        }
+      }
+    });
+  });
+
+  test('createToolCallId generates unique OpenAI-style ids', () => {
+    const ids = new Set(Array.from({ length: 100 }, () => createToolCallId()));
+    expect(ids.size).toBe(100);
+    expect([...ids][0]).toMatch(/^call_[0-9a-f]{24}$/);
+  });
+
+  test('multi-part user content keeps text and images', () => {
+    const contents = convertMessages([
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+          { type: 'image_url', image_url: { url: 'gs://bucket/photo.webp' } }
+        ]
+      }
+    ]);
+
+    expect(contents[0].parts).toEqual([
+      { text: 'What is this?' },
+      { inlineData: { mimeType: 'image/png', data: 'AAAA' } },
+      { fileData: { mimeType: 'image/webp', fileUri: 'gs://bucket/photo.webp' } }
+    ]);
+  });
+});